@@ -0,0 +1,8 @@
+import { stream } from '@netlify/functions';
+
+import { handler as api } from './api.js';
+
+// Lambda's response-stream runtime lets SSE bodies flush incrementally, so only streaming routes
+// come here (see netlify.toml); everything else stays on the buffered api function. Outside Lambda
+// (scripts, tests) the plain handler is used.
+export const handler = typeof awslambda === 'undefined' ? api : stream(api);
@@ -1,5 +1,57 @@
 import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
 import pg from 'pg';
+import {
+  AGENT_TOOLS,
+  agentOptionsFromConfig,
+  chatCompletionTools,
+  chunkRegistry,
+  parseChatCompletionToolOutput,
+  parseResponsesToolOutput,
+  responsesTools,
+  runAgentLoop,
+  toolChunk,
+  toResponsesInput,
+} from '../lib/agent-loop.js';
+import {
+  BM25_SCORED_CHUNKS_SQL,
+  advanceBm25Index,
+  bm25IndexReady,
+  bm25OptionsFromConfig,
+  ensureBm25Schema,
+  registerBm25Corpus,
+} from '../lib/bm25.js';
+import { composeSystemPrompt } from '../lib/chat-prompt.js';
+import { chunkerOptionsFromConfig, resolveChunker } from '../lib/chunkers.js';
+import { verifyCitations } from '../lib/citations.js';
+import { answerConfidence } from '../lib/confidence.js';
+import {
+  ConfigConflictError,
+  configAuthor,
+  configWriteAccess,
+  ConfigWriteDeniedError,
+  ensureConfigVersionSchema,
+  expectedConfigVersion,
+  getConfigVersion,
+  listConfigVersions,
+  loadChangedConfigs,
+  saveConfigVersion,
+} from '../lib/config-store.js';
+import { CONFIG_SOURCES, envConfigOverlay, explainConfig, layerConfig, storedSnapshot } from '../lib/config-layers.js';
+import { configToDotenv, dotenvToConfig, loadEnvKeyMap, parseConfigRef } from '../lib/config-transfer.js';
+import { buildConfigSchema, ConfigValidationError, validateConfig, validateConfigSection } from '../lib/config-validation.js';
+import {
+  appendConversationTurn,
+  conversationAccess,
+  conversationOwner,
+  deleteConversation,
+  ensureConversationSchema,
+  getConversation,
+  listConversations,
+  loadConversationMessages,
+  trimHistory,
+} from '../lib/conversations.js';
+import { CursorError, cursorFingerprint, decodeCursor, encodeCursor, pageAfterCursor } from '../lib/cursor.js';
 import {
   buildComparisonEvidence,
   buildEvalAnalysisUserInput,
@@ -7,42 +59,101 @@ import {
   DEMO_EVAL_ANALYSIS_MODEL,
   DEMO_EVAL_ANALYSIS_PROMPT,
   DEMO_EVAL_CORPUS_ID,
+  diffConfigs,
   ensureDemoEvalSeeded,
   filterDatasetEntriesForEval,
+  flattenConfigSnapshot,
   isDemoEvalReadOnlyCorpus,
   validateComparableRuns,
 } from '../lib/demo-eval-scenarios.js';
+import {
+  DETERMINISTIC_EMBEDDING_MODEL,
+  countPendingChunks,
+  embedPendingChunks,
+  ensureEmbeddingSchema,
+  resolveEmbedder,
+  toVectorLiteral,
+} from '../lib/embeddings.js';
+import { compareMatches, fuseLegResults, fuseQueryVariants, fusionOptionsFromConfig } from '../lib/fusion.js';
+import {
+  GenerationSettingsError,
+  parseGenerationOverrides,
+  resolveGenerationSettings,
+  supportsSamplingParams,
+} from '../lib/generation-settings.js';
+import { extractGraphQueryTerms, normalizeEntitySearchValue, scoreGraphSeed, walkGraph } from '../lib/graph-search.js';
+import { applyHighlight, HEADLINE_OPTIONS } from '../lib/highlight.js';
+import {
+  collectIndexFiles,
+  indexChunkRows,
+  indexOptionsFromConfig,
+  IndexRequestError,
+  indexUploadAccess,
+} from '../lib/ingest.js';
+import { checkLocalProviders, localCandidates, localModelsOptionsFromConfig } from '../lib/local-providers.js';
+import { consumeChatCompletionStream, consumeResponsesStream, normalizeUsage } from '../lib/llm-stream.js';
+import { buildProviderChain, providerRouterOptionsFromConfig, runWithFallback } from '../lib/provider-router.js';
+import { expandQuery, queryExpansionOptionsFromConfig } from '../lib/query-expansion.js';
+import { compileSparseQuery, parseQuerySyntax, QuerySyntaxError } from '../lib/query-syntax.js';
+import {
+  chatPromptMode,
+  deleteRecallConversation,
+  indexPendingRecall,
+  recallCorpusId,
+  recallFilePath,
+  recallOptionsFromConfig,
+  recallRequested,
+} from '../lib/recall.js';
+import { rerankMatches, rerankOptionsFromConfig } from '../lib/rerank.js';
+import { describeSearchFilters, filterSqlClause, parseSearchFilters, SearchFilterError } from '../lib/search-filters.js';
+import { withTransaction } from '../lib/transaction.js';
 
 const { Pool } = pg;
 
 let pool = null;
 let schemaReady = null;
+let vectorStoreReady = false;
+let bm25Ready = false;
+// Effective (layered) config and its per-key provenance, rebuilt whenever the stored layer changes.
 const configByCorpus = new Map();
+const configProvenanceByCorpus = new Map();
+// Stored layer: the latest saved snapshot per scope and its version id (absent for untouched defaults).
+const storedConfigByCorpus = new Map();
+const configVersionByCorpus = new Map();
+let envConfig = null;
 
 const DEFAULT_OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Candidates fused per /api/search request; cursors page through this pool.
+const SEARCH_POOL_SIZE = 200;
+
+// Chat-memory snippets per message; chat chunks are small, so fewer than document results.
+const RECALL_TOP_K = 5;
 
 const PROMPT_DEFAULTS = {
   // chat.system_prompt_* (from canonical prompt block)
   system_prompt_base: 'You are a helpful agentic RAG database assistant.',
-  system_prompt_rag_suffix: '',
-  system_prompt_recall_suffix: '',
-  system_prompt_direct: `You are a helpful agentic RAG database assistant.
-Answer based on available context. If no retrieval context exists, state that clearly and provide the most helpful direct answer you can.`,
-  system_prompt_rag: `You are a database assistant powered by TriBridRAG, a hybrid retrieval system that combines vector search, keyword search, and knowledge graphs to find relevant database.
-
-The user has selected one or more database repositories to query. You will receive relevant database snippets in <rag_context>...</rag_context> tags.
-
-Each snippet includes:
-- File path and line numbers
+  // main_rag_chat is the base for RAG modes; the suffixes describe the context blocks and follow
+  // whichever base is used. system_prompt_<mode> replaces all of that when set, so the RAG ones
+  // default to empty and edits to main_rag_chat show up in answers.
+  system_prompt_rag_suffix: `Relevant database snippets appear in <rag_context>...</rag_context> tags, each headed by its file path and line numbers.
 
 How to use this context:
 - Base your answers on the actual database shown, not assumptions
 - Always cite file paths and line numbers when referencing database
 - If the retrieved information doesn't fully answer the question, say what's missing
 - Don't invent information that isn't in the context
-- **Connect related pieces when they appear across multiple snippets** (e.g. if the user asks about a specific database table, and you have information about the table in the context, connect the information to the question)
+- Connect related pieces when they appear across multiple snippets`,
+  system_prompt_recall_suffix: `Relevant snippets from past conversations with this user appear in <recall_context>...</recall_context> tags.
 
-Be helpful, friendly, and engaging, and base your answers on the actual database information you have.`,
+How to use this context:
+- Reference past discussions naturally; don't say "according to recall"
+- If past context contradicts current database information, acknowledge the change
+- Prioritize recent conversations over older ones when relevant`,
+  system_prompt_direct: `You are a helpful agentic RAG database assistant.
+Answer based on available context. If no retrieval context exists, state that clearly and provide the most helpful direct answer you can.`,
+  system_prompt_rag: '',
   system_prompt_recall: `You are an agentic RAG database assistant powered by TriBridRAG. You have access to your conversation history with this user via the Recall system.
 
 Relevant snippets from past conversations appear in <recall_context>...</recall_context> tags.
@@ -59,20 +170,7 @@ How to use this context:
 - Prioritize recent conversations over older ones when relevant
 
 Be direct and helpful. You're continuing an ongoing collaboration with this user.`,
-  system_prompt_rag_and_recall: `You are an agentic RAG database assistant powered by TriBridRAG, a hybrid retrieval system. You have access to both:
-1) The user's indexed database repositories
-2) Your conversation history with this user (Recall)
-
-database context appears in <rag_context>...</rag_context> tags.
-Conversation history appears in <recall_context>...</recall_context> tags.
-
-How to use both:
-- Reference past discussions naturally
-- Connect them when relevant (e.g., a past decision and the database information that implements it)
-- If past context contradicts current database information, acknowledge the change
-- Don't say "according to recall" — just incorporate shared knowledge naturally
-
-Be helpful, friendly, and engaging, and base your answers on the actual database information you have.`,
+  system_prompt_rag_and_recall: '',
 
   // system_prompts.* (from canonical system_prompts block)
   main_rag_chat: `You are a helpful agentic RAG database assistant.
@@ -192,7 +290,7 @@ const PROMPT_METADATA = {
   },
   system_prompt_rag: {
     label: 'RAG only',
-    description: 'State 2: RAG only. database corpora returned results; Recall did not.',
+    description: 'State 2: RAG only. Override; when empty, Main RAG Chat plus the RAG suffix is used.',
     category: 'chat',
     editable: false,
     link_route: '/chat?subtab=settings&prompt=system_prompt_rag',
@@ -208,7 +306,7 @@ const PROMPT_METADATA = {
   },
   system_prompt_rag_and_recall: {
     label: 'RAG + Recall',
-    description: 'State 4: Both. RAG and Recall both returned results.',
+    description: 'State 4: Both. Override; when empty, Main RAG Chat plus both suffixes is used.',
     category: 'chat',
     editable: false,
     link_route: '/chat?subtab=settings&prompt=system_prompt_rag_and_recall',
@@ -299,6 +397,7 @@ const DEFAULT_CONFIG = {
 
   // Embedding config (critical: must match index metadata to avoid UI warnings).
   embedding: {
+    embedding_backend: 'provider',
     embedding_type: 'openai',
     embedding_model: 'text-embedding-3-large',
     embedding_dim: 3072,
@@ -355,6 +454,8 @@ const DEFAULT_CONFIG = {
   },
   sparse_search: {
     enabled: true,
+    query_mode: 'boolean',
+    highlight: false,
     top_k: 50,
     bm25_k1: 1.2,
     bm25_b: 0.4,
@@ -453,6 +554,11 @@ const DEFAULT_CONFIG = {
       default_vision_model: '',
       default_embedding_model: '',
     },
+    // Tool-calling mode; requests can also opt in or out with `agentic: true|false`.
+    agent: {
+      enabled: false,
+      max_iterations: 4,
+    },
   },
   system_prompts: {
     main_rag_chat: PROMPT_DEFAULTS.main_rag_chat,
@@ -488,6 +594,8 @@ const DEFAULT_CONFIG = {
   },
 };
 
+const CONFIG_SCHEMA = buildConfigSchema(DEFAULT_CONFIG);
+
 const FALLBACK_CHAT_MODELS = [
   // Local (not available on ragweld.com, but keep picker parity)
   {
@@ -581,9 +689,7 @@ function getCorpusScopeFromUrl(url) {
   }
 }
 
-function getConfig(scope) {
-  const key = String(scope || '').trim() || 'global';
-  if (configByCorpus.has(key)) return configByCorpus.get(key);
+function defaultConfig(key) {
   const cfg = cloneJson(DEFAULT_CONFIG);
 
   // Make chat "feel live": default checked sources include the active corpus.
@@ -606,11 +712,93 @@ function getConfig(scope) {
     cfg.graph_indexing.semantic_kg_typed_entities_enabled = true;
     cfg.graph_indexing.semantic_kg_allowed_entity_types = ['person', 'org', 'location', 'event', 'concept'];
   }
-
-  configByCorpus.set(key, cfg);
   return cfg;
 }
 
+// process.env is fixed for the life of an instance, so the overlay is built once.
+function getEnvConfig() {
+  if (!envConfig) envConfig = envConfigOverlay(process.env, loadEnvKeyMap().envToPath, CONFIG_SCHEMA);
+  return envConfig;
+}
+
+// Defaults (with per-corpus hard defaults), then env vars from the env key map, then the stored
+// version. Request-level overrides are layered later by the handlers that accept them.
+function getConfig(scope) {
+  const key = String(scope || '').trim() || 'global';
+  if (configByCorpus.has(key)) return configByCorpus.get(key);
+  const { config, provenance } = layerConfig({
+    base: defaultConfig(key),
+    env: getEnvConfig().config,
+    stored: storedConfigByCorpus.get(key) || null,
+  });
+  configByCorpus.set(key, config);
+  configProvenanceByCorpus.set(key, provenance);
+  return config;
+}
+
+function getConfigProvenance(scope) {
+  const key = String(scope || '').trim() || 'global';
+  getConfig(key);
+  return configProvenanceByCorpus.get(key);
+}
+
+function setStoredConfig(scope, config, versionId) {
+  storedConfigByCorpus.set(scope, config);
+  if (versionId != null) configVersionByCorpus.set(scope, versionId);
+  configByCorpus.delete(scope);
+}
+
+const CONFIG_SYNC_INTERVAL_MS = 5000;
+let configsSyncedAt = 0;
+
+// Configs live in Postgres (config_versions); the Map is a per-instance cache refreshed at most every
+// CONFIG_SYNC_INTERVAL_MS so cold starts and concurrent instances pick up saved versions. Saves are
+// checked against the latest version, so a stale cache costs a 409, not a lost update.
+async function syncConfigs(sql, { force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - configsSyncedAt < CONFIG_SYNC_INTERVAL_MS) return;
+  for (const row of await loadChangedConfigs(sql, configVersionByCorpus)) {
+    setStoredConfig(row.scope, row.config, row.version_id);
+  }
+  configsSyncedAt = now;
+}
+
+// Saves `next` (an edited effective config) as the stored layer for `scope`; returns the version
+// row, or null if nothing changed. Throws ConfigWriteDeniedError (401/403) without the write token.
+async function commitConfig(sql, event, scope, next, action, note = null) {
+  const access = configWriteAccess(event.headers);
+  if (access !== 'allowed') throw new ConfigWriteDeniedError(access);
+  const base = defaultConfig(scope);
+  const stored = storedSnapshot(next, { base, env: getEnvConfig().config, provenance: getConfigProvenance(scope) });
+  let version;
+  try {
+    version = await saveConfigVersion(sql, {
+      scope,
+      before: storedConfigByCorpus.get(scope) || base,
+      config: stored,
+      parentVersionId: expectedConfigVersion(event.headers) ?? configVersionByCorpus.get(scope) ?? null,
+      author: configAuthor(event.headers),
+      action,
+      note,
+    });
+  } catch (e) {
+    if (e instanceof ConfigConflictError) await syncConfigs(sql, { force: true });
+    throw e;
+  }
+  setStoredConfig(scope, stored, version?.version_id);
+  return version;
+}
+
+function configValidationOrError(validate) {
+  try {
+    validate();
+    return null;
+  } catch (e) {
+    if (e instanceof ConfigValidationError) return json(422, { error: e.message, field: e.field, errors: e.errors });
+    throw e;
+  }
+}
+
 function getValueAtPath(obj, path) {
   let cur = obj;
   for (const seg of path) {
@@ -679,14 +867,6 @@ function parseModelOverride(raw) {
   return { kind: 'cloud_direct', model: s };
 }
 
-function normalizeEntitySearchValue(raw) {
-  return String(raw || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[_-]+/g, ' ')
-    .replace(/\s+/g, ' ');
-}
-
 function json(statusCode, body, extraHeaders) {
   return {
     statusCode,
@@ -782,6 +962,25 @@ async function totalCounts(sql) {
   };
 }
 
+async function embeddingCounts(sql, corpusId) {
+  if (!vectorStoreReady) return { corpus: 0, total: 0 };
+  try {
+    const r = await sql.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE corpus_id = $1)::int AS corpus,
+         COUNT(*)::int AS total
+       FROM chunk_embeddings;`,
+      [String(corpusId || '').trim()],
+    );
+    return {
+      corpus: Number(r.rows?.[0]?.corpus) || 0,
+      total: Number(r.rows?.[0]?.total) || 0,
+    };
+  } catch {
+    return { corpus: 0, total: 0 };
+  }
+}
+
 function allocateBytes(totalBytes, partCount, totalCount) {
   if (!totalBytes || totalBytes <= 0) return 0;
   const denom = Number(totalCount) || 0;
@@ -794,14 +993,26 @@ function normalizeCorpusIds(input) {
   const ids = Array.isArray(input) ? input : [];
   return ids
     .map((v) => String(v || '').trim())
-    .filter(Boolean)
-    .filter((v) => v !== 'recall_default');
+    .filter(Boolean);
+}
+
+async function withoutRecallCorpora(sql, corpusIds) {
+  if (!corpusIds.length) return corpusIds;
+  const { rows } = await sql.query(
+    `SELECT corpus_id FROM corpora
+     WHERE corpus_id = ANY($1::text[])
+       AND COALESCE((meta->>'recall')::boolean, false);`,
+    [corpusIds],
+  );
+  const recall = new Set((rows || []).map((r) => String(r.corpus_id)));
+  return corpusIds.filter((id) => !recall.has(id));
 }
 
 function getConversationId(request) {
   const cid = String(request?.conversation_id || '').trim();
   if (cid) return cid;
-  return `rw-${Date.now()}`;
+  // Conversations are persisted now, so two chats started in the same millisecond must not share an id.
+  return `rw-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 }
 
 async function ensureSchema(sql) {
@@ -896,6 +1107,7 @@ async function ensureSchema(sql) {
       );
     `);
 
+    await sql.query(`ALTER TABLE eval_runs ADD COLUMN IF NOT EXISTS config_version_id BIGINT;`);
     await sql.query(`CREATE INDEX IF NOT EXISTS eval_runs_corpus_idx ON eval_runs (corpus_id, created_at DESC);`);
 
     await sql.query(`
@@ -922,13 +1134,23 @@ async function ensureSchema(sql) {
       );
     `);
 
+    await ensureConversationSchema(sql);
+    await ensureConfigVersionSchema(sql);
+
+    vectorStoreReady = await ensureEmbeddingSchema(sql);
+    bm25Ready = await ensureBm25Schema(sql);
+
     await sql.query(`CREATE INDEX IF NOT EXISTS graph_entities_name_idx ON graph_entities (corpus_id, name);`);
     await sql.query(`CREATE INDEX IF NOT EXISTS graph_edges_source_idx ON graph_edges (corpus_id, source_id);`);
     await sql.query(`CREATE INDEX IF NOT EXISTS graph_edges_target_idx ON graph_edges (corpus_id, target_id);`);
 
+    // Recall corpora hold chat memory and uploaded corpora hold user documents rather than demo
+    // data, so cold starts keep them.
     await sql.query(`
       DELETE FROM corpora
-      WHERE corpus_id <> 'epstein-files-1';
+      WHERE corpus_id <> 'epstein-files-1'
+        AND NOT COALESCE((meta->>'recall')::boolean, false)
+        AND NOT COALESCE((meta->>'uploaded')::boolean, false);
     `);
 
     await sql.query(`
@@ -947,6 +1169,7 @@ async function listCorpora(sql) {
   const { rows } = await sql.query(
     `SELECT corpus_id, name, path, slug, branch, description, created_at, last_indexed
      FROM corpora
+     WHERE NOT COALESCE((meta->>'recall')::boolean, false)
      ORDER BY corpus_id ASC;`
   );
 
@@ -984,25 +1207,251 @@ async function getCorpus(sql, corpusId) {
   };
 }
 
-async function searchChunks(sql, corpusId, query, topK) {
+const tsConfigNames = { names: null, loadedAt: 0 };
+const bm25ReadyKeys = new Set();
+const bm25Backfills = new Map();
+
+// Config names are user-editable, so only names Postgres actually knows reach a ::regconfig cast.
+async function resolveTsConfig(sql, name) {
+  const now = Date.now();
+  if (!tsConfigNames.names || now - tsConfigNames.loadedAt > 10 * 60 * 1000) {
+    const { rows } = await sql.query(`SELECT cfgname FROM pg_ts_config;`);
+    tsConfigNames.names = new Set((rows || []).map((r) => String(r.cfgname)));
+    tsConfigNames.loadedAt = now;
+  }
+  return tsConfigNames.names.has(name) ? name : 'english';
+}
+
+async function resolveSparseScoring(sql, corpusId, cfg) {
+  const options = bm25OptionsFromConfig(cfg);
+  const tsConfig = await resolveTsConfig(sql, options.tsConfig);
+  if (!bm25Ready) return { method: 'ts_rank_cd', tsConfig, k1: null, b: null };
+  const key = `${corpusId}|${tsConfig}`;
+  // Until a pair's backfill finishes, each search starts at most one bounded batch without waiting
+  // for it and ranks with ts_rank_cd; a failed batch is forgotten and the next search retries it.
+  if (!bm25ReadyKeys.has(key) && (await bm25IndexReady(sql, corpusId, tsConfig).catch(() => false))) bm25ReadyKeys.add(key);
+  if (!bm25ReadyKeys.has(key)) {
+    if (!bm25Backfills.has(key)) {
+      bm25Backfills.set(
+        key,
+        advanceBm25Index(sql, corpusId, tsConfig)
+          .then(
+            (ready) => {
+              if (ready) bm25ReadyKeys.add(key);
+            },
+            () => {},
+          )
+          .finally(() => bm25Backfills.delete(key)),
+      );
+    }
+    return { method: 'ts_rank_cd', tsConfig, k1: null, b: null };
+  }
+  return { method: 'bm25', tsConfig, k1: options.k1, b: options.b };
+}
+
+// The stored content_tsv (and its GIN index) is built with 'english'; other configs are computed per row.
+function sparseTsvectorSql(tsConfig, cfgRef, alias = '') {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  return tsConfig === 'english' ? col('content_tsv') : `to_tsvector(${cfgRef}, ${col('content')})`;
+}
+
+function sparseQueryMode(cfg) {
+  const mode = String(cfg?.sparse_search?.query_mode || 'boolean').trim().toLowerCase();
+  return ['plain', 'phrase', 'boolean'].includes(mode) ? mode : 'boolean';
+}
+
+// Reports why a boolean-mode query could not be parsed (null when it is fine); searchChunks
+// itself falls back to plain matching so a typo never empties the results.
+function sparseQueryDiagnostics(query, cfg) {
+  const mode = sparseQueryMode(cfg);
+  if (mode !== 'boolean' || !String(query || '').trim()) return null;
+  const parsed = parseQuerySyntax(query);
+  return parsed.ok ? null : { mode, fallback: 'plain', errors: parsed.errors, tree: parsed.tree };
+}
+
+// Binds $1 corpus and the text-search config (BM25 also needs $2 positive text, $3 config,
+// $4 k1, $5 b, $6 prefixes), then compiles the sparse query into a tsquery over them.
+function prepareSparseQuery(corpusId, query, cfg, scoring) {
+  const bm25 = scoring.method === 'bm25';
+  const params = bm25 ? [corpusId, '', scoring.tsConfig, scoring.k1, scoring.b, []] : [corpusId, scoring.tsConfig];
+  const cfgRef = bm25 ? '$3::regconfig' : '$2::regconfig';
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const start = params.length;
+  let compiled;
+  try {
+    compiled = compileSparseQuery(query, sparseQueryMode(cfg), { bind, cfg: cfgRef });
+  } catch (e) {
+    if (!(e instanceof QuerySyntaxError)) throw e;
+    params.length = start;
+    compiled = compileSparseQuery(query, 'plain', { bind, cfg: cfgRef });
+  }
+  if (bm25) {
+    params[1] = compiled.positiveText;
+    params[5] = compiled.prefixes;
+  }
+  return { params, cfgRef, tsquerySql: compiled.sql };
+}
+
+// `after` is a keyset position ({ score, chunkId }) from a pagination cursor.
+async function searchChunks(sql, corpusId, query, topK, { cfg, filters = null, after = null } = {}) {
   const q = String(query || '').trim();
   if (!q) return [];
 
+  const corpusCfg = cfg || getConfig(corpusId);
+  const scoring = await resolveSparseScoring(sql, corpusId, corpusCfg);
+  const { params, cfgRef, tsquerySql } = prepareSparseQuery(corpusId, q, corpusCfg, scoring);
+  let scoredSql;
+  if (scoring.method === 'bm25') {
+    const filterSql = filterSqlClause(filters, params, 'c');
+    // Rounded so the score survives a cursor round-trip even if SUM order differs between plans.
+    scoredSql = `${BM25_SCORED_CHUNKS_SQL}
+     SELECT c.chunk_id, c.file_path, c.start_line, c.end_line, c.language, c.content,
+            round(scored.score::numeric, 6)::float8 AS score
+     FROM scored
+     JOIN chunks c ON c.chunk_id = scored.chunk_id
+     WHERE c.corpus_id = $1
+       AND ${sparseTsvectorSql(scoring.tsConfig, cfgRef, 'c')} @@ ${tsquerySql}${filterSql}`;
+  } else {
+    const filterSql = filterSqlClause(filters, params);
+    const tsv = sparseTsvectorSql(scoring.tsConfig, cfgRef);
+    scoredSql = `SELECT
+         chunk_id,
+         file_path,
+         start_line,
+         end_line,
+         language,
+         content,
+         ts_rank_cd(${tsv}, ${tsquerySql})::float8 AS score
+       FROM chunks
+       WHERE corpus_id = $1
+         AND ${tsv} @@ ${tsquerySql}${filterSql}`;
+  }
+
+  let keysetSql = '';
+  if (after) {
+    params.push(after.score, after.chunkId);
+    keysetSql = `WHERE score < $${params.length - 1} OR (score = $${params.length - 1} AND chunk_id COLLATE "C" > $${params.length})`;
+  }
+  params.push(topK);
+  // float8 keeps the score exact when it round-trips through a cursor; COLLATE "C" matches the JS tie-break.
+  const { rows } = await sql.query(
+    `SELECT *
+     FROM (
+       ${scoredSql}
+     ) ranked
+     ${keysetSql}
+     ORDER BY score DESC, chunk_id COLLATE "C" ASC
+     LIMIT $${params.length};`,
+    params,
+  );
+
+  return (rows || []).map((r) => ({
+    chunk_id: String(r.chunk_id),
+    content: String(r.content),
+    file_path: String(r.file_path),
+    start_line: Number(r.start_line) || 0,
+    end_line: Number(r.end_line) || 0,
+    language: r.language == null ? null : String(r.language),
+    score: Number(r.score) || 0,
+    source: 'sparse',
+    metadata: { corpus_id: corpusId, sparse_scoring: scoring.method, ts_config: scoring.tsConfig },
+  }));
+}
+
+// Counts chunks the tsquery admits; BM25 only changes their order, not membership.
+async function countSparseMatches(sql, corpusId, query, { cfg, filters = null } = {}) {
+  const q = String(query || '').trim();
+  if (!q) return 0;
+  const corpusCfg = cfg || getConfig(corpusId);
+  const scoring = await resolveSparseScoring(sql, corpusId, corpusCfg);
+  const { params, cfgRef, tsquerySql } = prepareSparseQuery(corpusId, q, corpusCfg, { ...scoring, method: 'count' });
   const { rows } = await sql.query(
-    `SELECT
-       chunk_id,
-       file_path,
-       start_line,
-       end_line,
-       language,
-       content,
-       ts_rank_cd(content_tsv, plainto_tsquery('english', $2)) AS score
+    `SELECT COUNT(*)::int AS total
      FROM chunks
      WHERE corpus_id = $1
-       AND content_tsv @@ plainto_tsquery('english', $2)
+       AND ${sparseTsvectorSql(scoring.tsConfig, cfgRef)} @@ ${tsquerySql}${filterSqlClause(filters, params)};`,
+    params,
+  );
+  return Number(rows?.[0]?.total) || 0;
+}
+
+function flagValue(raw) {
+  return raw === true || ['1', 'true', 'yes', 'on'].includes(String(raw).trim().toLowerCase());
+}
+
+// Requesting a snippet drops the full chunk `content` from results unless `include_content` asks for it.
+function resolveHighlightOptions(highlightRaw, snippetRaw, cfg, includeContentRaw = null) {
+  const highlight =
+    highlightRaw == null || highlightRaw === '' ? Boolean(cfg?.sparse_search?.highlight) : flagValue(highlightRaw);
+  const n = Number(snippetRaw);
+  const snippetChars = snippetRaw != null && snippetRaw !== '' && Number.isFinite(n) && n > 0
+    ? Math.max(40, Math.min(4000, Math.floor(n)))
+    : null;
+  const includeContent = includeContentRaw != null && includeContentRaw !== '' && flagValue(includeContentRaw);
+  return { highlight, snippetChars, includeContent, tsConfig: bm25OptionsFromConfig(cfg).tsConfig };
+}
+
+// Runs ts_headline over the matches' own content so highlighting works for every leg, not just sparse.
+async function highlightMatches(sql, matches, query, { highlight, snippetChars, includeContent, tsConfig }) {
+  if (!matches.length || (!highlight && !snippetChars)) return matches;
+  const q = String(query || '').trim();
+  const headlines = [];
+  if (highlight && q) {
+    const { rows } = await sql.query(
+      `SELECT t.ord, ts_headline($4::regconfig, t.content, plainto_tsquery($4::regconfig, $2), $3) AS headline
+       FROM unnest($1::text[]) WITH ORDINALITY AS t(content, ord);`,
+      [matches.map((m) => String(m.content || '')), q, HEADLINE_OPTIONS, await resolveTsConfig(sql, tsConfig)],
+    );
+    for (const r of rows || []) headlines[Number(r.ord) - 1] = String(r.headline || '');
+  }
+  return matches.map((m, index) =>
+    applyHighlight(m, { headline: headlines[index], query: q, highlight, snippetChars, includeContent }),
+  );
+}
+
+async function vectorSearchChunks(sql, corpusId, query, topK, cfg, filters = null) {
+  const q = String(query || '').trim();
+  if (!q) return [];
+  if (!vectorStoreReady) throw new Error('pgvector is not available on this database');
+
+  const { embedder, error } = resolveEmbedder(cfg);
+  if (!embedder) throw new Error(error || 'No embedder configured');
+
+  const [queryVector] = await embedder.embed([q]);
+  const threshold = Number(cfg?.vector_search?.similarity_threshold) || 0;
+
+  const params = [corpusId, toVectorLiteral(queryVector), embedder.model, embedder.dim, threshold];
+  const filterSql = filterSqlClause(filters, params, 'c');
+  params.push(topK);
+
+  // The CASE guard keeps pgvector from comparing vectors of a different dimension.
+  const { rows } = await sql.query(
+    `SELECT *
+     FROM (
+       SELECT
+         c.chunk_id,
+         c.file_path,
+         c.start_line,
+         c.end_line,
+         c.language,
+         c.content,
+         CASE WHEN vector_dims(e.embedding) = $4
+           THEN 1 - (e.embedding <=> $2::vector)
+         END AS score
+       FROM chunk_embeddings e
+       JOIN chunks c ON c.chunk_id = e.chunk_id
+       WHERE e.corpus_id = $1
+         AND e.embedding_model = $3
+         AND e.embedding_dim = $4${filterSql}
+     ) scored
+     WHERE score IS NOT NULL
+       AND score >= $5
      ORDER BY score DESC
-     LIMIT $3;`,
-    [corpusId, q, topK],
+     LIMIT $${params.length};`,
+    params,
   );
 
   return (rows || []).map((r) => ({
@@ -1013,31 +1462,274 @@ async function searchChunks(sql, corpusId, query, topK) {
     end_line: Number(r.end_line) || 0,
     language: r.language == null ? null : String(r.language),
     score: Number(r.score) || 0,
-    source: 'sparse',
-    metadata: { corpus_id: corpusId },
+    source: 'vector',
+    metadata: { corpus_id: corpusId, embedding_model: embedder.model },
   }));
 }
 
+async function graphSearchChunks(sql, corpusId, query, topK, cfg, filters = null) {
+  const terms = extractGraphQueryTerms(query);
+  if (!terms.tokens.length) return { matches: [], entityHits: 0 };
 
-function formatRunId(corpusId, date) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const ts = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
-  return `${corpusId}__${ts}`;
+  const graphCfg = cfg?.graph_search || {};
+  const expansionEnabled = graphCfg.chunk_entity_expansion_enabled !== false;
+  const maxHops = expansionEnabled ? Math.max(0, Math.min(5, Number(graphCfg.max_hops ?? 2))) : 0;
+  const expansionWeight = Math.max(0, Math.min(1, Number(graphCfg.chunk_entity_expansion_weight ?? 0.8)));
+  const neighborWindow = Math.max(0, Math.min(10, Number(graphCfg.chunk_neighbor_window ?? 1)));
+  const overfetch = Math.max(1, Number(graphCfg.chunk_seed_overfetch_multiplier) || 10);
+
+  const seedRows = await sql.query(
+    `SELECT entity_id, name
+     FROM graph_entities
+     WHERE corpus_id = $1
+       AND (
+         REPLACE(REPLACE(LOWER(name), '_', ' '), '-', ' ') = ANY($2::text[])
+         OR LOWER(name) LIKE ANY($3::text[])
+       )
+     LIMIT $4;`,
+    [
+      corpusId,
+      terms.ngrams,
+      terms.tokens.filter((t) => t.length >= 4).map((t) => `%${t}%`),
+      topK * overfetch,
+    ],
+  );
+  const seeds = (seedRows.rows || [])
+    .map((r) => ({ entity_id: String(r.entity_id), score: scoreGraphSeed(r.name, terms) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10);
+  if (!seeds.length) return { matches: [], entityHits: 0 };
+  const seedScore = new Map(seeds.map((s) => [s.entity_id, s.score]));
+
+  const walk = await walkGraph(
+    seeds.map((s) => s.entity_id),
+    async (frontier, visited, limit) => {
+      const { rows } = await sql.query(
+        `SELECT from_id, to_id
+         FROM (
+           SELECT DISTINCT ON (n.to_id) n.from_id, n.to_id, array_position($2::text[], n.from_id) AS rank
+           FROM (
+             SELECT source_id AS from_id, target_id AS to_id FROM graph_edges WHERE corpus_id = $1 AND source_id = ANY($2::text[])
+             UNION ALL
+             SELECT target_id AS from_id, source_id AS to_id FROM graph_edges WHERE corpus_id = $1 AND target_id = ANY($2::text[])
+           ) n
+           WHERE NOT (n.to_id = ANY($3::text[]))
+           ORDER BY n.to_id, rank
+         ) d
+         ORDER BY rank, to_id
+         LIMIT $4;`,
+        [corpusId, frontier, visited, limit],
+      );
+      return (rows || []).map((r) => ({ from: String(r.from_id), to: String(r.to_id) }));
+    },
+    { maxHops, perHopLimit: topK * overfetch },
+  );
+  const entityRows = await sql.query(
+    `SELECT entity_id, name, file_path FROM graph_entities WHERE corpus_id = $1 AND entity_id = ANY($2::text[]);`,
+    [corpusId, walk.map((w) => w.entity_id)],
+  );
+  const entities = new Map((entityRows.rows || []).map((r) => [String(r.entity_id), r]));
+
+  const names = new Map();
+  const reached = [];
+  for (const { entity_id: entityId, path, depth } of walk) {
+    const r = entities.get(entityId);
+    if (!r) continue;
+    names.set(entityId, String(r.name));
+    reached.push({
+      entity_id: entityId,
+      name: String(r.name),
+      file_path: r.file_path == null ? '' : String(r.file_path),
+      path,
+      depth,
+      score: (seedScore.get(path[0]) || 0) * Math.pow(expansionWeight, depth),
+    });
+  }
+
+  const filePaths = Array.from(
+    new Set(
+      reached
+        .filter((e) => e.file_path)
+        .sort((a, b) => b.score - a.score)
+        .map((e) => e.file_path),
+    ),
+  ).slice(0, topK);
+  if (!filePaths.length) return { matches: [], entityHits: seeds.length };
+
+  const chunkParams = [corpusId, filePaths];
+  const filterSql = filterSqlClause(filters, chunkParams);
+  chunkParams.push(topK * overfetch * 4);
+  const chunkRows = await sql.query(
+    `SELECT chunk_id, file_path, start_line, end_line, language, content
+     FROM chunks
+     WHERE corpus_id = $1
+       AND file_path = ANY($2::text[])${filterSql}
+     ORDER BY file_path ASC, start_line ASC, chunk_id ASC
+     LIMIT $${chunkParams.length};`,
+    chunkParams,
+  );
+  const chunksByFile = new Map();
+  for (const r of chunkRows.rows || []) {
+    const fp = String(r.file_path);
+    if (!chunksByFile.has(fp)) chunksByFile.set(fp, []);
+    chunksByFile.get(fp).push(r);
+  }
+
+  const best = new Map();
+  const offer = (row, score, entity, hit) => {
+    const id = String(row.chunk_id);
+    const prev = best.get(id);
+    if (prev && prev.score >= score) return;
+    best.set(id, { row, score, entity, hit });
+  };
+  for (const entity of reached) {
+    const fileChunks = chunksByFile.get(entity.file_path) || [];
+    if (!fileChunks.length) continue;
+    const needle = entity.name.toLowerCase();
+    let hits = fileChunks
+      .map((row, idx) => (String(row.content || '').toLowerCase().includes(needle) ? idx : -1))
+      .filter((idx) => idx >= 0);
+    // The entity was extracted from this file even if its surface form was normalized away.
+    if (!hits.length) hits = [0];
+    for (const idx of hits) {
+      offer(fileChunks[idx], entity.score, entity, 'entity');
+      for (let d = 1; d <= neighborWindow; d += 1) {
+        for (const n of [idx - d, idx + d]) {
+          if (n >= 0 && n < fileChunks.length) offer(fileChunks[n], entity.score * expansionWeight, entity, 'neighbor');
+        }
+      }
+    }
+  }
+
+  const matches = Array.from(best.values())
+    .sort((a, b) => b.score - a.score || String(a.row.chunk_id).localeCompare(String(b.row.chunk_id)))
+    .slice(0, topK)
+    .map(({ row, score, entity, hit }) => ({
+      chunk_id: String(row.chunk_id),
+      content: String(row.content),
+      file_path: String(row.file_path),
+      start_line: Number(row.start_line) || 0,
+      end_line: Number(row.end_line) || 0,
+      language: row.language == null ? null : String(row.language),
+      score: Number(score.toFixed(6)),
+      source: 'graph',
+      metadata: {
+        corpus_id: corpusId,
+        graph_hit: hit,
+        graph_depth: entity.depth,
+        entity_path: entity.path.map((id) => ({ entity_id: id, name: names.get(id) || id })),
+      },
+    }));
+
+  return { matches, entityHits: seeds.length };
 }
 
-function flattenConfigSnapshot(cfg) {
-  const out = {};
-  const walk = (obj, prefix) => {
-    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-      if (prefix) out[prefix] = obj;
-      return;
+async function retrieveMatches(sql, { corpusIds, query, queries, topK, includeVector, includeSparse, includeGraph, filters }) {
+  const legDebug = {
+    vector_results: 0,
+    sparse_results: 0,
+    graph_entity_hits: 0,
+    graph_hydrated_chunks: 0,
+    vector_error: null,
+    graph_error: null,
+    sparse_scoring: null,
+    query_parse: null,
+  };
+  const fusionOptions = fusionOptionsFromConfig(getConfig(corpusIds[0] || 'global'));
+  const variants = Array.isArray(queries) && queries.length ? queries : [query];
+
+  const retrieveVariant = async (cid, cfg, variant) => {
+    const useVector = includeVector && cfg?.vector_search?.enabled !== false;
+    const useSparse = includeSparse && cfg?.sparse_search?.enabled !== false;
+    const useGraph = includeGraph && cfg?.graph_search?.enabled !== false;
+    const graphTopK = Math.max(1, Number(cfg?.graph_search?.top_k) || topK);
+    const vectorTopK = Math.max(1, Number(cfg?.vector_search?.top_k) || topK);
+    const sparseTopK = Math.max(topK, Number(cfg?.sparse_search?.top_k) || topK);
+
+    const legs = {};
+    const [vector, sparse, graph] = await Promise.all([
+      useVector
+        ? vectorSearchChunks(sql, cid, variant, vectorTopK, cfg, filters).catch((e) => {
+            legDebug.vector_error = String(e?.message || e);
+            return null;
+          })
+        : null,
+      useSparse ? searchChunks(sql, cid, variant, sparseTopK, { cfg, filters }) : null,
+      useGraph
+        ? graphSearchChunks(sql, cid, variant, graphTopK, cfg, filters).catch((e) => {
+            legDebug.graph_error = String(e?.message || e);
+            return null;
+          })
+        : null,
+    ]);
+    if (vector) {
+      legs.vector = vector;
+      legDebug.vector_results += vector.length;
+    }
+    if (sparse) {
+      legs.sparse = sparse;
+      legDebug.sparse_results += sparse.length;
     }
-    for (const [k, v] of Object.entries(obj)) {
-      walk(v, prefix ? `${prefix}.${k}` : k);
+    if (graph) {
+      legs.graph = graph.matches;
+      legDebug.graph_entity_hits += graph.entityHits;
+      legDebug.graph_hydrated_chunks += graph.matches.length;
     }
+    return fuseLegResults(legs, fusionOptionsFromConfig(cfg));
   };
-  walk(cfg, '');
-  return out;
+
+  const perCorpus = await Promise.all(
+    corpusIds.map(async (cid) => {
+      const cfg = getConfig(cid);
+      if (includeSparse && !legDebug.sparse_scoring) {
+        const scoring = await resolveSparseScoring(sql, cid, cfg);
+        legDebug.sparse_scoring = { method: scoring.method, ts_config: scoring.tsConfig, k1: scoring.k1, b: scoring.b };
+        legDebug.query_parse = sparseQueryDiagnostics(query, cfg);
+      }
+      const lists = await Promise.all(variants.map((variant) => retrieveVariant(cid, cfg, variant)));
+      return lists.length > 1 ? fuseQueryVariants(lists, fusionOptionsFromConfig(cfg).rrfK) : lists[0];
+    }),
+  );
+
+  // Each corpus is fused with its own config; corpora are then interleaved by fused score.
+  const fused = perCorpus.flat().sort((a, b) => compareMatches(a.match, b.match));
+  const fusedByChunk = new Map(fused.map((f) => [f.match.chunk_id, f]));
+
+  // Rerank the fused pool before the final top-k cut so the reranker can promote candidates past it.
+  const rerankOptions = rerankOptionsFromConfig(getConfig(corpusIds[0] || 'global'));
+  const reranked = await rerankMatches(query, fused.map((f) => f.match), rerankOptions);
+  const matches = reranked.matches.slice(0, topK);
+
+  return {
+    matches,
+    debug: {
+      ...legDebug,
+      rerank: {
+        ...reranked.debug,
+        config_corpus_id: corpusIds[0] || null,
+        ranks: reranked.debug.enabled ? matches.map((m) => ({ chunk_id: m.chunk_id, ...m.metadata?.rerank })) : [],
+      },
+      fusion: {
+        method: fusionOptions.method,
+        rrf_k: fusionOptions.method === 'rrf' ? fusionOptions.rrfK : null,
+        weights: fusionOptions.method === 'weighted' ? fusionOptions.weights : null,
+        normalize_scores: fusionOptions.normalizeScores,
+        matches: matches.map((m) => ({
+          chunk_id: m.chunk_id,
+          fused_score: m.score,
+          legs: fusedByChunk.get(m.chunk_id).legs,
+          ...(variants.length > 1 ? { variants: fusedByChunk.get(m.chunk_id).variants } : {}),
+        })),
+      },
+    },
+  };
+}
+
+
+function formatRunId(corpusId, date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const ts = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${corpusId}__${ts}`;
 }
 
 function mulberry32(seed) {
@@ -1209,7 +1901,7 @@ function computeEvalMetrics(results) {
   };
 }
 
-function buildEvalRun({ runId, corpusId, datasetId, configSnapshot, results, startedAt, completedAt, useMulti, finalK }) {
+function buildEvalRun({ runId, corpusId, datasetId, configSnapshot, configVersionId = null, results, startedAt, completedAt, useMulti, finalK }) {
   const total = results.length;
   const top1Hits = results.filter((r) => r.top1_hit).length;
   const topkHits = results.filter((r) => r.topk_hit).length;
@@ -1219,6 +1911,7 @@ function buildEvalRun({ runId, corpusId, datasetId, configSnapshot, results, sta
     run_id: runId,
     corpus_id: corpusId,
     dataset_id: datasetId,
+    config_version_id: configVersionId,
     config_snapshot: configSnapshot || {},
     config: flattenConfigSnapshot(configSnapshot || {}),
     total,
@@ -1478,7 +2171,7 @@ async function listEvalRuns(sql, corpusId) {
          created_at DESC`
     : `ORDER BY created_at DESC`;
   const res = await sql.query(
-    `SELECT run_id, top1_accuracy, topk_accuracy, mrr, total, duration_secs, has_config
+    `SELECT run_id, top1_accuracy, topk_accuracy, mrr, total, duration_secs, has_config, config_version_id
      FROM eval_runs
      WHERE corpus_id = $1
      ${orderBy};`,
@@ -1492,6 +2185,7 @@ async function listEvalRuns(sql, corpusId) {
     total: Number(r.total) || 0,
     duration_secs: Number(r.duration_secs) || 0,
     has_config: r.has_config !== false,
+    config_version_id: r.config_version_id == null ? null : Number(r.config_version_id),
   }));
 }
 
@@ -1499,6 +2193,7 @@ async function createEvalRun(sql, {
   corpusId,
   datasetEntries,
   configSnapshot,
+  configVersionId = null,
   finalK,
   useMulti,
   sampleSize,
@@ -1553,6 +2248,7 @@ async function createEvalRun(sql, {
     corpusId,
     datasetId: detectedDatasetId || 'epstein-demo',
     configSnapshot,
+    configVersionId,
     results,
     startedAt: startedAt.toISOString(),
     completedAt: completedAt.toISOString(),
@@ -1572,8 +2268,9 @@ async function createEvalRun(sql, {
       total,
       duration_secs,
       has_config,
+      config_version_id,
       run_json
-    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb)
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12::jsonb)
     ON CONFLICT (run_id) DO UPDATE SET run_json = EXCLUDED.run_json;`,
     [
       run.run_id,
@@ -1586,6 +2283,7 @@ async function createEvalRun(sql, {
       run.total ?? 0,
       run.duration_secs ?? 0,
       run.config ? true : false,
+      run.config_version_id,
       toJsonbParam(run),
     ]
   );
@@ -1593,27 +2291,34 @@ async function createEvalRun(sql, {
   return run;
 }
 
-function buildRagPrompt(userMessage, matches) {
-  const maxChunks = Math.min(matches.length, 8);
-  const context = matches.slice(0, maxChunks).map((m, idx) => {
+function buildRagPrompt(userMessage, { matches = [], recallMatches = [], history = [], cfg = null } = {}) {
+  // Citation markers [n] index into this list.
+  const numbered = matches.slice(0, 8);
+  const context = numbered.map((m, idx) => {
     const header = `[${idx + 1}] ${m.file_path}:${m.start_line}-${m.end_line}`;
     return `${header}\n${m.content}`;
   });
+  // Recall chunks already start with their speaker and timestamp.
+  const recallContext = recallMatches.map((m) => m.content);
+  const mode = chatPromptMode({ ragHits: context.length > 0, recallHits: recallContext.length > 0 });
 
+  const composed = composeSystemPrompt((key) => getPromptValue(cfg, key), mode);
   const system = [
-    'You are ragweld, a helpful agentic RAG database assistant.',
-    'Answer using ONLY the provided context when possible.',
-    'Cite sources inline by referencing the bracketed chunk numbers like [1], [2].',
+    composed.text,
+    ...(context.length ? ['', 'Cite sources inline by referencing the bracketed chunk numbers like [1], [2].'] : []),
   ].join('\n');
 
+  const transcript = history.map((m) => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`);
   const user = [
+    ...(transcript.length ? ['Conversation so far:', transcript.join('\n\n'), ''] : []),
     `Question: ${userMessage}`,
     '',
-    'Context:',
-    context.length ? context.join('\n\n') : '(no retrieved context)',
+    ...(context.length ? ['<rag_context>', context.join('\n\n'), '</rag_context>'] : []),
+    ...(recallContext.length ? ['<recall_context>', recallContext.join('\n\n'), '</recall_context>'] : []),
+    ...(mode === 'direct' ? ['(no retrieved context)'] : []),
   ].join('\n');
 
-  return { system, user };
+  return { system, user, numbered, promptDebug: composed.debug };
 }
 
 function extractResponsesText(data) {
@@ -1720,43 +2425,128 @@ async function callOpenAI(system, user, modelOverride) {
     String(process.env.RAGWELD_CHAT_MODEL || 'gpt-5.3-codex').trim() ||
     'gpt-5.3-codex';
   const reasoningEffort = String(options.reasoningEffort || 'xhigh').trim() || 'xhigh';
-  const maxOutputTokens = Number(options.maxOutputTokens);
+  const settings = options.settings || {};
+  const maxOutputTokens = Number(options.maxOutputTokens ?? settings.max_tokens);
   const body = {
     model,
     instructions: system,
-    input: user,
+    input: options.transcript ? toResponsesInput(options.transcript) : user,
     reasoning: { effort: reasoningEffort },
   };
+  if (options.tools) {
+    body.tools = responsesTools(options.tools);
+    body.tool_choice = options.toolChoice || 'auto';
+  }
+  const applied = {};
   if (Number.isFinite(maxOutputTokens) && maxOutputTokens > 0) {
     body.max_output_tokens = Math.floor(maxOutputTokens);
+    applied.max_tokens = body.max_output_tokens;
+  }
+  if (supportsSamplingParams(model)) {
+    if (settings.temperature != null) body.temperature = applied.temperature = settings.temperature;
+    if (settings.top_p != null) body.top_p = applied.top_p = settings.top_p;
   }
+  const onDelta = typeof options.onDelta === 'function' ? options.onDelta : null;
+  if (onDelta) body.stream = true;
 
-  const res = await fetch('https://api.openai.com/v1/responses', {
+  const baseUrl = normalizeBaseUrl(process.env.OPENAI_BASE_URL) || DEFAULT_OPENAI_BASE_URL;
+  const res = await fetch(`${baseUrl}/responses`, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(body),
+    signal: options.signal,
   });
 
   if (!res.ok) {
     const text = await res.text().catch(() => '');
-    throw new Error(`OpenAI error (${res.status}): ${text || res.statusText}`);
+    const err = new Error(`OpenAI error (${res.status}): ${text || res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  if (onDelta) {
+    const streamed = await consumeResponsesStream(res.body, onDelta);
+    return {
+      content: streamed.content.trim(),
+      tokensUsed: streamed.usage?.total_tokens || 0,
+      usage: streamed.usage,
+      model: String(streamed.model || model).trim() || model,
+      settings: applied,
+    };
   }
 
   const data = await res.json();
   const content = extractResponsesText(data);
-  const tokensUsed = Number(data?.usage?.total_tokens)
-    || (Number(data?.usage?.input_tokens || 0) + Number(data?.usage?.output_tokens || 0));
+  const usage = normalizeUsage(data?.usage);
   return {
     content,
-    tokensUsed,
+    toolCalls: options.tools ? parseResponsesToolOutput(data).toolCalls : [],
+    tokensUsed: usage?.total_tokens || 0,
+    usage,
     model: String(data?.model || model).trim() || model,
+    settings: applied,
   };
 }
 
-async function callOpenRouter(system, user, modelOverride, baseUrlOverride) {
+// Shared by OpenRouter and self-hosted OpenAI-compatible servers (Ollama, llama.cpp, vLLM).
+// `transcript` replaces the single system/user exchange, e.g. for tool-calling turns.
+async function callChatCompletions(baseUrl, headers, label, system, user, model, {
+  onDelta = null,
+  signal,
+  settings = {},
+  transcript = null,
+  tools = null,
+  toolChoice = 'auto',
+} = {}) {
+  const applied = { temperature: settings.temperature ?? 0.2 };
+  if (settings.top_p != null) applied.top_p = settings.top_p;
+  if (settings.max_tokens != null) applied.max_tokens = settings.max_tokens;
+
+  const res = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      model,
+      messages: transcript || [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+      ...(tools ? { tools: chatCompletionTools(tools), tool_choice: toolChoice } : {}),
+      ...applied,
+      ...(onDelta ? { stream: true, stream_options: { include_usage: true } } : {}),
+    }),
+    signal,
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`${label} error (${res.status}): ${text || res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  if (onDelta) {
+    const streamed = await consumeChatCompletionStream(res.body, onDelta);
+    return {
+      content: streamed.content.trim(),
+      tokensUsed: streamed.usage?.total_tokens || 0,
+      usage: streamed.usage,
+      baseUrl,
+      model: streamed.model || model,
+      settings: applied,
+    };
+  }
+
+  const data = await res.json();
+  const { content, toolCalls } = parseChatCompletionToolOutput(data);
+  const usage = normalizeUsage(data?.usage);
+  return { content, toolCalls, tokensUsed: usage?.total_tokens || 0, usage, baseUrl, model, settings: applied };
+}
+
+async function callOpenRouter(system, user, modelOverride, baseUrlOverride, options = {}) {
   const apiKey = String(process.env.OPENROUTER_API_KEY || '').trim();
   if (!apiKey) throw new Error('Missing OPENROUTER_API_KEY');
 
@@ -1774,34 +2564,17 @@ async function callOpenRouter(system, user, modelOverride, baseUrlOverride) {
     String(process.env.URL || process.env.DEPLOY_PRIME_URL || process.env.DEPLOY_URL || '').trim() ||
     'https://ragweld.com';
 
-  const res = await fetch(`${baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      // OpenRouter recommends these for attribution/rate-limit friendliness.
-      'HTTP-Referer': referer,
-      'X-Title': 'ragweld demo',
-    },
-    body: JSON.stringify({
-      model,
-      messages: [
-        { role: 'system', content: system },
-        { role: 'user', content: user },
-      ],
-      temperature: 0.2,
-    }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`OpenRouter error (${res.status}): ${text || res.statusText}`);
-  }
+  const headers = {
+    Authorization: `Bearer ${apiKey}`,
+    // OpenRouter recommends these for attribution/rate-limit friendliness.
+    'HTTP-Referer': referer,
+    'X-Title': 'ragweld demo',
+  };
+  return callChatCompletions(baseUrl, headers, 'OpenRouter', system, user, model, options);
+}
 
-  const data = await res.json();
-  const content = String(data?.choices?.[0]?.message?.content || '').trim();
-  const tokensUsed = Number(data?.usage?.total_tokens) || 0;
-  return { content, tokensUsed, baseUrl, model };
+async function callLocalProvider(system, user, model, baseUrl, options = {}) {
+  return callChatCompletions(baseUrl, {}, 'Local provider', system, user, model, options);
 }
 
 function titleFromModelId(id) {
@@ -1880,143 +2653,797 @@ async function listOpenRouterModels() {
   }
 }
 
-async function handleChat(sql, request) {
-  const startedAtMs = Date.now();
-  const message = String(request?.message || '').trim();
-  if (!message) return json(422, { error: 'message is required' });
+function resolveChatRoute(cfg, modelOverrideRaw) {
+  const parsed = parseModelOverride(String(modelOverrideRaw || '').trim());
+
+  // Resolve provider route:
+  // - Explicit prefixes win (openrouter:/local:)
+  // - A configured local provider with a default chat model comes next
+  // - Otherwise fall back to config defaults.
+  let kind = parsed.kind;
+  let model = parsed.model;
+  const local = localModelsOptionsFromConfig(cfg);
+
+  if (kind === 'local') {
+    model = model || local.defaultChatModel;
+  } else if (!kind && local.providers.length && local.defaultChatModel) {
+    kind = 'local';
+    model = local.defaultChatModel;
+  }
 
-  const corpusIds = normalizeCorpusIds(request?.sources?.corpus_ids);
-  const fallbackCorpus = String(request?.corpus_id || '').trim();
-  const effectiveCorpora = corpusIds.length ? corpusIds : (fallbackCorpus ? [fallbackCorpus] : []);
+  if (!kind) {
+    const orEnabled = Boolean(cfg?.chat?.openrouter?.enabled);
+    const openaiProtocol = String(cfg?.chat?.openai_protocol || 'auto').trim().toLowerCase();
+    const defaultCloudModel = String(cfg?.ui?.chat_default_model || '').trim() || 'gpt-5.3-codex';
+    const hasOpenAIKey = Boolean(String(process.env.OPENAI_API_KEY || '').trim());
+    const preferCloudDirect = openaiProtocol === 'responses' && hasOpenAIKey;
+
+    if (preferCloudDirect) {
+      kind = 'cloud_direct';
+      model = defaultCloudModel || model;
+    } else if (orEnabled) {
+      kind = 'openrouter';
+      model = String(cfg?.chat?.openrouter?.default_model || '').trim() || model;
+    } else {
+      kind = 'cloud_direct';
+      model = defaultCloudModel || model;
+    }
+  }
+  return { kind, model };
+}
 
-  const includeSparse = request?.include_sparse !== false;
-  const topK = Number.isFinite(Number(request?.top_k)) ? Math.max(1, Math.min(50, Number(request?.top_k))) : 8;
+// `options.onDelta` switches the upstream call to streaming; `options.signal` aborts it.
+// `options.transcript` + `options.tools` make it a tool-calling turn (see agent-loop.js).
+async function generateWithRoute(cfg, route, system, user, options = {}) {
+  const { kind, model } = route;
+  if (kind === 'local') {
+    // Candidates from the router carry their provider; direct calls use the highest-priority one.
+    const local = localModelsOptionsFromConfig(cfg);
+    const fallback = local.providers[0];
+    const baseUrl = route.base_url || fallback?.base_url;
+    if (!local.enabled) throw new Error('Local models are disabled on this deployment (RAGWELD_DEMO_ALLOW_LOCAL_MODELS).');
+    if (!baseUrl) throw new Error('No allowed local provider is configured (chat.local_models.providers, RAGWELD_LOCAL_MODEL_BASE_URLS).');
+    const result = await callLocalProvider(system, user, model, baseUrl, {
+      onDelta: options.onDelta,
+      signal: options.signal,
+      settings: options.settings,
+      transcript: options.transcript,
+      tools: options.tools,
+      toolChoice: options.toolChoice,
+    });
+    return {
+      content: result.content,
+      toolCalls: result.toolCalls || [],
+      tokensUsed: result.tokensUsed,
+      usage: result.usage,
+      settings: result.settings,
+      provider: {
+        kind: 'local',
+        provider_name: route.provider_name || fallback?.name || 'Local',
+        model: String(result.model || model || '').trim(),
+        base_url: baseUrl,
+      },
+    };
+  }
 
-  let matches = [];
-  if (includeSparse && effectiveCorpora.length) {
-    const perCorpus = Math.max(3, Math.ceil(topK / effectiveCorpora.length));
-    const sets = await Promise.all(effectiveCorpora.map((cid) => searchChunks(sql, cid, message, perCorpus)));
-    matches = sets.flat().sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, topK);
+  if (kind === 'openrouter') {
+    const baseUrl = String(cfg?.chat?.openrouter?.base_url || '').trim();
+    const result = await callOpenRouter(system, user, model, baseUrl, {
+      onDelta: options.onDelta,
+      signal: options.signal,
+      settings: options.settings,
+      transcript: options.transcript,
+      tools: options.tools,
+      toolChoice: options.toolChoice,
+    });
+    return {
+      content: result.content,
+      toolCalls: result.toolCalls || [],
+      tokensUsed: result.tokensUsed,
+      usage: result.usage,
+      settings: result.settings,
+      provider: {
+        kind: 'openrouter',
+        provider_name: 'OpenRouter',
+        model: String(result.model || model || '').trim(),
+        base_url: result.baseUrl || baseUrl || DEFAULT_OPENROUTER_BASE_URL,
+      },
+    };
   }
 
-  const { system, user } = buildRagPrompt(message, matches);
+  const result = await callOpenAI(system, user, { ...options, model });
+  return {
+    content: result.content,
+    toolCalls: result.toolCalls || [],
+    tokensUsed: result.tokensUsed,
+    usage: result.usage,
+    settings: result.settings,
+    provider: {
+      kind: 'cloud_direct',
+      provider_name: 'OpenAI',
+      model: String(model || '').trim() || String(process.env.RAGWELD_CHAT_MODEL || 'gpt-5.3-codex').trim(),
+      base_url: null,
+    },
+  };
+}
+
+// Cloud fallbacks whose provider has no key configured are left out; the primary route is always
+// tried so its error is reported. Local routes expand to every configured provider, with unhealthy
+// ones logged as skipped.
+async function resolveProviderChain(cfg, route) {
+  const router = providerRouterOptionsFromConfig(cfg);
+  const hasOpenAIKey = Boolean(String(process.env.OPENAI_API_KEY || '').trim());
+  const hasOpenRouterKey = Boolean(String(process.env.OPENROUTER_API_KEY || '').trim());
+  const local = localModelsOptionsFromConfig(cfg);
+  const localStatuses = route.kind === 'local' ? await checkLocalProviders(local) : [];
+  const built = buildProviderChain(route, {
+    fallbackModels: router.fallbackModels,
+    openrouterEnabled: Boolean(cfg?.chat?.openrouter?.enabled),
+    openrouterModel: String(cfg?.chat?.openrouter?.default_model || '').trim(),
+    cloudModel: String(cfg?.ui?.chat_default_model || '').trim() || 'gpt-5.3-codex',
+    localCandidates: localStatuses.length ? localCandidates(localStatuses, route.model) : null,
+    fallbackToCloud: local.fallbackToCloud,
+  });
+  return built.filter((c, index) => {
+    if (index === 0 || c.kind === 'local') return true;
+    return c.kind === 'openrouter' ? hasOpenRouterKey : hasOpenAIKey;
+  });
+}
 
-  let assistant = '';
-  let tokensUsed = 0;
-  let provider = null;
+// Answer generation with retries and provider fallback. `options.chain` reuses a chain from
+// resolveProviderChain, so multi-turn callers probe local providers once rather than per turn;
+// `options.deadline` likewise lets them share one time budget across turns.
+async function generateWithFallback(cfg, route, system, user, options = {}) {
+  const { chain: resolved, deadline, ...callOptions } = options;
+  const router = providerRouterOptionsFromConfig(cfg);
+  const chain = resolved || (await resolveProviderChain(cfg, route));
+  const { result, attempts } = await runWithFallback(
+    chain,
+    (candidate, signal) => generateWithRoute(cfg, candidate, system, user, { ...callOptions, signal }),
+    {
+      retryMax: router.retryMax,
+      timeoutMs: router.timeoutMs,
+      deadline: deadline ?? Date.now() + router.budgetMs,
+      signal: options.signal,
+      committed: options.committed,
+    },
+  );
+  return { ...result, attempts };
+}
+
+// Chunks one owner's queued turns into their recall corpus and embeds them so the vector leg can see
+// them too.
+async function syncRecallCorpus(sql, options, indexOptions) {
+  const out = { indexed: 0, embedded: 0, error: null };
   try {
-    const scope = String(request?.corpus_id || '').trim() || null;
-    const cfg = getConfig(scope || 'global');
-
-    const overrideRaw = String(request?.model_override || '').trim();
-    const parsed = parseModelOverride(overrideRaw);
-
-    // Resolve provider route:
-    // - Explicit prefixes win (openrouter:/local:)
-    // - Otherwise fall back to config defaults.
-    let kind = parsed.kind;
-    let model = parsed.model;
-
-    if (!kind) {
-      const orEnabled = Boolean(cfg?.chat?.openrouter?.enabled);
-      const openaiProtocol = String(cfg?.chat?.openai_protocol || 'auto').trim().toLowerCase();
-      const defaultCloudModel = String(cfg?.ui?.chat_default_model || '').trim() || 'gpt-5.3-codex';
-      const hasOpenAIKey = Boolean(String(process.env.OPENAI_API_KEY || '').trim());
-      const preferCloudDirect = openaiProtocol === 'responses' && hasOpenAIKey;
-
-      if (preferCloudDirect) {
-        kind = 'cloud_direct';
-        model = defaultCloudModel || model;
-      } else if (orEnabled) {
-        kind = 'openrouter';
-        model = String(cfg?.chat?.openrouter?.default_model || '').trim() || model;
+    const { indexed, corpusIds } = await indexPendingRecall(sql, options, indexOptions);
+    out.indexed = indexed;
+    if (indexed && vectorStoreReady) {
+      const { embedder, error } = resolveEmbedder(getConfig(options.corpusId));
+      if (!embedder) out.error = error;
+      for (const corpusId of embedder ? corpusIds : []) {
+        out.embedded += await embedPendingChunks(sql, corpusId, embedder, { limit: 200 });
+      }
+    }
+  } catch (e) {
+    out.error = String(e?.message || e);
+  }
+  return out;
+}
+
+const INDEX_INSERT_BATCH = 500;
+
+// Chunks uploaded files per the corpus config and replaces the chunks those paths had before (or the
+// whole corpus with force_reindex) in one transaction, so a failed upload leaves the previous chunks
+// in place. BM25 postings follow via the chunks trigger; dense vectors are embedded here unless
+// indexing.skip_dense is set. Embedding stops after embedPendingChunks' limit, and status is
+// 'partial' while chunks are still waiting for vectors (scripts/embed-chunks.mjs finishes them).
+async function indexUploadedFiles(sql, corpusId, body) {
+  const startedAt = nowIso();
+  const cfg = getConfig(corpusId);
+  const { files, skipped } = collectIndexFiles(body, indexOptionsFromConfig(cfg));
+  const chunkerOptions = chunkerOptionsFromConfig(cfg);
+  const { rows, empty } = indexChunkRows(corpusId, files, chunkerOptions);
+  for (const path of empty) skipped.push({ path, reason: 'no text to chunk' });
+
+  const name = String(body?.name || '').trim() || corpusId;
+  const description = String(body?.description || '').trim() || null;
+  const tsConfig = bm25Ready ? await resolveTsConfig(sql, bm25OptionsFromConfig(cfg).tsConfig) : null;
+  const completedAt = await withTransaction(sql, async (client) => {
+    await client.query(
+      `INSERT INTO corpora (corpus_id, name, path, slug, description, meta)
+       VALUES ($1, $2, $1, $1, $3, '{"uploaded": true}'::jsonb)
+       ON CONFLICT (corpus_id) DO UPDATE SET meta = corpora.meta || '{"uploaded": true}'::jsonb;`,
+      [corpusId, name, description],
+    );
+    if (body?.force_reindex) {
+      await client.query(`DELETE FROM chunks WHERE corpus_id = $1;`, [corpusId]);
+    } else {
+      await client.query(`DELETE FROM chunks WHERE corpus_id = $1 AND file_path = ANY($2::text[]);`, [
+        corpusId,
+        files.map((f) => f.path),
+      ]);
+    }
+    // Registered before the inserts so their trigger builds BM25 statistics alongside the chunks.
+    if (tsConfig) await registerBm25Corpus(client, corpusId, tsConfig);
+    for (let at = 0; at < rows.length; at += INDEX_INSERT_BATCH) {
+      const batch = rows.slice(at, at + INDEX_INSERT_BATCH);
+      await client.query(
+        `INSERT INTO chunks (chunk_id, corpus_id, file_path, start_line, end_line, language, content)
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::int[], $5::int[], $6::text[], $7::text[])
+         ON CONFLICT (chunk_id) DO UPDATE
+         SET file_path = EXCLUDED.file_path, start_line = EXCLUDED.start_line, end_line = EXCLUDED.end_line,
+             language = EXCLUDED.language, content = EXCLUDED.content;`,
+        ['chunk_id', 'corpus_id', 'file_path', 'start_line', 'end_line', 'language', 'content'].map((key) =>
+          batch.map((row) => row[key]),
+        ),
+      );
+    }
+    const { rows: updated } = await client.query(
+      `UPDATE corpora SET last_indexed = now() WHERE corpus_id = $1 RETURNING last_indexed;`,
+      [corpusId],
+    );
+    return new Date(updated[0].last_indexed).toISOString();
+  });
+
+  const embedding = { embedded: 0, pending: 0, error: null };
+  if (rows.length && vectorStoreReady && !Number(cfg?.indexing?.skip_dense)) {
+    embedding.pending = rows.length;
+    try {
+      const { embedder, error } = resolveEmbedder(cfg);
+      if (embedder) {
+        embedding.embedded = await embedPendingChunks(sql, corpusId, embedder);
+        embedding.pending = await countPendingChunks(sql, corpusId, embedder);
       } else {
-        kind = 'cloud_direct';
-        model = defaultCloudModel || model;
+        embedding.error = error;
       }
+    } catch (e) {
+      embedding.error = String(e?.message || e);
     }
+  }
 
-    if (kind === 'local') {
-      throw new Error('Local providers are not available in the hosted demo. Choose an OpenRouter model instead.');
+  return {
+    corpus_id: corpusId,
+    status: embedding.pending ? 'partial' : 'complete',
+    progress: 1,
+    error: null,
+    started_at: startedAt,
+    completed_at: completedAt,
+    current_file: null,
+    strategy: resolveChunker(chunkerOptions.strategy).strategy,
+    files_indexed: files.length - empty.length,
+    chunks_indexed: rows.length,
+    skipped,
+    embedded: embedding.embedded,
+    embedding_pending: embedding.pending,
+    embedding_error: embedding.error,
+  };
+}
+
+// Indexes the caller's turns whose delay has passed, then searches their recall corpus when the client
+// checked it. Snippets from the current conversation are dropped since the prompt already carries
+// its history. Callers without an owner key have no recall corpus.
+async function retrieveRecall(sql, request, message, conversationId, options, legs, owner) {
+  const corpusId = recallCorpusId(options.corpusId, owner);
+  const debug = {
+    enabled: recallRequested(request, options) && Boolean(corpusId),
+    corpus_id: corpusId,
+    indexed_chunks: 0,
+    embedded_chunks: 0,
+    results: 0,
+    error: null,
+  };
+  if (!options.enabled || !corpusId) return { matches: [], autoIndex: options.autoIndex, debug };
+
+  const synced = await syncRecallCorpus(sql, options, { owner });
+  debug.indexed_chunks = synced.indexed;
+  debug.embedded_chunks = synced.embedded;
+  debug.error = synced.error;
+  if (!debug.enabled) return { matches: [], autoIndex: options.autoIndex, debug };
+
+  const ownPath = recallFilePath(conversationId);
+  const retrieved = await retrieveMatches(sql, {
+    corpusIds: [corpusId],
+    query: message,
+    topK: RECALL_TOP_K * 3,
+    includeVector: legs.includeVector,
+    includeSparse: legs.includeSparse,
+    includeGraph: legs.includeGraph && Boolean(getConfig(options.corpusId)?.chat?.recall?.graph_enabled),
+  });
+  const matches = retrieved.matches.filter((m) => m.file_path !== ownPath).slice(0, RECALL_TOP_K);
+  debug.results = matches.length;
+  debug.vector_error = retrieved.debug.vector_error;
+  return { matches, autoIndex: options.autoIndex, debug };
+}
+
+// Retrieval and prompt assembly shared by /api/chat and /api/chat/stream. `overrides` are the
+// already-validated request generation settings; `owner` is the caller's conversation owner hash.
+// `signal` aborts model calls made here (query rewrites). The returned `deadline` is the generation
+// budget for the whole request, which those calls already draw on.
+async function prepareChat(sql, request, message, overrides = {}, owner = null, { signal = null } = {}) {
+  const startedAtMs = Date.now();
+  const scope = String(request?.corpus_id || '').trim() || null;
+  const genCfg = getConfig(scope || 'global');
+  const deadline = startedAtMs + providerRouterOptionsFromConfig(genCfg).budgetMs;
+  const recallOptions = recallOptionsFromConfig(genCfg);
+  // Recall corpora are searched by retrieveRecall alone; as document corpora their chunks would
+  // show up twice and slip past its current-conversation filter. Checking only the recall source
+  // means no document retrieval, not a fallback to corpus_id.
+  const checked = normalizeCorpusIds(request?.sources?.corpus_ids);
+  const corpusIds = await withoutRecallCorpora(sql, checked.filter((id) => id !== recallOptions.corpusId));
+  const fallbackCorpus = checked.length ? '' : String(request?.corpus_id || '').trim();
+  const effectiveCorpora = corpusIds.length ? corpusIds : await withoutRecallCorpora(sql, fallbackCorpus ? [fallbackCorpus] : []);
+
+  const includeSparse = request?.include_sparse !== false;
+  const includeVector = request?.include_vector !== false;
+  const includeGraph = request?.include_graph !== false;
+  const topK = Number.isFinite(Number(request?.top_k)) ? Math.max(1, Math.min(50, Number(request?.top_k))) : 8;
+  const retrievalCfg = getConfig(String(request?.corpus_id || '').trim() || effectiveCorpora[0] || 'global');
+  const route = resolveChatRoute(genCfg, request?.model_override);
+  let conversationId = getConversationId(request);
+
+  // Only a client-supplied id can have prior turns; freshly minted ids start empty. An id that
+  // belongs to another owner is never continued: the turn starts a new conversation instead.
+  let history = { messages: [], tokens: 0, dropped: 0 };
+  if (String(request?.conversation_id || '').trim()) {
+    const access = await conversationAccess(sql, conversationId, owner);
+    if (access === 'foreign') conversationId = getConversationId({});
+    if (access === 'owner') {
+      const past = await loadConversationMessages(sql, conversationId, owner);
+      history = trimHistory(past, genCfg?.chat?.recall?.max_history_tokens ?? 4096);
     }
+  }
 
-    if (kind === 'openrouter') {
-      const baseUrl = String(cfg?.chat?.openrouter?.base_url || '').trim();
-      const result = await callOpenRouter(system, user, model, baseUrl);
-      assistant = result.content || 'No response generated.';
-      tokensUsed = result.tokensUsed;
-      provider = {
-        kind: 'openrouter',
-        provider_name: 'OpenRouter',
-        model: String(result.model || model || '').trim(),
-        base_url: result.baseUrl || baseUrl || DEFAULT_OPENROUTER_BASE_URL,
-      };
-    } else {
-      const result = await callOpenAI(system, user, model);
-      assistant = result.content || 'No response generated.';
-      tokensUsed = result.tokensUsed;
-      provider = {
-        kind: 'cloud_direct',
-        provider_name: 'OpenAI',
-        model: String(model || '').trim() || String(process.env.RAGWELD_CHAT_MODEL || 'gpt-5.3-codex').trim(),
-        base_url: null,
+  let matches = [];
+  let retrievalDebug = {
+    vector_results: 0,
+    sparse_results: 0,
+    graph_entity_hits: 0,
+    graph_hydrated_chunks: 0,
+    vector_error: null,
+    graph_error: null,
+    fusion: null,
+    rerank: null,
+  };
+  let queryRewrites = null;
+  const recall = await retrieveRecall(
+    sql,
+    request,
+    message,
+    conversationId,
+    recallOptions,
+    { includeVector, includeSparse, includeGraph },
+    owner,
+  );
+  if ((includeSparse || includeVector || includeGraph) && effectiveCorpora.length) {
+    // Rewrites are short, so they skip the heavy reasoning budget used for the answer itself.
+    const expansion = await expandQuery(message, {
+      ...queryExpansionOptionsFromConfig(retrievalCfg),
+      rewritePrompt: getPromptValue(retrievalCfg, 'query_rewrite'),
+      expansionPrompt: getPromptValue(retrievalCfg, 'query_expansion'),
+      signal,
+      deadline,
+      generate: async (system, user, callSignal) => {
+        const options = { reasoningEffort: 'low', maxOutputTokens: 300, signal: callSignal };
+        return (await generateWithRoute(genCfg, route, system, user, options)).content;
+      },
+    });
+    queryRewrites = expansion.debug;
+
+    const retrieved = await retrieveMatches(sql, {
+      corpusIds: effectiveCorpora,
+      query: message,
+      queries: expansion.queries,
+      topK,
+      includeVector,
+      includeSparse,
+      includeGraph,
+    });
+    matches = retrieved.matches;
+    retrievalDebug = retrieved.debug;
+  }
+
+  const generation = resolveGenerationSettings({
+    overrides,
+    cfg: genCfg,
+    defaults: DEFAULT_CONFIG,
+    provenance: getConfigProvenance(scope || 'global'),
+    hasContext: matches.length > 0 || recall.matches.length > 0,
+  });
+  const { system, user, numbered, promptDebug } = buildRagPrompt(message, {
+    matches,
+    recallMatches: recall.matches,
+    history: history.messages,
+    cfg: genCfg,
+  });
+  // The prompt keeps full chunks; only the sources returned to the client are trimmed/highlighted.
+  const sources = await highlightMatches(
+    sql,
+    [...matches, ...recall.matches],
+    message,
+    resolveHighlightOptions(request?.highlight, request?.snippet_chars, retrievalCfg, request?.include_content),
+  );
+
+  return {
+    startedAtMs,
+    runId: `rw-run-${startedAtMs}`,
+    deadline,
+    conversationId,
+    owner,
+    corpusIds: effectiveCorpora,
+    history,
+    recall,
+    promptDebug,
+    numbered,
+    topK,
+    includeSparse,
+    retrievalCfg,
+    genCfg,
+    route,
+    generation,
+    matches,
+    retrievalDebug,
+    queryRewrites,
+    system,
+    user,
+    sources,
+  };
+}
+
+function chatConfidence(chat, citationCheck) {
+  const { matches, retrievalDebug } = chat;
+  const legsByChunk = new Map((retrievalDebug.fusion?.matches || []).map((m) => [m.chunk_id, m.legs]));
+  const counts = {
+    vector: retrievalDebug.vector_results,
+    sparse: retrievalDebug.sparse_results,
+    graph: retrievalDebug.graph_hydrated_chunks,
+  };
+  return answerConfidence({
+    scores: matches.map((m) => m.metadata?.rerank?.score ?? m.score),
+    topLegs: matches.map((m) => legsByChunk.get(m.chunk_id) || {}),
+    activeLegs: Object.keys(counts).filter((leg) => counts[leg] > 0),
+    citationCheck,
+  });
+}
+
+// `result` is the successful generation, or null when every provider attempt failed.
+function buildChatDebug(request, chat, result, citationCheck = null) {
+  const { matches, retrievalDebug, retrievalCfg } = chat;
+  const provider = result?.provider || null;
+  const fusion = retrievalDebug.fusion;
+  const confidence = chatConfidence(chat, citationCheck);
+  return {
+    confidence: confidence.score,
+    confidence_components: { ...confidence.components, weights: confidence.weights },
+    provider,
+    include_vector: Boolean(request?.include_vector ?? true),
+    include_sparse: Boolean(request?.include_sparse ?? true),
+    include_graph: Boolean(request?.include_graph ?? true),
+    vector_enabled: retrievalCfg?.vector_search?.enabled !== false,
+    sparse_enabled: chat.includeSparse,
+    graph_enabled: retrievalCfg?.graph_search?.enabled !== false,
+    fusion_method: fusion?.method ?? null,
+    rrf_k: fusion?.rrf_k ?? null,
+    vector_weight: fusion?.weights?.vector ?? null,
+    sparse_weight: fusion?.weights?.sparse ?? null,
+    graph_weight: fusion?.weights?.graph ?? null,
+    normalize_scores: fusion?.normalize_scores ?? null,
+    final_k_used: chat.topK,
+    vector_results: retrievalDebug.vector_results,
+    sparse_results: retrievalDebug.sparse_results,
+    graph_entity_hits: retrievalDebug.graph_entity_hits,
+    graph_hydrated_chunks: retrievalDebug.graph_hydrated_chunks,
+    vector_error: retrievalDebug.vector_error,
+    graph_error: retrievalDebug.graph_error,
+    final_results: matches.length,
+    fusion_debug: fusion ? { matches: fusion.matches } : undefined,
+    rerank: retrievalDebug.rerank ?? undefined,
+    query_rewrites: chat.queryRewrites ?? undefined,
+    history: {
+      messages: chat.history.messages.length,
+      tokens: chat.history.tokens,
+      dropped: chat.history.dropped,
+    },
+    recall: chat.recall.debug,
+    system_prompt: chat.promptDebug,
+    agent: result?.agent ?? null,
+    generation: {
+      settings: chat.generation.settings,
+      sources: chat.generation.sources,
+      clamped: chat.generation.clamped,
+      applied: result?.settings || null,
+    },
+    citations: citationCheck
+      ? { invalid: citationCheck.invalid, uncited_claims: citationCheck.uncited_claims, coverage: citationCheck.coverage }
+      : null,
+  };
+}
+
+const AGENT_INSTRUCTION =
+  'You can call rag_search, graph_neighbors and get_chunk to gather more evidence before answering. ' +
+  'Chunks returned by tools carry a `ref` number; cite them as [ref] exactly like the numbered context.';
+
+// Tool handlers for agentic chat, scoped to the corpora the request selected. Every chunk a tool
+// returns is registered so its [ref] stays valid for citation checks on the final answer.
+function buildAgentTools(sql, chat, registry) {
+  const corpusIds = chat.corpusIds;
+  const requireCorpus = () => {
+    if (!corpusIds.length) throw new Error('no corpora are selected for this chat');
+  };
+  return {
+    async rag_search(args) {
+      requireCorpus();
+      const query = String(args.query || '').trim();
+      if (!query) throw new Error('query is required');
+      const topK = Math.max(1, Math.min(10, Math.floor(Number(args.top_k)) || 5));
+      const perCorpus = await Promise.all(corpusIds.map((cid) => searchChunks(sql, cid, query, topK)));
+      const hits = perCorpus.flat().sort(compareMatches).slice(0, topK);
+      return { query, chunks: hits.map((hit) => toolChunk(hit, registry.add(hit))) };
+    },
+    async graph_neighbors(args) {
+      requireCorpus();
+      const entity = String(args.entity || '').trim();
+      if (!entity) throw new Error('entity is required');
+      const hops = Math.max(1, Math.min(3, Math.floor(Number(args.max_hops)) || 1));
+      for (const cid of corpusIds) {
+        const found = JSON.parse((await handleGraphEntities(sql, cid, entity, 1)).body);
+        if (!found.length) continue;
+        const neighborhood = JSON.parse((await handleGraphNeighbors(sql, cid, found[0].entity_id, hops, 50)).body);
+        return {
+          entity: { entity_id: found[0].entity_id, name: found[0].name, entity_type: found[0].entity_type, corpus_id: cid },
+          entities: neighborhood.entities.slice(0, 25).map(({ properties, ...rest }) => rest),
+          relationships: neighborhood.relationships.map(({ properties, ...rest }) => rest),
+        };
+      }
+      return { entity: null, entities: [], relationships: [], note: `no entity matching "${entity}"` };
+    },
+    async get_chunk(args) {
+      requireCorpus();
+      const chunkId = String(args.chunk_id || '').trim();
+      if (!chunkId) throw new Error('chunk_id is required');
+      const { rows } = await sql.query(
+        `SELECT chunk_id, corpus_id, file_path, start_line, end_line, language, content
+         FROM chunks
+         WHERE chunk_id = $1 AND corpus_id = ANY($2::text[]);`,
+        [chunkId, corpusIds],
+      );
+      const row = rows?.[0];
+      if (!row) throw new Error(`chunk not found: ${chunkId}`);
+      const chunk = {
+        chunk_id: String(row.chunk_id),
+        content: String(row.content),
+        file_path: String(row.file_path),
+        start_line: Number(row.start_line) || 0,
+        end_line: Number(row.end_line) || 0,
+        language: row.language == null ? null : String(row.language),
+        score: 0,
+        source: 'tool',
+        metadata: { corpus_id: String(row.corpus_id) },
       };
-    }
+      return { chunk: toolChunk(chunk, registry.add(chunk)) };
+    },
+  };
+}
+
+// Agentic generation: the model may call tools for up to `max_iterations` turns before it has to
+// answer. Each turn goes through the provider router; attempts from all turns are kept, also on
+// failure. Returns the same shape as generateWithFallback plus the agent trace.
+async function generateWithAgent(sql, chat, options, { signal, onEvent } = {}) {
+  const registry = chunkRegistry(chat.numbered);
+  const tools = buildAgentTools(sql, chat, registry);
+  const system = `${chat.system}\n\n${AGENT_INSTRUCTION}`;
+  const attempts = [];
+  let last = null;
+  try {
+    const chain = await resolveProviderChain(chat.genCfg, chat.route);
+    const run = await runAgentLoop({
+      system,
+      user: chat.user,
+      tools,
+      maxIterations: options.maxIterations,
+      onEvent,
+      // Routes that take the system prompt separately from the transcript (Responses API
+      // instructions) only see this argument, so it must carry the tool instructions too.
+      callModel: async (transcript, { toolChoice }) => {
+        last = await generateWithFallback(chat.genCfg, chat.route, system, chat.user, {
+          settings: chat.generation.settings,
+          signal,
+          chain,
+          deadline: chat.deadline,
+          transcript,
+          tools: AGENT_TOOLS,
+          toolChoice,
+        });
+        attempts.push(...last.attempts);
+        return { content: last.content, toolCalls: last.toolCalls, usage: last.usage };
+      },
+    });
+    return {
+      content: run.content,
+      tokensUsed: run.usage.total_tokens,
+      usage: run.usage,
+      provider: last.provider,
+      settings: last.settings,
+      attempts,
+      numbered: registry.list(),
+      agent: { max_iterations: options.maxIterations, iterations: run.iterations, stopped: run.stopped, tool_calls: run.calls },
+    };
+  } catch (e) {
+    if (Array.isArray(e?.attempts)) e.attempts = [...attempts, ...e.attempts];
+    throw e;
+  }
+}
+
+// Chunks that only tools surfaced join the sources so cited [n] beyond the prompt resolve in the UI.
+async function agentSources(sql, request, chat, numbered, message) {
+  const known = new Set(chat.sources.map((m) => m.chunk_id));
+  const extra = numbered.filter((m) => !known.has(m.chunk_id));
+  if (!extra.length) return chat.sources;
+  const highlighted = await highlightMatches(
+    sql,
+    extra,
+    message,
+    resolveHighlightOptions(request?.highlight, request?.snippet_chars, chat.retrievalCfg, request?.include_content),
+  );
+  return [...chat.sources, ...highlighted];
+}
+
+const OWNER_REQUIRED = 'X-Ragweld-Owner header (16-200 characters) is required';
+
+// Chat still answers without an owner key, but says so: nothing is stored and no earlier turns are read.
+function conversationStatus(chat, saved) {
+  return {
+    conversation_saved: saved,
+    conversation_error: chat.owner ? null : `${OWNER_REQUIRED} to store and continue conversations`,
+  };
+}
+
+function saveChatTurn(sql, chat, message, assistant) {
+  return appendConversationTurn(sql, {
+    conversationId: chat.conversationId,
+    owner: chat.owner,
+    corpusIds: chat.corpusIds,
+    userMessage: message,
+    assistantMessage: assistant,
+    runId: chat.runId,
+    recall: chat.recall.debug.enabled && chat.recall.autoIndex,
+  });
+}
+
+function providerAttempts(e) {
+  return Array.isArray(e?.attempts) ? e.attempts : [];
+}
+
+function generationOverridesOrError(request) {
+  try {
+    return { overrides: parseGenerationOverrides(request) };
+  } catch (e) {
+    if (e instanceof GenerationSettingsError) return { error: json(422, { error: e.message, field: e.field }) };
+    throw e;
+  }
+}
+
+async function handleChat(sql, request, owner) {
+  const message = String(request?.message || '').trim();
+  if (!message) return json(422, { error: 'message is required' });
+  const { overrides, error } = generationOverridesOrError(request);
+  if (error) return error;
+  const chat = await prepareChat(sql, request, message, overrides, owner);
+  const agent = agentOptionsFromConfig(chat.genCfg, request);
+
+  let result;
+  try {
+    result = agent.enabled
+      ? await generateWithAgent(sql, chat, agent)
+      : await generateWithFallback(chat.genCfg, chat.route, chat.system, chat.user, {
+          settings: chat.generation.settings,
+          deadline: chat.deadline,
+        });
   } catch (e) {
-    assistant = `Demo backend is not fully configured.\n\n${String(e?.message || e)}`;
-    tokensUsed = 0;
-    provider = provider || null;
+    return json(502, {
+      detail: String(e?.message || e),
+      run_id: chat.runId,
+      conversation_id: chat.conversationId,
+      debug: { ...buildChatDebug(request, chat, null), provider_attempts: providerAttempts(e) },
+    });
   }
 
-  const endedAtMs = Date.now();
-  const conversationId = getConversationId(request);
-  const runId = `rw-run-${startedAtMs}`;
+  const citationCheck = result.content ? verifyCitations(result.content, result.numbered || chat.numbered) : null;
+  const sources = result.numbered ? await agentSources(sql, request, chat, result.numbered, message) : chat.sources;
+  // Empty generations are not stored; they would only feed placeholder text back into later prompts.
+  const saved = result.content ? await saveChatTurn(sql, chat, message, result.content) : false;
 
   return json(200, {
-    run_id: runId,
-    started_at_ms: startedAtMs,
-    ended_at_ms: endedAtMs,
-    debug: {
-      confidence: matches.length ? 0.8 : 0.4,
-      provider,
-      include_vector: Boolean(request?.include_vector ?? true),
-      include_sparse: Boolean(request?.include_sparse ?? true),
-      include_graph: Boolean(request?.include_graph ?? true),
-      vector_enabled: null,
-      sparse_enabled: includeSparse,
-      graph_enabled: null,
-      fusion_method: null,
-    },
-    conversation_id: conversationId,
+    run_id: chat.runId,
+    started_at_ms: chat.startedAtMs,
+    ended_at_ms: Date.now(),
+    debug: { ...buildChatDebug(request, chat, result, citationCheck), provider_attempts: result.attempts },
+    conversation_id: chat.conversationId,
+    ...conversationStatus(chat, saved),
     message: {
       role: 'assistant',
-      content: assistant,
+      content: result.content || 'No response generated.',
       timestamp: nowIso(),
     },
-    sources: matches,
-    tokens_used: tokensUsed,
+    sources,
+    citations: citationCheck?.citations || [],
+    tokens_used: result.tokensUsed,
   });
 }
 
-async function handleChatStream(sql, request) {
-  const startedAtMs = Date.now();
-  const res = await handleChat(sql, request);
-  const parsed = safeJsonParse(res.body || '{}') || {};
-
-  const assistantText = String(parsed?.message?.content || '').trim();
-  const donePayload = {
-    type: 'done',
-    sources: Array.isArray(parsed?.sources) ? parsed.sources : [],
-    conversation_id: String(parsed?.conversation_id || ''),
-    run_id: String(parsed?.run_id || ''),
-    started_at_ms: Number(parsed?.started_at_ms) || startedAtMs,
-    ended_at_ms: Number(parsed?.ended_at_ms) || Date.now(),
-    debug: parsed?.debug || null,
+// Emits `sources` once retrieval finishes, `text` deltas as the model produces them, then `done`.
+// In agentic mode `tool_call`/`tool_result` events come first and the answer arrives as one `text`.
+// Generation failures end the stream with an `error` event carrying the provider attempts.
+// Destroying the body (client disconnect) aborts the upstream model request.
+function handleChatStream(sql, request, owner) {
+  const message = String(request?.message || '').trim();
+  if (!message) return json(422, { error: 'message is required' });
+  const { overrides, error } = generationOverridesOrError(request);
+  if (error) return error;
+
+  const controller = new AbortController();
+  const body = new Readable({
+    read() {},
+    destroy(err, callback) {
+      controller.abort();
+      callback(err);
+    },
+  });
+  const send = (event) => {
+    if (!body.destroyed) body.push(`data: ${JSON.stringify(event)}\n\n`);
   };
 
-  const textEvent = JSON.stringify({ type: 'text', content: assistantText });
-  const doneEvent = JSON.stringify(donePayload);
-  return sse(`data: ${textEvent}\n\n` + `data: ${doneEvent}\n\n`);
+  (async () => {
+    let runId = null;
+    try {
+      const chat = await prepareChat(sql, request, message, overrides, owner, { signal: controller.signal });
+      runId = chat.runId;
+      if (controller.signal.aborted) return;
+      send({ type: 'sources', sources: chat.sources, run_id: chat.runId });
+
+      let streamed = false;
+      const agent = agentOptionsFromConfig(chat.genCfg, request);
+      const result = agent.enabled
+        ? await generateWithAgent(sql, chat, agent, { signal: controller.signal, onEvent: send })
+        : await generateWithFallback(chat.genCfg, chat.route, chat.system, chat.user, {
+            settings: chat.generation.settings,
+            signal: controller.signal,
+            deadline: chat.deadline,
+            committed: () => streamed,
+            onDelta: (delta) => {
+              streamed = true;
+              send({ type: 'text', content: delta });
+            },
+          });
+      if (agent.enabled && result.content) send({ type: 'text', content: result.content });
+      if (!result.content) send({ type: 'text', content: 'No response generated.' });
+      const saved = result.content ? await saveChatTurn(sql, chat, message, result.content) : false;
+      const citationCheck = result.content ? verifyCitations(result.content, result.numbered || chat.numbered) : null;
+      const sources = result.numbered ? await agentSources(sql, request, chat, result.numbered, message) : chat.sources;
+
+      send({
+        type: 'done',
+        sources,
+        conversation_id: chat.conversationId,
+        ...conversationStatus(chat, saved),
+        run_id: chat.runId,
+        started_at_ms: chat.startedAtMs,
+        ended_at_ms: Date.now(),
+        debug: { ...buildChatDebug(request, chat, result, citationCheck), provider_attempts: result.attempts },
+        citations: citationCheck?.citations || [],
+        usage: result.usage || null,
+        tokens_used: result.tokensUsed || 0,
+      });
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        send({ type: 'error', message: String(e?.message || e), run_id: runId, provider_attempts: providerAttempts(e) });
+      }
+    } finally {
+      if (!body.destroyed) body.push(null);
+    }
+  })();
+
+  return sse(body);
 }
 
 async function handleGraphStats(sql, corpusId) {
@@ -2216,11 +3643,11 @@ async function handleGraphNeighbors(sql, corpusId, entityId, maxHops, limit) {
   });
 }
 
-export const handler = async (event) => {
+const routeRequest = async (event, deps = {}) => {
   const method = String(event.httpMethod || 'GET').toUpperCase();
   const rawPath = String(event.path || '');
-  const fnPrefix = '/.netlify/functions/api';
-  const path = rawPath.startsWith(fnPrefix) ? `/api${rawPath.slice(fnPrefix.length)}` : rawPath;
+  const fnPrefix = rawPath.match(/^\/\.netlify\/functions\/api(?:-stream)?(?=\/|$)/)?.[0];
+  const path = fnPrefix ? `/api${rawPath.slice(fnPrefix.length)}` : rawPath;
 
   if (method === 'OPTIONS') {
     return {
@@ -2228,37 +3655,40 @@ export const handler = async (event) => {
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,If-Match,X-Ragweld-Author,X-Ragweld-Owner',
       },
       body: '',
     };
   }
 
-  let sql;
-  try {
-    const connectionString =
-      String(process.env.RAGWELD_DATABASE_URL || process.env.NETLIFY_DATABASE_URL || process.env.DATABASE_URL || '').trim();
-    if (!connectionString) {
-      throw new Error('Missing NETLIFY_DATABASE_URL');
-    }
+  let sql = deps.sql || null;
+  if (!sql) {
+    try {
+      const connectionString =
+        String(process.env.RAGWELD_DATABASE_URL || process.env.NETLIFY_DATABASE_URL || process.env.DATABASE_URL || '').trim();
+      if (!connectionString) {
+        throw new Error('Missing NETLIFY_DATABASE_URL');
+      }
 
-    const isLocal = /localhost|127\\.0\\.0\\.1/.test(connectionString);
-    const ssl = isLocal ? false : { rejectUnauthorized: false };
+      const isLocal = /localhost|127\\.0\\.0\\.1/.test(connectionString);
+      const ssl = isLocal ? false : { rejectUnauthorized: false };
 
-    if (!pool) {
-      pool = new Pool({
-        connectionString,
-        max: 1,
-        ssl,
-      });
+      if (!pool) {
+        pool = new Pool({
+          connectionString,
+          max: 1,
+          ssl,
+        });
+      }
+      sql = pool;
+    } catch (e) {
+      return json(500, { ok: false, error: `DB not configured: ${String(e?.message || e)}` });
     }
-    sql = pool;
-  } catch (e) {
-    return json(500, { ok: false, error: `DB not configured: ${String(e?.message || e)}` });
   }
 
   try {
     await ensureSchema(sql);
+    await syncConfigs(sql);
   } catch (e) {
     return json(500, { ok: false, error: `DB schema init failed: ${String(e?.message || e)}` });
   }
@@ -2266,6 +3696,7 @@ export const handler = async (event) => {
   const url = new URL(event.rawUrl || `https://ragweld.local${path}`);
   const body = safeJsonParse(event.body || null);
   const scope = getCorpusScopeFromUrl(url);
+  const owner = conversationOwner(event.headers);
 
   // ---------------------------------------------------------------------------
   // Hosted demo status endpoints (match TriBridRAG /web expectations)
@@ -2329,18 +3760,26 @@ export const handler = async (event) => {
     return json(200, { total_queries: 0, top: [] });
   }
 
-  // Indexing endpoints (hosted demo is read-only; report status from existing DB).
+  // Indexing endpoints. Uploads build their own corpora; the demo corpus stays read-only.
   if (method === 'POST' && path === '/api/index') {
+    const access = indexUploadAccess(event.headers);
+    if (access === 'disabled') return json(403, { error: 'Uploads are disabled on this deployment (RAGWELD_INDEX_WRITE_TOKEN).' });
+    if (access === 'unauthorized') return json(401, { error: 'Uploads need Authorization: Bearer <RAGWELD_INDEX_WRITE_TOKEN>.' });
     const corpusId = String(body?.corpus_id || '').trim();
-    return json(200, {
-      corpus_id: corpusId || 'unknown',
-      status: 'error',
-      progress: 0,
-      error: 'Indexing is disabled in the hosted demo (read-only index).',
-      started_at: null,
-      completed_at: null,
-      current_file: null,
-    });
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(corpusId)) {
+      return json(422, { error: 'corpus_id: must be 1-64 letters, digits, dots, dashes or underscores', field: 'corpus_id' });
+    }
+    const existing = await sql.query(`SELECT meta FROM corpora WHERE corpus_id = $1;`, [corpusId]);
+    const meta = existing.rows?.[0]?.meta;
+    if (corpusId === 'epstein-files-1' || (meta && !meta.uploaded)) {
+      return json(409, { error: `corpus_id: ${corpusId} is not an uploaded corpus and cannot be re-indexed here`, field: 'corpus_id' });
+    }
+    try {
+      return json(200, await indexUploadedFiles(sql, corpusId, body));
+    } catch (e) {
+      if (e instanceof IndexRequestError) return json(422, { error: e.message, field: e.field });
+      throw e;
+    }
   }
 
   if (method === 'DELETE' && path.startsWith('/api/index/')) {
@@ -2383,9 +3822,11 @@ export const handler = async (event) => {
     const entitiesTable = await relationSize(sql, 'graph_entities');
     const edgesTable = await relationSize(sql, 'graph_edges');
     const tsvIdx = await relationSize(sql, 'chunks_corpus_tsv_idx');
+    const embeddingsTable = await relationSize(sql, 'chunk_embeddings');
+    const embedded = await embeddingCounts(sql, corpusId);
 
     const chunksBytes = allocateBytes(chunksTable, counts.chunks, totals.chunks);
-    const embeddingsBytes = 0;
+    const embeddingsBytes = allocateBytes(embeddingsTable, embedded.corpus, embedded.total);
     const pgvectorIdxBytes = 0;
     const bm25IdxBytes = allocateBytes(tsvIdx, counts.chunks, totals.chunks);
     const chunkSummariesBytes = 0;
@@ -2404,6 +3845,7 @@ export const handler = async (event) => {
 
     const displayName = String(corpus?.name || corpusId).trim() || corpusId;
     const timestamp = nowIso();
+    const embeddingCfg = getConfig(corpusId).embedding || {};
 
     return json(200, {
       lines: [
@@ -2420,9 +3862,9 @@ export const handler = async (event) => {
         current_branch: corpus?.branch ?? null,
         timestamp,
         embedding_config: {
-          provider: 'openai',
-          model: 'text-embedding-3-large',
-          dimensions: 3072,
+          provider: embeddingCfg.embedding_backend === 'deterministic' ? 'deterministic' : embeddingCfg.embedding_type,
+          model: embeddingCfg.embedding_backend === 'deterministic' ? DETERMINISTIC_EMBEDDING_MODEL : embeddingCfg.embedding_model,
+          dimensions: Number(embeddingCfg.embedding_dim) || 0,
           precision: 'float32',
         },
         costs: {
@@ -2456,13 +3898,16 @@ export const handler = async (event) => {
     const entitiesTable = await relationSize(sql, 'graph_entities');
     const edgesTable = await relationSize(sql, 'graph_edges');
     const tsvIdx = await relationSize(sql, 'chunks_corpus_tsv_idx');
+    const embeddingsTable = await relationSize(sql, 'chunk_embeddings');
+    const embedded = await embeddingCounts(sql, corpusId);
 
     const chunksBytes = allocateBytes(chunksTable, counts.chunks, totals.chunks);
+    const embeddingsBytes = allocateBytes(embeddingsTable, embedded.corpus, embedded.total);
     const bm25IdxBytes = allocateBytes(tsvIdx, counts.chunks, totals.chunks);
     const entitiesBytes = allocateBytes(entitiesTable, counts.entities, totals.entities);
     const edgesBytes = allocateBytes(edgesTable, counts.relationships, totals.relationships);
 
-    const postgresTotal = chunksBytes + bm25IdxBytes + entitiesBytes + edgesBytes;
+    const postgresTotal = chunksBytes + embeddingsBytes + bm25IdxBytes + entitiesBytes + edgesBytes;
 
     let keywordsCount = 0;
     try {
@@ -2476,7 +3921,7 @@ export const handler = async (event) => {
       corpus_id: corpusId,
       storage_breakdown: {
         chunks_bytes: chunksBytes,
-        embeddings_bytes: 0,
+        embeddings_bytes: embeddingsBytes,
         pgvector_index_bytes: 0,
         bm25_index_bytes: bm25IdxBytes,
         chunk_summaries_bytes: 0,
@@ -2517,13 +3962,14 @@ export const handler = async (event) => {
       totalChars = Number(r.rows?.[0]?.n) || 0;
     } catch {}
     const totalTokens = Math.max(0, Math.round(totalChars / 4));
+    const embeddingCfg = getConfig(corpusId).embedding || {};
     return json(200, {
       corpus_id: corpusId,
       total_files: counts.docs,
       total_chunks: counts.chunks,
       total_tokens: totalTokens,
-      embedding_model: 'text-embedding-3-large',
-      embedding_dimensions: 3072,
+      embedding_model: embeddingCfg.embedding_backend === 'deterministic' ? DETERMINISTIC_EMBEDDING_MODEL : embeddingCfg.embedding_model,
+      embedding_dimensions: Number(embeddingCfg.embedding_dim) || 0,
       last_indexed: lastIndexed,
       file_breakdown: {},
     });
@@ -2596,10 +4042,10 @@ export const handler = async (event) => {
         message: `Unknown prompt key: ${promptKey || '(empty)'}`,
       });
     }
-    const cfg = getConfig(scope);
+    const cfg = cloneJson(getConfig(scope));
     const nextValue = String(PROMPT_DEFAULTS[promptKey] || '');
     setPromptValue(cfg, promptKey, nextValue);
-    configByCorpus.set(scope, cfg);
+    await commitConfig(sql, event, scope, cfg, 'prompt_reset', promptKey);
     return json(200, {
       ok: true,
       prompt_key: promptKey,
@@ -2617,7 +4063,7 @@ export const handler = async (event) => {
       });
     }
     const nextValue = String(body?.value ?? '');
-    const cfg = getConfig(scope);
+    const cfg = cloneJson(getConfig(scope));
     const ok = setPromptValue(cfg, promptKey, nextValue);
     if (!ok) {
       return json(404, {
@@ -2626,7 +4072,7 @@ export const handler = async (event) => {
         message: `Unknown prompt key: ${promptKey || '(empty)'}`,
       });
     }
-    configByCorpus.set(scope, cfg);
+    await commitConfig(sql, event, scope, cfg, 'prompt_update', promptKey);
     return json(200, {
       ok: true,
       prompt_key: promptKey,
@@ -2636,34 +4082,164 @@ export const handler = async (event) => {
 
   if (path === '/api/config') {
     if (method === 'GET') {
-      return json(200, getConfig(scope));
+      const cfg = getConfig(scope);
+      if (!['1', 'true'].includes(String(url.searchParams.get('explain') || '').toLowerCase())) return json(200, cfg);
+      const env = getEnvConfig();
+      const versionId = configVersionByCorpus.get(scope) ?? null;
+      return json(200, {
+        scope,
+        version_id: versionId,
+        sources: CONFIG_SOURCES,
+        config: cfg,
+        provenance: explainConfig(cfg, getConfigProvenance(scope), { envKeys: env.keys, versionId }),
+        env_skipped: env.skipped,
+      });
     }
     if (method === 'PUT') {
       const next = isPlainObject(body) ? body : {};
-      configByCorpus.set(scope, cloneJson(next));
+      const invalid = configValidationOrError(() => validateConfig(CONFIG_SCHEMA, next));
+      if (invalid) return invalid;
+      await commitConfig(sql, event, scope, cloneJson(next), 'replace');
       return json(200, getConfig(scope));
     }
     return json(405, { error: 'Method not allowed' });
   }
 
+  if (method === 'GET' && path === '/api/config/export') {
+    const format = String(url.searchParams.get('format') || 'json').trim().toLowerCase();
+    const cfg = getConfig(scope);
+    const versionId = configVersionByCorpus.get(scope) ?? null;
+    const exportedAt = new Date().toISOString();
+    if (format === 'dotenv' || format === 'env') {
+      const text = configToDotenv(cfg, loadEnvKeyMap().envToPath, [
+        `ragweld config export: scope=${scope} version=${versionId ?? 'default'} exported_at=${exportedAt}`,
+        'Only settings with an env key are listed; use format=json for the full config.',
+      ]);
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/plain; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'Content-Disposition': `attachment; filename="ragweld-config-${scope}.env"`,
+        },
+        body: text,
+      };
+    }
+    if (format !== 'json') return json(422, { error: `format: must be json or dotenv`, field: 'format' });
+    return json(200, { scope, version_id: versionId, exported_at: exportedAt, config: cfg });
+  }
+
+  if (method === 'POST' && path === '/api/config/import') {
+    // Accepts an export document ({ config }), a bare config object, or { dotenv: "KEY=value..." }.
+    // `mode: merge` (default) layers the import over the current config; `replace` swaps it wholesale.
+    const payload = isPlainObject(body) ? body : {};
+    const mode = String(payload.mode || 'merge').trim().toLowerCase();
+    if (mode !== 'merge' && mode !== 'replace') return json(422, { error: 'mode: must be merge or replace', field: 'mode' });
+    // Body and query flags parse alike, so a JSON "false" string is not a dry run.
+    const dryRun = [payload.dry_run, url.searchParams.get('dry_run')].some(
+      (raw) => raw === true || ['1', 'true'].includes(String(raw ?? '').trim().toLowerCase()),
+    );
+
+    let incoming;
+    let ignored = [];
+    if (typeof payload.dotenv === 'string') {
+      ({ config: incoming, ignored } = dotenvToConfig(payload.dotenv, loadEnvKeyMap().envToPath, CONFIG_SCHEMA));
+    } else if (isPlainObject(payload.config)) {
+      incoming = payload.config;
+    } else {
+      const { mode: _mode, dry_run: _dryRun, ...rest } = payload;
+      incoming = rest;
+    }
+
+    const invalid = configValidationOrError(() => validateConfig(CONFIG_SCHEMA, incoming));
+    if (invalid) return invalid;
+    const current = getConfig(scope);
+    const next = mode === 'replace' ? cloneJson(incoming) : mergeDeep(current, incoming);
+    const changes = diffConfigs(next, current);
+    if (dryRun) {
+      return json(200, { dry_run: true, scope, mode, change_count: changes.length, changes, ignored_keys: ignored, config: next });
+    }
+    const source = payload.scope ? `from ${payload.scope}${payload.version_id ? ` version ${payload.version_id}` : ''}` : null;
+    const version = await commitConfig(sql, event, scope, next, 'import', source);
+    return json(200, {
+      dry_run: false,
+      scope,
+      mode,
+      change_count: changes.length,
+      changes,
+      ignored_keys: ignored,
+      version,
+      config: getConfig(scope),
+    });
+  }
+
+  if (method === 'GET' && path === '/api/config/diff') {
+    const sides = {};
+    for (const side of ['left', 'right']) {
+      const ref = parseConfigRef(url.searchParams.get(side));
+      if (!ref.ref) return json(422, { error: `${side}: required (corpus id or version:<id>)`, field: side });
+      if (ref.kind === 'version') {
+        const version = await getConfigVersion(sql, ref.versionId);
+        if (!version) return json(404, { detail: `version_id=${ref.versionId} not found` });
+        sides[side] = { ref: ref.ref, scope: version.scope, version_id: version.version_id, config: version.config };
+      } else {
+        sides[side] = { ref: ref.ref, scope: ref.scope, version_id: configVersionByCorpus.get(ref.scope) ?? null, config: getConfig(ref.scope) };
+      }
+    }
+    const changes = diffConfigs(sides.right.config, sides.left.config);
+    const describe = ({ config: _config, ...rest }) => rest;
+    return json(200, { left: describe(sides.left), right: describe(sides.right), change_count: changes.length, changes });
+  }
+
+  if (method === 'GET' && path === '/api/config/versions') {
+    const versions = await listConfigVersions(sql, scope, { limit: url.searchParams.get('limit') || 50 });
+    return json(200, { scope, current_version_id: configVersionByCorpus.get(scope) ?? null, versions });
+  }
+
+  if (path.startsWith('/api/config/versions/')) {
+    const rest = path.slice('/api/config/versions/'.length);
+    const rollback = rest.endsWith('/rollback');
+    const versionId = decodeURIComponent(rollback ? rest.slice(0, -'/rollback'.length) : rest);
+    const version = await getConfigVersion(sql, versionId);
+    if (!version) return json(404, { detail: `version_id=${versionId} not found` });
+
+    if (method === 'GET' && !rollback) return json(200, version);
+
+    if (method === 'POST' && rollback) {
+      // Rolling back appends a copy of the old config, so history is never rewritten.
+      const saved = await commitConfig(sql, event, version.scope, cloneJson(version.config), 'rollback', `rollback to ${version.version_id}`);
+      return json(200, {
+        ok: true,
+        scope: version.scope,
+        rolled_back_to: version.version_id,
+        version: saved,
+        config: getConfig(version.scope),
+      });
+    }
+    return json(405, { error: 'Method not allowed' });
+  }
+
   if (method === 'PATCH' && path.startsWith('/api/config/')) {
     const section = decodeURIComponent(path.slice('/api/config/'.length));
-    const cfg = getConfig(scope);
+    const cfg = cloneJson(getConfig(scope));
     const curSection = isPlainObject(cfg?.[section]) ? cfg[section] : {};
     const updates = isPlainObject(body) ? body : {};
+    const invalid = configValidationOrError(() => validateConfigSection(CONFIG_SCHEMA, section, updates));
+    if (invalid) return invalid;
     cfg[section] = mergeDeep(curSection, updates);
-    configByCorpus.set(scope, cfg);
+    await commitConfig(sql, event, scope, cfg, 'patch', section);
     return json(200, cfg);
   }
 
   if (method === 'POST' && path === '/api/config/reset') {
-    // Delete + recreate so per-corpus defaults (e.g., chat.default_corpus_ids) are re-applied.
-    configByCorpus.delete(scope);
+    // Store the defaults so per-corpus defaults (e.g., chat.default_corpus_ids) are re-applied.
+    await commitConfig(sql, event, scope, defaultConfig(scope), 'reset');
     return json(200, getConfig(scope));
   }
 
   if (method === 'POST' && path === '/api/config/reload') {
-    // No disk-backed config in the demo backend; treat as a no-op.
+    // No disk-backed config in the demo backend; just pick up versions saved elsewhere right away.
+    await syncConfigs(sql, { force: true });
     return json(200, { ok: true });
   }
 
@@ -2759,6 +4335,7 @@ export const handler = async (event) => {
       corpusId,
       datasetEntries,
       configSnapshot,
+      configVersionId: configVersionByCorpus.get(corpusId) ?? null,
       finalK,
       useMulti,
       sampleSize: body?.sample_size ? Number(body.sample_size) : null,
@@ -2792,6 +4369,7 @@ export const handler = async (event) => {
             corpusId,
             datasetEntries,
             configSnapshot,
+            configVersionId: configVersionByCorpus.get(corpusId) ?? null,
             finalK,
             useMulti,
             sampleSize: sampleLimitRaw > 0 ? sampleLimitRaw : null,
@@ -2916,14 +4494,28 @@ export const handler = async (event) => {
   if (method === 'GET' && (path === '/api/chat/models' || path === '/api/models/chat')) {
     const openrouter = await listOpenRouterModels();
     const openaiKey = String(process.env.OPENAI_API_KEY || '').trim();
-    const allowLocal = String(process.env.RAGWELD_DEMO_ALLOW_LOCAL_MODELS || '').trim() === '1';
 
     const openrouterModels = openrouter && openrouter.length
       ? openrouter
       : FALLBACK_CHAT_MODELS.filter((m) => m.source === 'openrouter');
 
     const cloudDirect = openaiKey ? FALLBACK_CHAT_MODELS.filter((m) => m.source === 'cloud_direct') : [];
-    const local = allowLocal ? FALLBACK_CHAT_MODELS.filter((m) => m.source === 'local') : [];
+    // Configured local providers list what they actually serve; the static entry is picker parity only.
+    const localOptions = localModelsOptionsFromConfig(getConfig(scope));
+    const local = localOptions.providers.length
+      ? (await checkLocalProviders(localOptions)).flatMap((status) =>
+          status.models.map((id) => ({
+            id,
+            provider: `${status.name} (Local)`,
+            source: 'local',
+            provider_type: status.provider_type,
+            base_url: status.base_url,
+            supports_vision: false,
+          })),
+        )
+      : localOptions.enabled
+        ? FALLBACK_CHAT_MODELS.filter((m) => m.source === 'local')
+        : [];
 
     const models = [...openrouterModels, ...cloudDirect, ...local];
     return json(200, { models });
@@ -2934,6 +4526,26 @@ export const handler = async (event) => {
     const baseUrl = normalizeBaseUrl(cfg?.chat?.openrouter?.base_url) || DEFAULT_OPENROUTER_BASE_URL;
     const apiKey = String(process.env.OPENROUTER_API_KEY || '').trim();
     const providers = [];
+    const localOptions = localModelsOptionsFromConfig(cfg);
+    const localStatuses = await checkLocalProviders(localOptions);
+    const localBlocked = localOptions.blocked.map((entry) => ({
+      provider: entry.name,
+      kind: 'local',
+      base_url: null,
+      reachable: false,
+      detail: entry.reason,
+      models: [],
+    }));
+    const localHealth = localStatuses.map((status) => ({
+      provider: status.name,
+      kind: 'local',
+      base_url: status.base_url,
+      reachable: status.reachable,
+      detail: status.detail,
+      models: status.models,
+      latency_ms: status.latency_ms,
+      checked_at: new Date(status.checked_at).toISOString(),
+    }));
     if (!apiKey) {
       providers.push({
         provider: 'OpenRouter',
@@ -2942,7 +4554,7 @@ export const handler = async (event) => {
         reachable: false,
         detail: 'OPENROUTER_API_KEY is not set',
       });
-      return json(200, { providers });
+      return json(200, { providers: [...providers, ...localHealth, ...localBlocked] });
     }
 
     try {
@@ -2980,7 +4592,7 @@ export const handler = async (event) => {
       });
     }
 
-    return json(200, { providers });
+    return json(200, { providers: [...providers, ...localHealth, ...localBlocked] });
   }
 
   if (method === 'GET' && path === '/api/health') {
@@ -3029,17 +4641,39 @@ export const handler = async (event) => {
     if (!q) return json(200, { results: [], error: 'Query must not be empty' });
 
     try {
-      const matches = await searchChunks(sql, corpusId, q, topK);
+      const filters = parseSearchFilters(url.searchParams);
+      const highlightOptions = resolveHighlightOptions(
+        url.searchParams.get('highlight'),
+        url.searchParams.get('snippet_chars'),
+        getConfig(corpusId),
+      );
+      const fingerprint = cursorFingerprint(['mcp_rag_search', corpusId, q, describeSearchFilters(filters)]);
+      const after = decodeCursor(url.searchParams.get('cursor'), fingerprint);
+      const [rows, totalMatches] = await Promise.all([
+        searchChunks(sql, corpusId, q, topK + 1, { filters, after }),
+        countSparseMatches(sql, corpusId, q, { filters }),
+      ]);
+      const matches = await highlightMatches(sql, rows.slice(0, topK), q, highlightOptions);
+      const last = matches[matches.length - 1];
+      const queryParse = sparseQueryDiagnostics(q, getConfig(corpusId));
       return json(200, {
+        ...(queryParse ? { query_parse: queryParse } : {}),
+        total_matches: totalMatches,
+        next_cursor: rows.length > topK ? encodeCursor({ score: last.score, chunkId: last.chunk_id, fingerprint }) : null,
         results: matches.map((m) => ({
           file_path: m.file_path,
           start_line: m.start_line,
           end_line: m.end_line,
           rerank_score: m.score,
+          ...(m.highlights ? { highlights: m.highlights } : {}),
+          ...(m.snippet ? { snippet: m.snippet.text, snippet_start: m.snippet.start, snippet_end: m.snippet.end } : {}),
         })),
         error: null,
       });
     } catch (e) {
+      // Bad filters and cursors are the caller's mistake and fail the same way as on /api/search.
+      if (e instanceof SearchFilterError) return json(422, { results: [], error: e.message, field: e.field });
+      if (e instanceof CursorError) return json(422, { results: [], error: e.message, field: 'cursor' });
       return json(200, { results: [], error: String(e?.message || e) });
     }
   }
@@ -3049,31 +4683,212 @@ export const handler = async (event) => {
     const corpusId = String(body?.corpus_id || body?.repo_id || body?.repo || '').trim() || 'epstein-files-1';
     const topK = Number.isFinite(Number(body?.top_k)) ? Math.max(1, Math.min(50, Number(body.top_k))) : 10;
 
+    const includeVector = Boolean(body?.include_vector ?? true);
+    const includeSparse = Boolean(body?.include_sparse ?? true);
+    const includeGraph = Boolean(body?.include_graph ?? false);
+
+    let filters;
+    try {
+      filters = parseSearchFilters(body);
+    } catch (e) {
+      if (e instanceof SearchFilterError) return json(422, { error: e.message, field: e.field });
+      throw e;
+    }
+
+    // Keyword-only searches page in SQL with a keyset cursor, like /api/mcp/rag_search, so every
+    // match is reachable and total_matches is exact. Fused or reranked orders only exist after
+    // retrieval, so those pages walk one fixed-size pool instead.
+    const corpusCfg = getConfig(corpusId);
+    const legOn = (requested, section) => requested && corpusCfg?.[section]?.enabled !== false;
+    const keyset =
+      legOn(includeSparse, 'sparse_search') &&
+      !legOn(includeVector, 'vector_search') &&
+      !legOn(includeGraph, 'graph_search') &&
+      rerankOptionsFromConfig(corpusCfg).mode === 'none';
+    const highlightOptions = resolveHighlightOptions(body?.highlight, body?.snippet_chars, corpusCfg, body?.include_content);
+
+    const fingerprint = cursorFingerprint([
+      'search',
+      corpusId,
+      query,
+      includeVector,
+      includeSparse,
+      includeGraph,
+      keyset ? 'keyset' : 'pool',
+      describeSearchFilters(filters),
+    ]);
+    let cursor;
+    try {
+      cursor = decodeCursor(body?.cursor, fingerprint);
+    } catch (e) {
+      if (e instanceof CursorError) return json(422, { error: e.message, field: 'cursor' });
+      throw e;
+    }
+
     const started = Date.now();
-    const matches = await searchChunks(sql, corpusId, query, topK);
+    if (keyset) {
+      const [rows, totalMatches] = await Promise.all([
+        searchChunks(sql, corpusId, query, topK + 1, { cfg: corpusCfg, filters, after: cursor }),
+        countSparseMatches(sql, corpusId, query, { cfg: corpusCfg, filters }),
+      ]);
+      const page = rows.slice(0, topK);
+      const matches = await highlightMatches(sql, page, query, highlightOptions);
+      const last = page[page.length - 1];
+      return json(200, {
+        query,
+        matches,
+        total_matches: totalMatches,
+        total_matches_estimate: false,
+        truncated: false,
+        next_cursor: rows.length > topK ? encodeCursor({ score: last.score, chunkId: last.chunk_id, fingerprint }) : null,
+        fusion_method: 'none',
+        reranker_mode: 'none',
+        latency_ms: Math.max(0, Date.now() - started),
+        debug: {
+          corpus_id: corpusId,
+          include_vector: includeVector,
+          include_sparse: includeSparse,
+          include_graph: includeGraph,
+          filters: describeSearchFilters(filters),
+          paging: 'keyset',
+          sparse_scoring: page[0]?.metadata?.sparse_scoring ?? null,
+          query_parse: sparseQueryDiagnostics(query, corpusCfg),
+        },
+      });
+    }
+
+    // Every pool page re-runs retrieval and cuts the same SEARCH_POOL_SIZE candidates, so matches
+    // past the pool are out of the cursor's reach (`truncated`). total_matches is the keyword match
+    // count when that is larger than the pool, hence flagged as an estimate.
+    const [{ matches: pool, debug: retrievalDebug }, sparseTotal] = await Promise.all([
+      retrieveMatches(sql, {
+        corpusIds: [corpusId],
+        query,
+        topK: SEARCH_POOL_SIZE,
+        includeVector,
+        includeSparse,
+        includeGraph,
+        filters,
+      }),
+      includeSparse ? countSparseMatches(sql, corpusId, query, { filters }) : 0,
+    ]);
+    const { page, hasMore } = pageAfterCursor(pool, cursor, topK);
+    const matches = await highlightMatches(sql, page, query, highlightOptions);
     const latencyMs = Math.max(0, Date.now() - started);
 
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({
+          score: last.score,
+          chunkId: last.chunk_id,
+          rank: retrievalDebug.rerank.enabled ? last.metadata?.rerank?.post_rank : null,
+          fingerprint,
+        })
+      : null;
+    const pageIds = new Set(page.map((m) => m.chunk_id));
+
     return json(200, {
       query,
       matches,
-      fusion_method: 'weighted',
-      reranker_mode: 'none',
+      total_matches: Math.max(pool.length, sparseTotal),
+      total_matches_estimate: true,
+      truncated: pool.length >= SEARCH_POOL_SIZE && sparseTotal > pool.length,
+      next_cursor: nextCursor,
+      fusion_method: retrievalDebug.fusion.method,
+      reranker_mode: retrievalDebug.rerank.mode,
       latency_ms: latencyMs,
       debug: {
         corpus_id: corpusId,
-        include_vector: Boolean(body?.include_vector ?? false),
-        include_sparse: Boolean(body?.include_sparse ?? true),
-        include_graph: Boolean(body?.include_graph ?? false),
+        include_vector: includeVector,
+        include_sparse: includeSparse,
+        include_graph: includeGraph,
+        filters: describeSearchFilters(filters),
+        paging: 'pool',
+        pool_size: SEARCH_POOL_SIZE,
+        sparse_total_matches: sparseTotal,
+        ...retrievalDebug,
+        fusion: {
+          ...retrievalDebug.fusion,
+          matches: retrievalDebug.fusion.matches.filter((m) => pageIds.has(m.chunk_id)),
+        },
+        rerank: {
+          ...retrievalDebug.rerank,
+          ranks: retrievalDebug.rerank.ranks.filter((r) => pageIds.has(r.chunk_id)),
+        },
       },
     });
   }
 
+  // Conversations are scoped to the caller's owner key; someone else's conversation reads as missing.
+  if (path === '/api/conversations' || path.startsWith('/api/conversations/')) {
+    if (!owner) return json(401, { detail: OWNER_REQUIRED });
+  }
+
+  if (method === 'GET' && path === '/api/conversations') {
+    const conversations = await listConversations(sql, owner, { limit: url.searchParams.get('limit') || 50 });
+    return json(200, { conversations });
+  }
+
+  if (path.startsWith('/api/conversations/')) {
+    const conversationId = decodeURIComponent(path.slice('/api/conversations/'.length));
+    if (!conversationId) return json(422, { detail: 'Missing conversation_id' });
+
+    if (method === 'GET') {
+      const conversation = await getConversation(sql, conversationId, owner);
+      if (!conversation) return json(404, { detail: `conversation_id=${conversationId} not found` });
+      return json(200, conversation);
+    }
+
+    if (method === 'DELETE') {
+      const deleted = await deleteConversation(sql, conversationId, owner);
+      if (!deleted) return json(404, { detail: `conversation_id=${conversationId} not found` });
+      const recallChunks = await deleteRecallConversation(
+        sql,
+        recallCorpusId(recallOptionsFromConfig(getConfig(scope)).corpusId, owner),
+        conversationId,
+      );
+      return json(200, { ok: true, deleted, recall_chunks_deleted: recallChunks });
+    }
+  }
+
+  // Recall status and indexing cover the caller's own recall corpus and conversations.
+  if (method === 'GET' && path === '/api/recall/status') {
+    const options = recallOptionsFromConfig(getConfig(scope));
+    const corpusId = recallCorpusId(options.corpusId, owner);
+    const { rows } = await sql.query(
+      `SELECT EXISTS (SELECT 1 FROM corpora WHERE corpus_id = $1) AS exists,
+              (SELECT COUNT(*)::int FROM chunks WHERE corpus_id = $1) AS n;`,
+      [corpusId],
+    );
+    return json(200, {
+      enabled: options.enabled && Boolean(owner),
+      corpus_id: corpusId,
+      exists: Boolean(rows?.[0]?.exists),
+      chunk_count: Number(rows?.[0]?.n) || 0,
+    });
+  }
+
+  // Indexes a conversation's queued turns immediately instead of waiting for index_delay_seconds.
+  if (method === 'POST' && path === '/api/recall/index') {
+    const conversationId = String(body?.conversation_id || '').trim();
+    if (!conversationId) return json(422, { detail: 'Missing conversation_id' });
+    if (!owner) return json(401, { detail: OWNER_REQUIRED });
+    if ((await conversationAccess(sql, conversationId, owner)) !== 'owner') {
+      return json(404, { detail: `conversation_id=${conversationId} not found` });
+    }
+    const options = recallOptionsFromConfig(getConfig(scope));
+    if (!options.enabled) return json(200, { ok: false, conversation_id: conversationId, chunks_indexed: 0 });
+    const synced = await syncRecallCorpus(sql, options, { owner, conversationId, force: true });
+    if (synced.error && !synced.indexed) return json(500, { ok: false, conversation_id: conversationId, error: synced.error });
+    return json(200, { ok: true, conversation_id: conversationId, chunks_indexed: synced.indexed });
+  }
+
   if (method === 'POST' && path === '/api/chat') {
-    return await handleChat(sql, body);
+    return await handleChat(sql, body, owner);
   }
 
   if (method === 'POST' && path === '/api/chat/stream') {
-    return await handleChatStream(sql, body);
+    return await handleChatStream(sql, body, owner);
   }
 
   if (method === 'GET' && path.startsWith('/api/graph/')) {
@@ -3117,3 +4932,24 @@ export const handler = async (event) => {
 
   return json(404, { error: 'Not found', path, method });
 };
+
+const handleRequest = async (event, deps) => {
+  try {
+    return await routeRequest(event, deps);
+  } catch (e) {
+    if (e instanceof ConfigConflictError) {
+      return json(409, { error: e.message, scope: e.scope, current_version_id: e.currentVersionId });
+    }
+    if (e instanceof ConfigWriteDeniedError) return json(e.access === 'disabled' ? 403 : 401, { error: e.message });
+    throw e;
+  }
+};
+
+// `deps.sql` stands in for the Postgres pool (anything with pg's query() and connect()), so tests
+// can drive routes without a database.
+export function createHandler(deps = {}) {
+  return (event) => handleRequest(event, deps);
+}
+
+// Buffered responses only; /api/chat/stream is routed to api-stream.js, which wraps this handler in stream().
+export const handler = createHandler();
@@ -0,0 +1,188 @@
+// Tool content handed back to the model is capped so a few searches cannot blow the context window.
+const TOOL_CONTENT_MAX_CHARS = 1500;
+
+export const AGENT_TOOLS = [
+  {
+    name: 'rag_search',
+    description: 'Keyword search over the selected corpora. Returns numbered chunks you can cite as [n].',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search terms; supports "phrases", -exclusions and OR.' },
+        top_k: { type: 'integer', description: 'How many chunks to return (1-10).' },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'graph_neighbors',
+    description: 'Entities and relationships around a named entity in the knowledge graph.',
+    parameters: {
+      type: 'object',
+      properties: {
+        entity: { type: 'string', description: 'Entity name or entity_id.' },
+        max_hops: { type: 'integer', description: 'Traversal depth (1-3).' },
+      },
+      required: ['entity'],
+    },
+  },
+  {
+    name: 'get_chunk',
+    description: 'Fetch one chunk by chunk_id, e.g. to read the full text behind a search hit.',
+    parameters: {
+      type: 'object',
+      properties: { chunk_id: { type: 'string' } },
+      required: ['chunk_id'],
+    },
+  },
+];
+
+export function agentOptionsFromConfig(cfg, request) {
+  const agent = cfg?.chat?.agent || {};
+  const iterations = Number(agent.max_iterations);
+  return {
+    enabled: typeof request?.agentic === 'boolean' ? request.agentic : Boolean(agent.enabled),
+    maxIterations: Number.isFinite(iterations) ? Math.max(1, Math.min(10, Math.floor(iterations))) : 4,
+  };
+}
+
+// Citation numbers for every chunk the model has seen, stable across iterations. Seeded with the
+// prompt's own [1]..[n] so tool results continue the numbering instead of restarting it.
+export function chunkRegistry(initial = []) {
+  const chunks = [];
+  const byId = new Map();
+  const add = (chunk) => {
+    if (byId.has(chunk.chunk_id)) return byId.get(chunk.chunk_id);
+    chunks.push(chunk);
+    byId.set(chunk.chunk_id, chunks.length);
+    return chunks.length;
+  };
+  initial.forEach(add);
+  return { add, list: () => chunks.slice() };
+}
+
+export function toolChunk(chunk, ref) {
+  const content = String(chunk.content || '');
+  return {
+    ref,
+    chunk_id: chunk.chunk_id,
+    file_path: chunk.file_path,
+    start_line: chunk.start_line,
+    end_line: chunk.end_line,
+    content: content.length > TOOL_CONTENT_MAX_CHARS ? `${content.slice(0, TOOL_CONTENT_MAX_CHARS)}…` : content,
+  };
+}
+
+export function chatCompletionTools(tools) {
+  return tools.map((t) => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+}
+
+export function responsesTools(tools) {
+  return tools.map((t) => ({ type: 'function', name: t.name, description: t.description, parameters: t.parameters }));
+}
+
+// The loop keeps its transcript in chat-completions shape; the Responses API takes the same turns
+// as input items, with tool calls and their outputs as separate items.
+export function toResponsesInput(messages) {
+  const items = [];
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+    if (m.role === 'tool') {
+      items.push({ type: 'function_call_output', call_id: m.tool_call_id, output: m.content });
+      continue;
+    }
+    if (m.content) items.push({ role: m.role, content: m.content });
+    for (const call of m.tool_calls || []) {
+      items.push({ type: 'function_call', call_id: call.id, name: call.function.name, arguments: call.function.arguments });
+    }
+  }
+  return items;
+}
+
+export function parseChatCompletionToolOutput(data) {
+  const message = data?.choices?.[0]?.message || {};
+  return {
+    content: String(message.content || '').trim(),
+    toolCalls: (Array.isArray(message.tool_calls) ? message.tool_calls : []).map((call) => ({
+      id: String(call.id),
+      name: String(call.function?.name || ''),
+      arguments: String(call.function?.arguments || '{}'),
+    })),
+  };
+}
+
+export function parseResponsesToolOutput(data) {
+  const output = Array.isArray(data?.output) ? data.output : [];
+  const text = [];
+  const toolCalls = [];
+  for (const item of output) {
+    if (item?.type === 'function_call') {
+      toolCalls.push({ id: String(item.call_id || item.id), name: String(item.name || ''), arguments: String(item.arguments || '{}') });
+    } else if (Array.isArray(item?.content)) {
+      for (const part of item.content) if (typeof part?.text === 'string' && part.text) text.push(part.text);
+    }
+  }
+  return { content: String(data?.output_text || text.join('\n')).trim(), toolCalls };
+}
+
+function parseArguments(raw) {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// `callModel(messages, { toolChoice })` returns `{ content, toolCalls, usage }`; `tools` maps tool
+// names to async handlers. Each model turn that asks for tools uses one iteration; once the budget
+// is spent the model is asked to answer with tool use disabled. `onEvent` sees every call/result.
+export async function runAgentLoop({ system, user, callModel, tools, maxIterations = 4, onEvent = () => {} }) {
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user },
+  ];
+  const calls = [];
+  const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+  const addUsage = (u) => {
+    if (!u) return;
+    usage.input_tokens += u.input_tokens || 0;
+    usage.output_tokens += u.output_tokens || 0;
+    usage.total_tokens += u.total_tokens || 0;
+  };
+
+  for (let iteration = 1; ; iteration += 1) {
+    const final = iteration > maxIterations;
+    const turn = await callModel(messages, { toolChoice: final ? 'none' : 'auto' });
+    addUsage(turn.usage);
+    if (final || !turn.toolCalls.length) {
+      return { content: turn.content, iterations: iteration - 1, stopped: final ? 'max_iterations' : 'answer', calls, usage };
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: turn.content || null,
+      tool_calls: turn.toolCalls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
+    });
+    for (const call of turn.toolCalls) {
+      const args = parseArguments(call.arguments);
+      onEvent({ type: 'tool_call', id: call.id, name: call.name, arguments: args ?? call.arguments, iteration });
+      const started = Date.now();
+      let result;
+      let error = null;
+      try {
+        if (!args) throw new Error('arguments must be a JSON object');
+        const handler = tools[call.name];
+        if (!handler) throw new Error(`unknown tool: ${call.name}`);
+        result = await handler(args);
+      } catch (e) {
+        error = String(e?.message || e);
+        result = { error };
+      }
+      const record = { id: call.id, name: call.name, arguments: args ?? call.arguments, iteration, ok: !error, error, duration_ms: Date.now() - started };
+      calls.push(record);
+      onEvent({ type: 'tool_result', id: call.id, name: call.name, iteration, ok: !error, error, result });
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+}
@@ -0,0 +1,134 @@
+import zlib from 'node:zlib';
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+// Uploads arrive inside one function invocation, so nothing unpacks past this without being asked.
+const DEFAULT_MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+function isZip(buf) {
+  return buf.length >= 4 && buf.readUInt32LE(0) === 0x04034b50;
+}
+
+function isGzip(buf) {
+  return buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+}
+
+function isTar(buf) {
+  return buf.length >= 512 && buf.toString('latin1', 257, 262) === 'ustar';
+}
+
+function gunzip(buf, maxTotalBytes) {
+  try {
+    return zlib.gunzipSync(buf, { maxOutputLength: maxTotalBytes });
+  } catch (e) {
+    if (e?.code === 'ERR_BUFFER_TOO_LARGE') throw new ArchiveError(`archive expands past ${maxTotalBytes} bytes`);
+    throw new ArchiveError(`invalid gzip data: ${e?.message || e}`);
+  }
+}
+
+// Central directory walk; only stored and deflated entries, no zip64 or encryption.
+function readZip(buf, maxTotalBytes) {
+  let eocd = -1;
+  for (let at = buf.length - 22; at >= Math.max(0, buf.length - 22 - 0xffff); at -= 1) {
+    if (buf.readUInt32LE(at) === 0x06054b50) {
+      eocd = at;
+      break;
+    }
+  }
+  if (eocd === -1) throw new ArchiveError('zip end of central directory not found');
+  const count = buf.readUInt16LE(eocd + 10);
+  let at = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || at === 0xffffffff) throw new ArchiveError('zip64 archives are not supported');
+
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    if (at + 46 > buf.length || buf.readUInt32LE(at) !== 0x02014b50) throw new ArchiveError('corrupt zip central directory');
+    const flags = buf.readUInt16LE(at + 8);
+    const method = buf.readUInt16LE(at + 10);
+    const compressedSize = buf.readUInt32LE(at + 20);
+    const size = buf.readUInt32LE(at + 24);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const headerOffset = buf.readUInt32LE(at + 42);
+    const path = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    at += 46 + nameLength + buf.readUInt16LE(at + 30) + buf.readUInt16LE(at + 32);
+    if (path.endsWith('/')) continue;
+    if (flags & 1) throw new ArchiveError(`${path}: encrypted zip entries are not supported`);
+    if (method !== 0 && method !== 8) throw new ArchiveError(`${path}: unsupported zip compression method ${method}`);
+
+    const read = () => {
+      if (buf.readUInt32LE(headerOffset) !== 0x04034b50) throw new ArchiveError(`${path}: corrupt zip entry`);
+      const start = headerOffset + 30 + buf.readUInt16LE(headerOffset + 26) + buf.readUInt16LE(headerOffset + 28);
+      const data = buf.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (e) {
+        throw new ArchiveError(`${path}: ${e?.message || e}`);
+      }
+    };
+    entries.push({ path, size, read });
+  }
+  const total = entries.reduce((sum, e) => sum + e.size, 0);
+  if (total > maxTotalBytes) throw new ArchiveError(`archive expands past ${maxTotalBytes} bytes`);
+  return entries;
+}
+
+function tarString(buf, start, length) {
+  const raw = buf.toString('utf8', start, start + length);
+  const nul = raw.indexOf('\0');
+  return nul === -1 ? raw : raw.slice(0, nul);
+}
+
+// ustar plus the GNU long-name ('L') and pax ('x') records common tar tools emit for long paths.
+function readTar(buf) {
+  const entries = [];
+  let longName = null;
+  let at = 0;
+  while (at + 512 <= buf.length) {
+    if (buf.subarray(at, at + 512).every((b) => b === 0)) break;
+    const size = parseInt(tarString(buf, at + 124, 12).trim() || '0', 8);
+    if (!Number.isFinite(size) || size < 0) throw new ArchiveError('corrupt tar header');
+    const type = String.fromCharCode(buf[at + 156] || 48);
+    const dataStart = at + 512;
+    if (dataStart + size > buf.length) throw new ArchiveError('truncated tar archive');
+    const data = buf.subarray(dataStart, dataStart + size);
+    at = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = tarString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x') {
+      const m = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      if (m) longName = m[1];
+      continue;
+    }
+    const prefix = tarString(buf, dataStart - 512 + 345, 155);
+    const name = tarString(buf, dataStart - 512, 100);
+    const path = longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    if (type !== '0' && type !== '\0') continue;
+    entries.push({ path, size, read: () => data });
+  }
+  return entries;
+}
+
+// Entries of a .zip, .tar, .tar.gz/.tgz or single gzipped file as { path, size, read() }. Contents
+// are only inflated on read(), so callers can skip oversized or excluded entries for free.
+export function extractArchive(buf, { name = '', maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES } = {}) {
+  if (!Buffer.isBuffer(buf) || !buf.length) throw new ArchiveError('archive is empty');
+  if (isZip(buf)) return readZip(buf, maxTotalBytes);
+  if (isGzip(buf)) {
+    const inner = gunzip(buf, maxTotalBytes);
+    if (isTar(inner)) return readTar(inner);
+    const path = String(name).replace(/\.gz$/i, '') || 'file';
+    return [{ path, size: inner.length, read: () => inner }];
+  }
+  if (isTar(buf)) return readTar(buf);
+  throw new ArchiveError('unrecognized archive format (expected zip, tar or gzip)');
+}
@@ -0,0 +1,12 @@
+import crypto from 'node:crypto';
+
+// True when `headers` carry `Authorization: Bearer <expectedToken>`; an unset token never matches.
+export function bearerTokenMatches(headers, expectedToken) {
+  const expected = String(expectedToken || '').trim();
+  const authHeader = String(headers?.authorization || headers?.Authorization || '');
+  if (!expected || !authHeader.toLowerCase().startsWith('bearer ')) return false;
+  const expectedBytes = Buffer.from(expected, 'utf8');
+  const providedBytes = Buffer.from(authHeader.slice(7).trim(), 'utf8');
+  if (expectedBytes.length !== providedBytes.length) return false;
+  return crypto.timingSafeEqual(expectedBytes, providedBytes);
+}
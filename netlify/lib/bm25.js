@@ -0,0 +1,242 @@
+import { withTransaction } from './transaction.js';
+
+const TS_CONFIG_NAME_RE = /^[a-z_]+$/;
+
+// Tokenizers that should not stem map onto Postgres' built-in `simple` configuration.
+const NON_STEMMING_TOKENIZERS = new Set(['simple', 'whitespace', 'raw', 'standard', 'lowercase']);
+
+function finiteOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function bm25OptionsFromConfig(cfg) {
+  const tokenizer = String(cfg?.indexing?.bm25_tokenizer || 'stemmer').trim().toLowerCase();
+  const lang = String(cfg?.indexing?.bm25_stemmer_lang || 'english').trim().toLowerCase();
+  const tsConfig = NON_STEMMING_TOKENIZERS.has(tokenizer) ? 'simple' : (TS_CONFIG_NAME_RE.test(lang) ? lang : 'english');
+  return {
+    k1: Math.max(0, finiteOr(cfg?.sparse_search?.bm25_k1, 1.2)),
+    b: Math.min(1, Math.max(0, finiteOr(cfg?.sparse_search?.bm25_b, 0.4))),
+    tsConfig,
+  };
+}
+
+// Term statistics live beside `chunks` and are kept current by a trigger for every
+// (corpus, text-search config) pair registered in bm25_doc_stats; advanceBm25Index backfills the rest.
+// Returns false when the database refuses the plpgsql objects so callers can fall back to ts_rank_cd.
+export async function ensureBm25Schema(sql) {
+  try {
+    await sql.query(`
+      CREATE TABLE IF NOT EXISTS bm25_doc_stats (
+        corpus_id TEXT NOT NULL,
+        ts_config TEXT NOT NULL,
+        doc_count INTEGER NOT NULL DEFAULT 0,
+        total_len BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (corpus_id, ts_config)
+      );
+    `);
+    // Rows written before batched backfills were always complete, hence the true default.
+    await sql.query(`ALTER TABLE bm25_doc_stats ADD COLUMN IF NOT EXISTS ready BOOLEAN NOT NULL DEFAULT true;`);
+    await sql.query(`
+      CREATE TABLE IF NOT EXISTS bm25_term_stats (
+        corpus_id TEXT NOT NULL,
+        ts_config TEXT NOT NULL,
+        term TEXT NOT NULL,
+        df INTEGER NOT NULL,
+        PRIMARY KEY (corpus_id, ts_config, term)
+      );
+    `);
+    await sql.query(`
+      CREATE TABLE IF NOT EXISTS bm25_chunk_terms (
+        chunk_id TEXT NOT NULL,
+        corpus_id TEXT NOT NULL,
+        ts_config TEXT NOT NULL,
+        term TEXT NOT NULL,
+        tf INTEGER NOT NULL,
+        PRIMARY KEY (chunk_id, ts_config, term)
+      );
+    `);
+    await sql.query(
+      `CREATE INDEX IF NOT EXISTS bm25_chunk_terms_term_idx ON bm25_chunk_terms (corpus_id, ts_config, term);`,
+    );
+    await sql.query(`
+      CREATE TABLE IF NOT EXISTS bm25_chunk_lengths (
+        chunk_id TEXT NOT NULL,
+        corpus_id TEXT NOT NULL,
+        ts_config TEXT NOT NULL,
+        doc_len INTEGER NOT NULL,
+        PRIMARY KEY (chunk_id, ts_config)
+      );
+    `);
+
+    await sql.query(`
+      CREATE OR REPLACE FUNCTION bm25_index_chunk(p_chunk TEXT, p_corpus TEXT, p_content TEXT, p_cfg TEXT)
+      RETURNS void AS $$
+      DECLARE
+        dl INTEGER;
+      BEGIN
+        INSERT INTO bm25_chunk_terms (chunk_id, corpus_id, ts_config, term, tf)
+        SELECT p_chunk, p_corpus, p_cfg, lexeme, GREATEST(COALESCE(cardinality(positions), 1), 1)
+        FROM unnest(to_tsvector(p_cfg::regconfig, COALESCE(p_content, '')));
+
+        SELECT COALESCE(SUM(tf), 0) INTO dl
+        FROM bm25_chunk_terms
+        WHERE chunk_id = p_chunk AND ts_config = p_cfg;
+
+        INSERT INTO bm25_chunk_lengths (chunk_id, corpus_id, ts_config, doc_len)
+        VALUES (p_chunk, p_corpus, p_cfg, dl);
+
+        INSERT INTO bm25_term_stats (corpus_id, ts_config, term, df)
+        SELECT p_corpus, p_cfg, term, 1
+        FROM bm25_chunk_terms
+        WHERE chunk_id = p_chunk AND ts_config = p_cfg
+        ON CONFLICT (corpus_id, ts_config, term) DO UPDATE SET df = bm25_term_stats.df + 1;
+
+        UPDATE bm25_doc_stats
+        SET doc_count = doc_count + 1, total_len = total_len + dl
+        WHERE corpus_id = p_corpus AND ts_config = p_cfg;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await sql.query(`
+      CREATE OR REPLACE FUNCTION bm25_chunks_sync()
+      RETURNS trigger AS $$
+      DECLARE
+        cfg RECORD;
+      BEGIN
+        IF TG_OP IN ('DELETE', 'UPDATE') THEN
+          UPDATE bm25_term_stats s
+          SET df = s.df - 1
+          FROM bm25_chunk_terms t
+          WHERE t.chunk_id = OLD.chunk_id
+            AND s.corpus_id = t.corpus_id
+            AND s.ts_config = t.ts_config
+            AND s.term = t.term;
+          UPDATE bm25_doc_stats d
+          SET doc_count = d.doc_count - 1, total_len = d.total_len - l.doc_len
+          FROM bm25_chunk_lengths l
+          WHERE l.chunk_id = OLD.chunk_id
+            AND d.corpus_id = l.corpus_id
+            AND d.ts_config = l.ts_config;
+          DELETE FROM bm25_chunk_terms WHERE chunk_id = OLD.chunk_id;
+          DELETE FROM bm25_chunk_lengths WHERE chunk_id = OLD.chunk_id;
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') THEN
+          FOR cfg IN SELECT ts_config FROM bm25_doc_stats WHERE corpus_id = NEW.corpus_id LOOP
+            PERFORM bm25_index_chunk(NEW.chunk_id, NEW.corpus_id, NEW.content, cfg.ts_config);
+          END LOOP;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await sql.query(`
+      CREATE OR REPLACE TRIGGER chunks_bm25_sync
+      AFTER INSERT OR DELETE OR UPDATE OF content, corpus_id ON chunks
+      FOR EACH ROW EXECUTE FUNCTION bm25_chunks_sync();
+    `);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const BM25_BACKFILL_BATCH = 500;
+
+// Registers a pair inside an indexing transaction, so the trigger indexes the chunks written next.
+// A corpus with no chunks yet has nothing to backfill and is ready at once.
+export async function registerBm25Corpus(client, corpusId, tsConfig) {
+  await client.query(
+    `INSERT INTO bm25_doc_stats (corpus_id, ts_config, ready)
+     SELECT $1, $2, NOT EXISTS (SELECT 1 FROM chunks WHERE corpus_id = $1)
+     ON CONFLICT (corpus_id, ts_config) DO NOTHING;`,
+    [corpusId, tsConfig],
+  );
+}
+
+export async function bm25IndexReady(sql, corpusId, tsConfig) {
+  const { rows } = await sql.query(`SELECT ready FROM bm25_doc_stats WHERE corpus_id = $1 AND ts_config = $2;`, [
+    corpusId,
+    tsConfig,
+  ]);
+  return Boolean(rows?.[0]?.ready);
+}
+
+// One bounded backfill step: registers the pair (from then on the trigger covers new chunks) and
+// indexes up to `batchSize` chunks that have no statistics yet, marking the pair ready once a step
+// comes up short. Each step is its own transaction; SHARE mode holds chunk writes off only for that
+// batch, so a write whose trigger missed the registration is committed, and picked up, by a later step.
+// Returns whether the pair is ready; scores are only BM25-consistent from then on.
+export async function advanceBm25Index(pool, corpusId, tsConfig, { batchSize = BM25_BACKFILL_BATCH } = {}) {
+  return withTransaction(pool, async (client) => {
+    await client.query(`LOCK TABLE chunks IN SHARE MODE;`);
+    await client.query(
+      `INSERT INTO bm25_doc_stats (corpus_id, ts_config, ready)
+       VALUES ($1, $2, false)
+       ON CONFLICT (corpus_id, ts_config) DO NOTHING;`,
+      [corpusId, tsConfig],
+    );
+    const batch = await client.query(
+      `SELECT bm25_index_chunk(c.chunk_id, c.corpus_id, c.content, $2)
+       FROM (
+         SELECT chunk_id, corpus_id, content
+         FROM chunks c
+         WHERE c.corpus_id = $1
+           AND NOT EXISTS (
+             SELECT 1 FROM bm25_chunk_lengths l WHERE l.chunk_id = c.chunk_id AND l.ts_config = $2
+           )
+         ORDER BY chunk_id
+         LIMIT $3
+       ) c;`,
+      [corpusId, tsConfig, batchSize],
+    );
+    if ((batch.rows?.length ?? 0) >= batchSize) return false;
+    await client.query(`UPDATE bm25_doc_stats SET ready = true WHERE corpus_id = $1 AND ts_config = $2;`, [
+      corpusId,
+      tsConfig,
+    ]);
+    return true;
+  });
+}
+
+// Okapi BM25 with idf = ln(1 + (N - df + 0.5) / (df + 0.5)), summed over the query's positive
+// terms plus any indexed terms matching its prefix patterns. Which chunks qualify is decided by
+// the caller's tsquery filter. Expects $1 corpus, $2 positive query text, $3 ts_config, $4 k1,
+// $5 b, $6 prefix tsquery patterns (text[]); the caller joins `chunks c` and appends filters.
+export const BM25_SCORED_CHUNKS_SQL = `
+  WITH q AS (
+    SELECT DISTINCT lexeme AS term FROM unnest(to_tsvector($3::regconfig, $2))
+  ),
+  stats AS (
+    SELECT doc_count, GREATEST(total_len::float8 / NULLIF(doc_count, 0), 1) AS avgdl
+    FROM bm25_doc_stats
+    WHERE corpus_id = $1 AND ts_config = $3::text
+  ),
+  idf AS (
+    SELECT s.term, ln(1 + (st.doc_count - s.df + 0.5) / (s.df + 0.5)) AS idf
+    FROM bm25_term_stats s
+    CROSS JOIN stats st
+    WHERE s.corpus_id = $1 AND s.ts_config = $3::text AND s.df > 0
+      AND (
+        s.term IN (SELECT term FROM q)
+        OR (
+          cardinality($6::text[]) > 0
+          AND EXISTS (
+            SELECT 1 FROM unnest($6::text[]) AS p(pattern)
+            WHERE array_to_tsvector(ARRAY[s.term]) @@ to_tsquery($3::regconfig, p.pattern)
+          )
+        )
+      )
+  ),
+  scored AS (
+    SELECT
+      t.chunk_id,
+      SUM(idf.idf * (t.tf * ($4::float8 + 1)) / (t.tf + $4::float8 * (1 - $5::float8 + $5::float8 * l.doc_len / st.avgdl))) AS score
+    FROM bm25_chunk_terms t
+    JOIN idf ON idf.term = t.term
+    JOIN bm25_chunk_lengths l ON l.chunk_id = t.chunk_id AND l.ts_config = t.ts_config
+    CROSS JOIN stats st
+    WHERE t.corpus_id = $1 AND t.ts_config = $3::text
+    GROUP BY t.chunk_id
+  )`;
@@ -0,0 +1,37 @@
+import crypto from 'node:crypto';
+
+function shortHash(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex').slice(0, 12);
+}
+
+// Exactly one base prompt per mode (direct/rag/recall/rag_and_recall): the mode's own
+// system_prompt_<mode> when set, as an override. Otherwise RAG modes use main_rag_chat (the RAG
+// prompts ship empty, so this is the usual path) and the rest system_prompt_base, followed by the
+// suffixes for whichever sources hit. `promptValue(key)` returns the configured text for a prompt key.
+export function composeSystemPrompt(promptValue, mode) {
+  const ragHits = mode === 'rag' || mode === 'rag_and_recall';
+  const recallHits = mode === 'recall' || mode === 'rag_and_recall';
+  const read = (key) => String(promptValue(key) || '').trim();
+
+  let keys = [`system_prompt_${mode}`];
+  if (!read(keys[0])) {
+    const base = ragHits && read('main_rag_chat') ? 'main_rag_chat' : 'system_prompt_base';
+    keys = [
+      base,
+      ...(ragHits ? ['system_prompt_rag_suffix'] : []),
+      ...(recallHits ? ['system_prompt_recall_suffix'] : []),
+    ];
+  }
+
+  const parts = keys.map((key) => ({ key, text: read(key) })).filter((part) => part.text);
+  const text = parts.map((part) => part.text).join('\n\n');
+  return {
+    text,
+    debug: {
+      mode,
+      fallback: keys[0] !== `system_prompt_${mode}`,
+      prompts: parts.map((part) => ({ key: part.key, sha256: shortHash(part.text) })),
+      sha256: shortHash(text),
+    },
+  };
+}
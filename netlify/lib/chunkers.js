@@ -0,0 +1,195 @@
+export const DEFAULT_SEPARATORS = ['\n\n', '\n', '. ', ' ', ''];
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+export function chunkerOptionsFromConfig(cfg) {
+  const chunking = cfg?.chunking || {};
+  const chunkSize = positiveInt(chunking.chunk_size, 1000);
+  const overlap = Number(chunking.chunk_overlap);
+  const minChars = Number(chunking.min_chunk_chars);
+  const separators = Array.isArray(chunking.separators) && chunking.separators.length
+    ? chunking.separators.map(String)
+    : DEFAULT_SEPARATORS;
+  return {
+    strategy: String(chunking.chunking_strategy || 'recursive').trim().toLowerCase(),
+    chunkSize,
+    // Overlap has to leave room for new text or windows would never advance.
+    chunkOverlap: Number.isFinite(overlap) ? Math.min(Math.max(0, Math.floor(overlap)), chunkSize - 1) : 0,
+    minChunkChars: Number.isFinite(minChars) ? Math.max(0, Math.floor(minChars)) : 0,
+    separators,
+    separatorKeep: chunking.separator_keep === 'prefix' ? 'prefix' : 'suffix',
+    markdownMaxHeadingLevel: Math.min(6, positiveInt(chunking.markdown_max_heading_level, 4)),
+    targetTokens: positiveInt(chunking.target_tokens, 512),
+    overlapTokens: Number.isFinite(Number(chunking.overlap_tokens)) ? Math.max(0, Math.floor(chunking.overlap_tokens)) : 64,
+  };
+}
+
+// Chunkers below return [start, end) character ranges into the text, so line numbers and trimming
+// are worked out in one place no matter how the text was cut.
+
+function fixedWindows(text, size, overlap, from = 0, to = text.length) {
+  const ranges = [];
+  const step = Math.max(1, size - overlap);
+  for (let start = from; start < to; start += step) {
+    ranges.push([start, Math.min(to, start + size)]);
+    if (start + size >= to) break;
+  }
+  return ranges;
+}
+
+// Ranges that tile [from, to), cut at every occurrence of `sep`. The separator stays with the piece
+// before it ('suffix') or the piece after it ('prefix').
+function splitRange(text, from, to, sep, keep) {
+  const ranges = [];
+  let start = from;
+  let at = text.indexOf(sep, from);
+  while (at !== -1 && at + sep.length <= to) {
+    const cut = keep === 'prefix' ? at : at + sep.length;
+    if (cut > start) ranges.push([start, cut]);
+    start = cut;
+    at = text.indexOf(sep, at + sep.length);
+  }
+  if (to > start) ranges.push([start, to]);
+  return ranges;
+}
+
+// Breaks a range on the first separator that occurs in it, recursing into pieces still larger than
+// `size` with the separators after it.
+function recursivePieces(text, from, to, size, separators, keep) {
+  if (to - from <= size) return [[from, to]];
+  for (let index = 0; index < separators.length; index += 1) {
+    const sep = separators[index];
+    if (sep && !text.slice(from, to).includes(sep)) continue;
+    if (!sep) return fixedWindows(text, size, 0, from, to);
+    const rest = separators.slice(index + 1);
+    return splitRange(text, from, to, sep, keep).flatMap(([s, e]) => recursivePieces(text, s, e, size, rest, keep));
+  }
+  return fixedWindows(text, size, 0, from, to);
+}
+
+// Greedily joins adjacent pieces up to `size`; each new chunk restarts on the trailing pieces of the
+// previous one that fit in `overlap`.
+function packPieces(pieces, size, overlap) {
+  const ranges = [];
+  let first = 0;
+  while (first < pieces.length) {
+    const start = pieces[first][0];
+    let last = first;
+    while (last + 1 < pieces.length && pieces[last + 1][1] - start <= size) last += 1;
+    const end = pieces[last][1];
+    ranges.push([start, end]);
+    if (last + 1 >= pieces.length) break;
+    let next = last + 1;
+    while (next - 1 > first && end - pieces[next - 1][0] <= overlap) next -= 1;
+    first = next;
+  }
+  return ranges;
+}
+
+function recursiveChunker(text, options, from = 0, to = text.length) {
+  const pieces = recursivePieces(text, from, to, options.chunkSize, options.separators, options.separatorKeep);
+  return packPieces(pieces, options.chunkSize, options.chunkOverlap);
+}
+
+function sentenceChunker(text, options) {
+  const pieces = [];
+  const boundary = /[.!?]+["')\]]*\s+|\n{2,}/g;
+  let start = 0;
+  for (let m = boundary.exec(text); m; m = boundary.exec(text)) {
+    const end = m.index + m[0].length;
+    pieces.push(...recursivePieces(text, start, end, options.chunkSize, options.separators, options.separatorKeep));
+    start = end;
+  }
+  if (start < text.length) {
+    pieces.push(...recursivePieces(text, start, text.length, options.chunkSize, options.separators, options.separatorKeep));
+  }
+  return packPieces(pieces, options.chunkSize, options.chunkOverlap);
+}
+
+// Sections start at headings up to the configured level; headings inside code fences do not count.
+// Sections never share a chunk, and long ones are cut like 'recursive' within the section.
+function markdownChunker(text, options) {
+  const starts = [0];
+  let offset = 0;
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const m = !inFence && line.match(/^(#{1,6})\s/);
+    if (m && m[1].length <= options.markdownMaxHeadingLevel && offset > 0) starts.push(offset);
+    offset += line.length + 1;
+  }
+  starts.push(text.length);
+  const ranges = [];
+  for (let index = 0; index + 1 < starts.length; index += 1) {
+    ranges.push(...recursiveChunker(text, options, starts[index], starts[index + 1]));
+  }
+  return ranges;
+}
+
+function fixedCharsChunker(text, options) {
+  return fixedWindows(text, options.chunkSize, options.chunkOverlap);
+}
+
+// Same chars/4 estimate the chat budgets use.
+function fixedTokensChunker(text, options) {
+  const size = options.targetTokens * 4;
+  return fixedWindows(text, size, Math.min(options.overlapTokens * 4, size - 1));
+}
+
+// Keyed by chunking.chunking_strategy. The local stack's AST-aware strategies need parsers the
+// function bundle does not ship, so those (and anything unknown) fall back to 'recursive'.
+export const CHUNKERS = {
+  recursive: recursiveChunker,
+  markdown: markdownChunker,
+  sentence: sentenceChunker,
+  fixed_chars: fixedCharsChunker,
+  fixed_tokens: fixedTokensChunker,
+};
+
+export function resolveChunker(strategy) {
+  const name = String(strategy || '').trim().toLowerCase();
+  if (Object.hasOwn(CHUNKERS, name)) return { strategy: name, chunker: CHUNKERS[name] };
+  return { strategy: 'recursive', chunker: CHUNKERS.recursive };
+}
+
+function lineAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+// Chunks of one file with 1-based line spans. Pieces shorter than `minChunkChars` are folded into
+// the chunk before them, so a file shorter than that still yields its one chunk rather than none.
+export function chunkText(text, options) {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  if (!source.trim()) return [];
+  const { chunker } = resolveChunker(options.strategy);
+  const lineStarts = [0];
+  for (let index = source.indexOf('\n'); index !== -1; index = source.indexOf('\n', index + 1)) lineStarts.push(index + 1);
+
+  const chunks = [];
+  for (const [start, end] of chunker(source, options)) {
+    const raw = source.slice(start, end);
+    const content = raw.trim();
+    if (!content) continue;
+    const from = start + (raw.length - raw.trimStart().length);
+    const to = from + content.length - 1;
+    const prev = chunks.at(-1);
+    if (prev && content.length < options.minChunkChars && to > prev.end) {
+      prev.content = source.slice(prev.start, to + 1);
+      prev.end = to;
+      continue;
+    }
+    if (prev && to <= prev.end) continue;
+    chunks.push({ start: from, end: to, content });
+  }
+  return chunks.map((c) => ({ content: c.content, start_line: lineAt(lineStarts, c.start), end_line: lineAt(lineStarts, c.end) }));
+}
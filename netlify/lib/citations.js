@@ -0,0 +1,144 @@
+// Bracketed chunk references as the chat prompt asks for them: [1], [1, 3], [2-4] (also en dash).
+const CITATION_RE = /\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g;
+const MARKERS_AFTER_END_RE = /[.!?]+(?:\s*\[\d+(?:\s*[-–,]\s*\d+)*\])*(?=\s|$)|\n+/g;
+
+// A cited sentence counts as supported when this share of its content words appear in the chunk.
+const SUPPORT_THRESHOLD = 0.2;
+// Shorter sentences ("See below.", "Hope this helps!") are not treated as factual claims.
+const MIN_CLAIM_WORDS = 5;
+// Ranges like [1-400] are almost certainly not citations; cap how far one marker expands.
+const MAX_RANGE_SPAN = 20;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'has', 'have', 'had', 'not',
+  'but', 'its', 'their', 'they', 'there', 'which', 'who', 'what', 'when', 'also', 'into', 'than', 'then',
+  'been', 'being', 'about', 'these', 'those', 'such', 'can', 'may', 'will', 'would', 'should', 'could',
+]);
+
+function contentWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(CITATION_RE, ' ')
+    .split(/[^a-z0-9_]+/)
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word));
+}
+
+function expandMarker(body) {
+  const numbers = [];
+  for (const part of body.split(',')) {
+    const [from, to] = part.split(/[-–]/).map((n) => Number(n.trim()));
+    if (to == null || Number.isNaN(to)) {
+      numbers.push(from);
+    } else if (to >= from && to - from <= MAX_RANGE_SPAN) {
+      for (let n = from; n <= to; n += 1) numbers.push(n);
+    } else {
+      numbers.push(from, to);
+    }
+  }
+  return numbers;
+}
+
+export function parseCitations(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(CITATION_RE)) {
+    out.push({ marker: m[0], numbers: expandMarker(m[1]), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Sentence spans with offsets; markers that trail the terminator ("... 1997. [2]") stay with their sentence.
+export function splitSentences(text) {
+  const src = String(text || '');
+  const sentences = [];
+  const push = (start, end) => {
+    const raw = src.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    if (body) sentences.push({ text: body, start: start + lead, end: start + lead + body.length });
+  };
+  let start = 0;
+  for (const m of src.matchAll(MARKERS_AFTER_END_RE)) {
+    push(start, m.index + m[0].length);
+    start = m.index + m[0].length;
+  }
+  push(start, src.length);
+  return sentences;
+}
+
+function isClaim(sentence, insideCode) {
+  if (insideCode) return false;
+  const plain = sentence.text.replace(CITATION_RE, '').trim();
+  if (/^(#|>|\|)/.test(plain) || plain.endsWith('?') || plain.endsWith(':')) return false;
+  return plain.split(/\s+/).filter(Boolean).length >= MIN_CLAIM_WORDS;
+}
+
+function supportScore(sentence, content) {
+  const words = Array.from(new Set(contentWords(sentence)));
+  if (!words.length) return 1;
+  const chunkWords = new Set(contentWords(content));
+  return words.filter((word) => chunkWords.has(word)).length / words.length;
+}
+
+// `numbered` is the list of chunks the prompt labelled [1]..[n], in that order. Returns the valid
+// citations (one per cited chunk), markers pointing outside that list, and factual-looking
+// sentences that cite nothing. Uncited claims are only reported when there was something to cite.
+export function verifyCitations(answer, numbered) {
+  const text = String(answer || '');
+  const chunks = Array.isArray(numbered) ? numbered : [];
+  const sentences = splitSentences(text);
+  const codeRanges = Array.from(text.matchAll(/```[\s\S]*?(?:```|$)/g)).map((m) => [m.index, m.index + m[0].length]);
+  const inCode = (pos) => codeRanges.some(([from, to]) => pos >= from && pos < to);
+
+  const byIndex = new Map();
+  const invalid = [];
+  const uncited = [];
+  let claims = 0;
+  let citedClaims = 0;
+
+  for (const sentence of sentences) {
+    const markers = parseCitations(sentence.text);
+    const claim = isClaim(sentence, inCode(sentence.start));
+    if (claim) claims += 1;
+    if (!markers.length) {
+      if (claim && chunks.length) uncited.push(sentence);
+      continue;
+    }
+    if (claim) citedClaims += 1;
+
+    for (const marker of markers) {
+      for (const index of marker.numbers) {
+        const chunk = Number.isInteger(index) && index >= 1 ? chunks[index - 1] : null;
+        if (!chunk) {
+          invalid.push({ index, marker: marker.marker, position: sentence.start + marker.start, reason: 'out_of_range' });
+          continue;
+        }
+        const score = supportScore(sentence.text, chunk.content);
+        const entry = byIndex.get(index) || {
+          index,
+          chunk_id: chunk.chunk_id,
+          corpus_id: chunk.metadata?.corpus_id ?? null,
+          file_path: chunk.file_path,
+          start_line: chunk.start_line,
+          end_line: chunk.end_line,
+          mentions: 0,
+          support_score: 0,
+          unsupported_mentions: 0,
+        };
+        entry.mentions += 1;
+        entry.support_score = Math.max(entry.support_score, Number(score.toFixed(4)));
+        if (score < SUPPORT_THRESHOLD) entry.unsupported_mentions += 1;
+        byIndex.set(index, entry);
+      }
+    }
+  }
+
+  const citations = Array.from(byIndex.values())
+    .sort((a, b) => a.index - b.index)
+    .map((entry) => ({ ...entry, supported: entry.unsupported_mentions === 0 }));
+  return {
+    citations,
+    invalid,
+    uncited_claims: uncited,
+    coverage: claims ? Number((citedClaims / claims).toFixed(4)) : null,
+  };
+}
@@ -0,0 +1,69 @@
+// Citations and grounding say more about a given answer than the shape of the ranking does.
+export const CONFIDENCE_WEIGHTS = {
+  score_margin: 0.2,
+  leg_agreement: 0.2,
+  citation_coverage: 0.3,
+  grounding: 0.3,
+};
+
+// How many of the top results are checked for agreement between retrieval legs.
+const AGREEMENT_DEPTH = 3;
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+// Lead of the first result over the second, relative to the spread of the whole list, so it reads
+// the same for RRF, weighted and reranker scores. Two results have no spread beyond that lead, so
+// they fall back to the lead relative to the top score. A lone result has nothing to compete with.
+export function scoreMargin(scores) {
+  const list = (Array.isArray(scores) ? scores : []).map((s) => Number(s) || 0);
+  if (!list.length) return 0;
+  if (list.length === 1) return 1;
+  if (list.length === 2) return list[0] ? round(Math.max(0, Math.min(1, (list[0] - list[1]) / Math.abs(list[0])))) : 0;
+  const spread = Math.max(...list) - Math.min(...list);
+  return spread > 0 ? round(Math.max(0, Math.min(1, (list[0] - list[1]) / spread))) : 0;
+}
+
+// Share of the legs that returned anything which also found each of the top results.
+export function legAgreement(topLegs, activeLegs) {
+  const active = Array.isArray(activeLegs) ? activeLegs : [];
+  const tops = (Array.isArray(topLegs) ? topLegs : []).slice(0, AGREEMENT_DEPTH);
+  if (active.length < 2 || !tops.length) return null;
+  const perMatch = tops.map((legs) => active.filter((leg) => legs?.[leg]).length / active.length);
+  return round(perMatch.reduce((sum, value) => sum + value, 0) / perMatch.length);
+}
+
+// Whether the answer actually leans on retrieved chunks: valid citations that the cited text
+// supports, discounted by markers pointing at chunks that were never provided.
+export function grounding(citationCheck) {
+  if (!citationCheck) return null;
+  const cited = citationCheck.citations.length;
+  const invalid = citationCheck.invalid.length;
+  if (!cited) return 0;
+  const supported = citationCheck.citations.filter((c) => c.supported).length;
+  return round((supported / cited) * (cited / (cited + invalid)));
+}
+
+// Components that do not apply (a single retrieval leg, no answer to check) are null and their
+// weight is spread over the rest. With no retrieved evidence at all the score is 0.
+export function answerConfidence({ scores = [], topLegs = [], activeLegs = [], citationCheck = null } = {}) {
+  const components = {
+    score_margin: scores.length ? scoreMargin(scores) : null,
+    leg_agreement: legAgreement(topLegs, activeLegs),
+    citation_coverage: citationCheck && scores.length ? citationCheck.coverage : null,
+    grounding: scores.length ? grounding(citationCheck) : null,
+  };
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value == null) continue;
+    weighted += CONFIDENCE_WEIGHTS[name] * value;
+    totalWeight += CONFIDENCE_WEIGHTS[name];
+  }
+  return {
+    score: totalWeight ? round(weighted / totalWeight) : 0,
+    components,
+    weights: CONFIDENCE_WEIGHTS,
+  };
+}
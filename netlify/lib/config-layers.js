@@ -0,0 +1,121 @@
+import { coerceConfigValue, configSchemaNode } from './config-transfer.js';
+import { ConfigValidationError, validateConfig } from './config-validation.js';
+
+// Lowest to highest precedence.
+export const CONFIG_SOURCES = ['default', 'env', 'stored', 'request'];
+
+// Credentials and connection details mapped in the env key map (NEO4J_PASSWORD, NEO4J_URI,
+// NEO4J_USER, POSTGRES_URL) stay out of the config, which is served verbatim by GET /api/config.
+// Matched on whole `_` segments so budgets like GEN_MAX_TOKENS still apply.
+const SECRET_ENV_KEY = /(^|_)(PASSWORD|SECRET|TOKEN|API_KEY|URI|USER|DSN)(_|$)|(^|_)(POSTGRES|DATABASE)_URL$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// [dottedPath, value] for every leaf; arrays are leaves, like everywhere else configs are diffed.
+function leaves(obj, prefix = '', out = []) {
+  if (!isPlainObject(obj)) return out;
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) leaves(value, path, out);
+    else out.push([path, value]);
+  }
+  return out;
+}
+
+function readPath(obj, dotted) {
+  return dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function writePath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let node = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  if (value === undefined) delete node[keys.at(-1)];
+  else node[keys.at(-1)] = value;
+  return obj;
+}
+
+// Config values from `env` for every mapped key that is set. Each value is converted to its schema
+// type and validated on its own; anything that fails is reported in `skipped` instead of applied.
+export function envConfigOverlay(env, envToPath, schema) {
+  const config = {};
+  const keys = {};
+  const skipped = [];
+  for (const [envKey, dotted] of Object.entries(envToPath)) {
+    const raw = env?.[envKey];
+    if (raw == null || raw === '') continue;
+    if (SECRET_ENV_KEY.test(envKey)) {
+      skipped.push({ env: envKey, field: dotted, message: 'credential; not exposed through config' });
+      continue;
+    }
+    const value = coerceConfigValue(configSchemaNode(schema, dotted), String(raw));
+    try {
+      validateConfig(schema, writePath({}, dotted, value));
+    } catch (e) {
+      if (!(e instanceof ConfigValidationError)) throw e;
+      skipped.push({ env: envKey, field: dotted, message: e.errors[0].message });
+      continue;
+    }
+    writePath(config, dotted, value);
+    keys[dotted] = envKey;
+  }
+  return { config, keys, skipped };
+}
+
+// Stacks the layers and records which one each leaf came from. Stored snapshots are complete
+// configs, so a stored leaf only counts (and beats env) where it differs from the default; pinning
+// a key back to its default while env sets it means unsetting the env var.
+export function layerConfig({ base, env = {}, stored = null, request = {} }) {
+  const config = clone(base) || {};
+  const provenance = {};
+  for (const [path] of leaves(base)) provenance[path] = 'default';
+  for (const [path, value] of leaves(env)) {
+    writePath(config, path, clone(value));
+    provenance[path] = 'env';
+  }
+  for (const [path, value] of leaves(stored)) {
+    if (sameValue(value, readPath(base, path))) continue;
+    writePath(config, path, clone(value));
+    provenance[path] = 'stored';
+  }
+  for (const [path, value] of leaves(request)) {
+    writePath(config, path, clone(value));
+    provenance[path] = 'request';
+  }
+  return { config, provenance };
+}
+
+// What to persist for an edited config: env-supplied values the edit left untouched go back to
+// their defaults, so a later env change still applies instead of being frozen into the snapshot.
+export function storedSnapshot(config, { base, env = {}, provenance = {} }) {
+  const out = clone(config) || {};
+  for (const [path, value] of leaves(env)) {
+    if (provenance[path] === 'env' && sameValue(readPath(out, path), value)) writePath(out, path, clone(readPath(base, path)));
+  }
+  return out;
+}
+
+export function explainConfig(config, provenance, { envKeys = {}, versionId = null } = {}) {
+  const out = {};
+  for (const [path, value] of leaves(config)) {
+    const source = provenance[path] || 'default';
+    const entry = { value, source };
+    if (source === 'env') entry.env = envKeys[path];
+    if (source === 'stored') entry.version_id = versionId;
+    out[path] = entry;
+  }
+  return out;
+}
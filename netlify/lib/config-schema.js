@@ -0,0 +1,1740 @@
+// AUTO-GENERATED FILE - DO NOT EDIT
+// Generated from vendor/demo/src/types/generated.ts (TriBridConfig) by
+// scripts/generate-config-schema.cjs. Regenerate after syncing the demo types.
+
+export const TRIBRID_CONFIG_SCHEMA = {
+  "type": "object",
+  "fields": {
+    "retrieval": {
+      "type": "object",
+      "fields": {
+        "rrf_k_div": {
+          "type": "number"
+        },
+        "langgraph_final_k": {
+          "type": "number"
+        },
+        "max_query_rewrites": {
+          "type": "number"
+        },
+        "langgraph_max_query_rewrites": {
+          "type": "number"
+        },
+        "fallback_confidence": {
+          "type": "number"
+        },
+        "final_k": {
+          "type": "number"
+        },
+        "eval_final_k": {
+          "type": "number"
+        },
+        "conf_top1": {
+          "type": "number"
+        },
+        "conf_avg5": {
+          "type": "number"
+        },
+        "conf_any": {
+          "type": "number"
+        },
+        "eval_multi": {
+          "type": "number"
+        },
+        "query_expansion_enabled": {
+          "type": "number"
+        },
+        "bm25_weight": {
+          "type": "number"
+        },
+        "bm25_k1": {
+          "type": "number"
+        },
+        "bm25_b": {
+          "type": "number"
+        },
+        "vector_weight": {
+          "type": "number"
+        },
+        "chunk_summary_search_enabled": {
+          "type": "number"
+        },
+        "max_chunks_per_file": {
+          "type": "number"
+        },
+        "dedup_by": {
+          "type": "string",
+          "enum": [
+            "chunk_id",
+            "file_path"
+          ]
+        },
+        "neighbor_window": {
+          "type": "number"
+        },
+        "min_score_vector": {
+          "type": "number"
+        },
+        "min_score_sparse": {
+          "type": "number"
+        },
+        "min_score_graph": {
+          "type": "number"
+        },
+        "enable_mmr": {
+          "type": "boolean"
+        },
+        "mmr_lambda": {
+          "type": "number"
+        },
+        "multi_query_m": {
+          "type": "number"
+        },
+        "use_semantic_synonyms": {
+          "type": "number"
+        },
+        "tribrid_synonyms_path": {
+          "type": "string"
+        },
+        "topk_dense": {
+          "type": "number"
+        },
+        "topk_sparse": {
+          "type": "number"
+        },
+        "hydration_mode": {
+          "type": "string"
+        },
+        "hydration_max_chars": {
+          "type": "number"
+        }
+      }
+    },
+    "semantic_cache": {
+      "type": "object",
+      "fields": {
+        "enabled": {
+          "type": "number"
+        },
+        "mode": {
+          "type": "string",
+          "enum": [
+            "read_write",
+            "read_only",
+            "write_only"
+          ]
+        },
+        "max_entries": {
+          "type": "number"
+        },
+        "min_query_chars": {
+          "type": "number"
+        },
+        "similarity_threshold_search": {
+          "type": "number"
+        },
+        "similarity_threshold_answer": {
+          "type": "number"
+        },
+        "similarity_threshold_chat": {
+          "type": "number"
+        },
+        "ttl_seconds_search": {
+          "type": "number"
+        },
+        "ttl_seconds_answer": {
+          "type": "number"
+        },
+        "ttl_seconds_chat": {
+          "type": "number"
+        },
+        "chat_history_window": {
+          "type": "number"
+        },
+        "bypass_if_images": {
+          "type": "number"
+        },
+        "max_temperature_for_write": {
+          "type": "number"
+        }
+      }
+    },
+    "scoring": {
+      "type": "object",
+      "fields": {
+        "chunk_summary_bonus": {
+          "type": "number"
+        },
+        "filename_boost_exact": {
+          "type": "number"
+        },
+        "filename_boost_partial": {
+          "type": "number"
+        },
+        "vendor_mode": {
+          "type": "string"
+        },
+        "path_boosts": {
+          "type": "string"
+        }
+      }
+    },
+    "layer_bonus": {
+      "type": "object",
+      "fields": {
+        "gui": {
+          "type": "number"
+        },
+        "retrieval": {
+          "type": "number"
+        },
+        "indexer": {
+          "type": "number"
+        },
+        "vendor_penalty": {
+          "type": "number"
+        },
+        "freshness_bonus": {
+          "type": "number"
+        },
+        "intent_matrix": {
+          "type": "record",
+          "values": {
+            "type": "record",
+            "values": {
+              "type": "number"
+            }
+          }
+        }
+      }
+    },
+    "embedding": {
+      "type": "object",
+      "fields": {
+        "embedding_backend": {
+          "type": "string",
+          "enum": [
+            "deterministic",
+            "provider"
+          ]
+        },
+        "embedding_type": {
+          "type": "string"
+        },
+        "embedding_model": {
+          "type": "string"
+        },
+        "embedding_dim": {
+          "type": "number"
+        },
+        "auto_set_dimensions": {
+          "type": "boolean"
+        },
+        "input_truncation": {
+          "type": "string",
+          "enum": [
+            "error",
+            "truncate_end",
+            "truncate_middle"
+          ]
+        },
+        "embed_text_prefix": {
+          "type": "string"
+        },
+        "embed_text_suffix": {
+          "type": "string"
+        },
+        "contextual_chunk_embeddings": {
+          "type": "string",
+          "enum": [
+            "off",
+            "prepend_context",
+            "late_chunking_local_only"
+          ]
+        },
+        "late_chunking_max_doc_tokens": {
+          "type": "number"
+        },
+        "voyage_model": {
+          "type": "string"
+        },
+        "embedding_model_local": {
+          "type": "string"
+        },
+        "embedding_model_mlx": {
+          "type": "string"
+        },
+        "embedding_batch_size": {
+          "type": "number"
+        },
+        "embedding_max_tokens": {
+          "type": "number"
+        },
+        "embedding_cache_enabled": {
+          "type": "number"
+        },
+        "embedding_timeout": {
+          "type": "number"
+        },
+        "embedding_retry_max": {
+          "type": "number"
+        }
+      }
+    },
+    "tokenization": {
+      "type": "object",
+      "fields": {
+        "strategy": {
+          "type": "string",
+          "enum": [
+            "whitespace",
+            "tiktoken",
+            "huggingface"
+          ]
+        },
+        "tiktoken_encoding": {
+          "type": "string"
+        },
+        "hf_tokenizer_name": {
+          "type": "string"
+        },
+        "normalize_unicode": {
+          "type": "boolean"
+        },
+        "lowercase": {
+          "type": "boolean"
+        },
+        "max_tokens_per_chunk_hard": {
+          "type": "number"
+        },
+        "estimate_only": {
+          "type": "boolean"
+        }
+      }
+    },
+    "chunking": {
+      "type": "object",
+      "fields": {
+        "chunk_size": {
+          "type": "number"
+        },
+        "chunk_overlap": {
+          "type": "number"
+        },
+        "ast_overlap_lines": {
+          "type": "number"
+        },
+        "max_indexable_file_size": {
+          "type": "number"
+        },
+        "max_chunk_tokens": {
+          "type": "number"
+        },
+        "min_chunk_chars": {
+          "type": "number"
+        },
+        "greedy_fallback_target": {
+          "type": "number"
+        },
+        "chunking_strategy": {
+          "type": "string"
+        },
+        "preserve_imports": {
+          "type": "number"
+        },
+        "target_tokens": {
+          "type": "number"
+        },
+        "overlap_tokens": {
+          "type": "number"
+        },
+        "separators": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "separator_keep": {
+          "type": "string",
+          "enum": [
+            "none",
+            "prefix",
+            "suffix"
+          ]
+        },
+        "recursive_max_depth": {
+          "type": "number"
+        },
+        "markdown_max_heading_level": {
+          "type": "number"
+        },
+        "markdown_include_code_fences": {
+          "type": "boolean"
+        },
+        "emit_chunk_ordinal": {
+          "type": "boolean"
+        },
+        "emit_parent_doc_id": {
+          "type": "boolean"
+        }
+      }
+    },
+    "indexing": {
+      "type": "object",
+      "fields": {
+        "postgres_url": {
+          "type": "string"
+        },
+        "indexing_batch_size": {
+          "type": "number"
+        },
+        "indexing_workers": {
+          "type": "number"
+        },
+        "bm25_tokenizer": {
+          "type": "string"
+        },
+        "bm25_stemmer_lang": {
+          "type": "string"
+        },
+        "index_excluded_exts": {
+          "type": "string"
+        },
+        "index_max_file_size_mb": {
+          "type": "number"
+        },
+        "large_file_mode": {
+          "type": "string",
+          "enum": [
+            "read_all",
+            "stream"
+          ]
+        },
+        "large_file_stream_chunk_chars": {
+          "type": "number"
+        },
+        "parquet_extract_max_rows": {
+          "type": "number"
+        },
+        "parquet_extract_max_chars": {
+          "type": "number"
+        },
+        "parquet_extract_max_cell_chars": {
+          "type": "number"
+        },
+        "parquet_extract_text_columns_only": {
+          "type": "number"
+        },
+        "parquet_extract_include_column_names": {
+          "type": "number"
+        },
+        "skip_dense": {
+          "type": "number"
+        },
+        "estimated_tokens_per_second_local": {
+          "type": "number",
+          "nullable": true
+        }
+      }
+    },
+    "graph_storage": {
+      "type": "object",
+      "fields": {
+        "neo4j_uri": {
+          "type": "string"
+        },
+        "neo4j_user": {
+          "type": "string"
+        },
+        "neo4j_password": {
+          "type": "string"
+        },
+        "neo4j_database": {
+          "type": "string"
+        },
+        "neo4j_database_mode": {
+          "type": "string",
+          "enum": [
+            "shared",
+            "per_corpus"
+          ]
+        },
+        "neo4j_database_prefix": {
+          "type": "string"
+        },
+        "neo4j_auto_create_databases": {
+          "type": "boolean"
+        },
+        "neo4j_vector_query_mode": {
+          "type": "string",
+          "enum": [
+            "auto",
+            "procedure",
+            "search"
+          ]
+        },
+        "max_hops": {
+          "type": "number"
+        },
+        "include_communities": {
+          "type": "boolean"
+        },
+        "community_algorithm": {
+          "type": "string",
+          "enum": [
+            "louvain",
+            "label_propagation"
+          ]
+        },
+        "entity_types": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "relationship_types": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "graph_search_top_k": {
+          "type": "number"
+        }
+      }
+    },
+    "graph_indexing": {
+      "type": "object",
+      "fields": {
+        "enabled": {
+          "type": "boolean"
+        },
+        "build_lexical_graph": {
+          "type": "boolean"
+        },
+        "store_chunk_embeddings": {
+          "type": "boolean"
+        },
+        "semantic_kg_enabled": {
+          "type": "boolean"
+        },
+        "ast_contains_weight": {
+          "type": "number"
+        },
+        "ast_inherits_weight": {
+          "type": "number"
+        },
+        "ast_imports_weight": {
+          "type": "number"
+        },
+        "ast_calls_weight": {
+          "type": "number"
+        },
+        "semantic_kg_mode": {
+          "type": "string",
+          "enum": [
+            "heuristic",
+            "llm"
+          ]
+        },
+        "semantic_kg_typed_entities_enabled": {
+          "type": "boolean"
+        },
+        "semantic_kg_allowed_entity_types": {
+          "type": "array",
+          "items": {
+            "type": "string",
+            "enum": [
+              "person",
+              "org",
+              "location",
+              "event",
+              "concept"
+            ]
+          }
+        },
+        "semantic_kg_require_llm_success": {
+          "type": "boolean"
+        },
+        "semantic_kg_reasoning_effort": {
+          "type": "string",
+          "enum": [
+            "minimal",
+            "low",
+            "medium",
+            "high",
+            "xhigh"
+          ]
+        },
+        "semantic_kg_relation_weight_llm": {
+          "type": "number"
+        },
+        "semantic_kg_relation_weight_heuristic": {
+          "type": "number"
+        },
+        "semantic_kg_max_concepts_per_chunk": {
+          "type": "number"
+        },
+        "semantic_kg_min_concept_len": {
+          "type": "number"
+        },
+        "semantic_kg_max_relations_per_chunk": {
+          "type": "number"
+        },
+        "semantic_kg_max_chunks": {
+          "type": "number"
+        },
+        "semantic_kg_llm_model": {
+          "type": "string"
+        },
+        "semantic_kg_llm_timeout_s": {
+          "type": "number"
+        },
+        "chunk_vector_index_name": {
+          "type": "string"
+        },
+        "chunk_embedding_property": {
+          "type": "string"
+        },
+        "vector_similarity_function": {
+          "type": "string",
+          "enum": [
+            "cosine",
+            "euclidean"
+          ]
+        },
+        "wait_vector_index_online": {
+          "type": "boolean"
+        },
+        "vector_index_online_timeout_s": {
+          "type": "number"
+        }
+      }
+    },
+    "fusion": {
+      "type": "object",
+      "fields": {
+        "method": {
+          "type": "string",
+          "enum": [
+            "rrf",
+            "weighted"
+          ]
+        },
+        "vector_weight": {
+          "type": "number"
+        },
+        "sparse_weight": {
+          "type": "number"
+        },
+        "graph_weight": {
+          "type": "number"
+        },
+        "rrf_k": {
+          "type": "number"
+        },
+        "normalize_scores": {
+          "type": "boolean"
+        }
+      }
+    },
+    "vector_search": {
+      "type": "object",
+      "fields": {
+        "enabled": {
+          "type": "boolean"
+        },
+        "top_k": {
+          "type": "number"
+        },
+        "similarity_threshold": {
+          "type": "number"
+        }
+      }
+    },
+    "sparse_search": {
+      "type": "object",
+      "fields": {
+        "engine": {
+          "type": "string",
+          "enum": [
+            "postgres_fts",
+            "pg_search_bm25"
+          ]
+        },
+        "query_mode": {
+          "type": "string",
+          "enum": [
+            "plain",
+            "phrase",
+            "boolean"
+          ]
+        },
+        "highlight": {
+          "type": "boolean"
+        },
+        "relax_on_empty": {
+          "type": "boolean"
+        },
+        "relax_max_terms": {
+          "type": "number"
+        },
+        "file_path_fallback": {
+          "type": "boolean"
+        },
+        "file_path_max_terms": {
+          "type": "number"
+        },
+        "enabled": {
+          "type": "boolean"
+        },
+        "top_k": {
+          "type": "number"
+        },
+        "bm25_k1": {
+          "type": "number"
+        },
+        "bm25_b": {
+          "type": "number"
+        }
+      }
+    },
+    "graph_search": {
+      "type": "object",
+      "fields": {
+        "mode": {
+          "type": "string",
+          "enum": [
+            "chunk",
+            "entity"
+          ]
+        },
+        "enabled": {
+          "type": "boolean"
+        },
+        "chunk_neighbor_window": {
+          "type": "number"
+        },
+        "chunk_seed_overfetch_multiplier": {
+          "type": "number"
+        },
+        "chunk_entity_expansion_enabled": {
+          "type": "boolean"
+        },
+        "chunk_entity_expansion_weight": {
+          "type": "number"
+        },
+        "max_hops": {
+          "type": "number"
+        },
+        "include_communities": {
+          "type": "boolean"
+        },
+        "top_k": {
+          "type": "number"
+        }
+      }
+    },
+    "reranking": {
+      "type": "object",
+      "fields": {
+        "reranker_mode": {
+          "type": "string"
+        },
+        "reranker_cloud_provider": {
+          "type": "string"
+        },
+        "reranker_cloud_model": {
+          "type": "string"
+        },
+        "tribrid_reranker_alpha": {
+          "type": "number"
+        },
+        "tribrid_reranker_topn": {
+          "type": "number"
+        },
+        "reranker_cloud_top_n": {
+          "type": "number"
+        },
+        "tribrid_reranker_batch": {
+          "type": "number"
+        },
+        "tribrid_reranker_maxlen": {
+          "type": "number"
+        },
+        "tribrid_reranker_reload_on_change": {
+          "type": "number"
+        },
+        "tribrid_reranker_reload_period_sec": {
+          "type": "number"
+        },
+        "reranker_timeout": {
+          "type": "number"
+        },
+        "rerank_input_snippet_chars": {
+          "type": "number"
+        }
+      }
+    },
+    "generation": {
+      "type": "object",
+      "fields": {
+        "gen_model": {
+          "type": "string"
+        },
+        "gen_temperature": {
+          "type": "number"
+        },
+        "gen_max_tokens": {
+          "type": "number"
+        },
+        "gen_top_p": {
+          "type": "number"
+        },
+        "gen_timeout": {
+          "type": "number"
+        },
+        "gen_retry_max": {
+          "type": "number"
+        },
+        "enrich_model": {
+          "type": "string"
+        },
+        "gen_backend": {
+          "type": "string"
+        },
+        "enrich_backend": {
+          "type": "string"
+        },
+        "enrich_disabled": {
+          "type": "number"
+        },
+        "ollama_num_ctx": {
+          "type": "number"
+        },
+        "gen_model_cli": {
+          "type": "string"
+        },
+        "gen_model_ollama": {
+          "type": "string"
+        },
+        "gen_model_http": {
+          "type": "string"
+        },
+        "gen_model_mcp": {
+          "type": "string"
+        },
+        "enrich_model_ollama": {
+          "type": "string"
+        },
+        "ollama_url": {
+          "type": "string"
+        },
+        "openai_base_url": {
+          "type": "string"
+        },
+        "ollama_request_timeout": {
+          "type": "number"
+        },
+        "ollama_stream_idle_timeout": {
+          "type": "number"
+        }
+      }
+    },
+    "enrichment": {
+      "type": "object",
+      "fields": {
+        "chunk_summaries_enrich_default": {
+          "type": "number"
+        },
+        "chunk_summaries_max": {
+          "type": "number"
+        },
+        "enrich_code_chunks": {
+          "type": "number"
+        },
+        "enrich_min_chars": {
+          "type": "number"
+        },
+        "enrich_max_chars": {
+          "type": "number"
+        },
+        "enrich_timeout": {
+          "type": "number"
+        }
+      }
+    },
+    "chunk_summaries": {
+      "type": "object",
+      "fields": {
+        "exclude_dirs": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "exclude_patterns": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "exclude_keywords": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "code_snippet_length": {
+          "type": "number"
+        },
+        "max_symbols": {
+          "type": "number"
+        },
+        "max_routes": {
+          "type": "number"
+        },
+        "purpose_max_length": {
+          "type": "number"
+        },
+        "quick_tips": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        }
+      }
+    },
+    "keywords": {
+      "type": "object",
+      "fields": {
+        "keywords_max_per_repo": {
+          "type": "number"
+        },
+        "keywords_min_freq": {
+          "type": "number"
+        },
+        "keywords_boost": {
+          "type": "number"
+        },
+        "keywords_auto_generate": {
+          "type": "number"
+        },
+        "keywords_refresh_hours": {
+          "type": "number"
+        }
+      }
+    },
+    "tracing": {
+      "type": "object",
+      "fields": {
+        "tracing_enabled": {
+          "type": "number"
+        },
+        "trace_sampling_rate": {
+          "type": "number"
+        },
+        "prometheus_port": {
+          "type": "number"
+        },
+        "metrics_enabled": {
+          "type": "number"
+        },
+        "alert_include_resolved": {
+          "type": "number"
+        },
+        "alert_webhook_timeout": {
+          "type": "number"
+        },
+        "log_level": {
+          "type": "string"
+        },
+        "tracing_mode": {
+          "type": "string"
+        },
+        "trace_auto_ls": {
+          "type": "number"
+        },
+        "trace_retention": {
+          "type": "number"
+        },
+        "tribrid_log_path": {
+          "type": "string"
+        },
+        "alert_notify_severities": {
+          "type": "string"
+        },
+        "langchain_endpoint": {
+          "type": "string"
+        },
+        "langchain_project": {
+          "type": "string"
+        },
+        "langchain_tracing_v2": {
+          "type": "number"
+        },
+        "langtrace_api_host": {
+          "type": "string"
+        },
+        "langtrace_project_id": {
+          "type": "string"
+        }
+      }
+    },
+    "training": {
+      "type": "object",
+      "fields": {
+        "reranker_train_epochs": {
+          "type": "number"
+        },
+        "reranker_train_batch": {
+          "type": "number"
+        },
+        "reranker_train_lr": {
+          "type": "number"
+        },
+        "reranker_warmup_ratio": {
+          "type": "number"
+        },
+        "triplets_min_count": {
+          "type": "number"
+        },
+        "triplets_mine_mode": {
+          "type": "string"
+        },
+        "tribrid_reranker_model_path": {
+          "type": "string"
+        },
+        "tribrid_reranker_mine_mode": {
+          "type": "string"
+        },
+        "tribrid_reranker_mine_reset": {
+          "type": "number"
+        },
+        "tribrid_triplets_path": {
+          "type": "string"
+        },
+        "learning_reranker_backend": {
+          "type": "string",
+          "enum": [
+            "auto",
+            "mlx_qwen3"
+          ]
+        },
+        "learning_reranker_base_model": {
+          "type": "string"
+        },
+        "learning_reranker_lora_rank": {
+          "type": "number"
+        },
+        "learning_reranker_lora_alpha": {
+          "type": "number"
+        },
+        "learning_reranker_lora_dropout": {
+          "type": "number"
+        },
+        "learning_reranker_lora_target_modules": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "learning_reranker_negative_ratio": {
+          "type": "number"
+        },
+        "learning_reranker_grad_accum_steps": {
+          "type": "number"
+        },
+        "learning_reranker_promote_if_improves": {
+          "type": "number"
+        },
+        "learning_reranker_promote_epsilon": {
+          "type": "number"
+        },
+        "learning_reranker_unload_after_sec": {
+          "type": "number"
+        },
+        "learning_reranker_telemetry_interval_steps": {
+          "type": "number"
+        },
+        "ragweld_agent_backend": {
+          "type": "string"
+        },
+        "ragweld_agent_base_model": {
+          "type": "string"
+        },
+        "ragweld_agent_model_path": {
+          "type": "string"
+        },
+        "ragweld_agent_unload_after_sec": {
+          "type": "number"
+        },
+        "ragweld_agent_reload_period_sec": {
+          "type": "number"
+        },
+        "ragweld_agent_train_dataset_path": {
+          "type": "string"
+        },
+        "ragweld_agent_lora_rank": {
+          "type": "number"
+        },
+        "ragweld_agent_lora_alpha": {
+          "type": "number"
+        },
+        "ragweld_agent_lora_dropout": {
+          "type": "number"
+        },
+        "ragweld_agent_lora_target_modules": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "ragweld_agent_grad_accum_steps": {
+          "type": "number"
+        },
+        "ragweld_agent_telemetry_interval_steps": {
+          "type": "number"
+        },
+        "ragweld_agent_promote_if_improves": {
+          "type": "number"
+        },
+        "ragweld_agent_promote_epsilon": {
+          "type": "number"
+        }
+      }
+    },
+    "ui": {
+      "type": "object",
+      "fields": {
+        "chat_streaming_enabled": {
+          "type": "number"
+        },
+        "chat_history_max": {
+          "type": "number"
+        },
+        "chat_stream_include_thinking": {
+          "type": "number"
+        },
+        "chat_show_confidence": {
+          "type": "number"
+        },
+        "chat_show_citations": {
+          "type": "number"
+        },
+        "chat_show_trace": {
+          "type": "number"
+        },
+        "chat_show_debug_footer": {
+          "type": "number"
+        },
+        "chat_default_model": {
+          "type": "string"
+        },
+        "chat_stream_timeout": {
+          "type": "number"
+        },
+        "chat_thinking_budget_tokens": {
+          "type": "number"
+        },
+        "editor_port": {
+          "type": "number"
+        },
+        "grafana_dashboard_uid": {
+          "type": "string"
+        },
+        "grafana_dashboard_slug": {
+          "type": "string"
+        },
+        "grafana_base_url": {
+          "type": "string"
+        },
+        "grafana_auth_mode": {
+          "type": "string"
+        },
+        "grafana_embed_enabled": {
+          "type": "number"
+        },
+        "grafana_kiosk": {
+          "type": "string"
+        },
+        "grafana_org_id": {
+          "type": "number"
+        },
+        "grafana_refresh": {
+          "type": "string"
+        },
+        "editor_bind": {
+          "type": "string"
+        },
+        "editor_embed_enabled": {
+          "type": "number"
+        },
+        "editor_enabled": {
+          "type": "number"
+        },
+        "editor_image": {
+          "type": "string"
+        },
+        "theme_mode": {
+          "type": "string"
+        },
+        "open_browser": {
+          "type": "number"
+        },
+        "runtime_mode": {
+          "type": "string",
+          "enum": [
+            "development",
+            "production"
+          ]
+        },
+        "learning_reranker_studio_v2_enabled": {
+          "type": "number"
+        },
+        "learning_reranker_studio_immersive": {
+          "type": "number"
+        },
+        "learning_reranker_layout_engine": {
+          "type": "string",
+          "enum": [
+            "dockview",
+            "panels"
+          ]
+        },
+        "learning_reranker_default_preset": {
+          "type": "string",
+          "enum": [
+            "balanced",
+            "focus_viz",
+            "focus_logs",
+            "focus_inspector"
+          ]
+        },
+        "learning_reranker_show_setup_row": {
+          "type": "number"
+        },
+        "learning_reranker_logs_renderer": {
+          "type": "string",
+          "enum": [
+            "json",
+            "xterm"
+          ]
+        },
+        "learning_reranker_dockview_layout_json": {
+          "type": "string"
+        },
+        "learning_reranker_studio_left_panel_pct": {
+          "type": "number"
+        },
+        "learning_reranker_studio_right_panel_pct": {
+          "type": "number"
+        },
+        "learning_reranker_studio_bottom_panel_pct": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_renderer": {
+          "type": "string",
+          "enum": [
+            "auto",
+            "webgpu",
+            "webgl2",
+            "canvas2d"
+          ]
+        },
+        "learning_reranker_visualizer_quality": {
+          "type": "string",
+          "enum": [
+            "balanced",
+            "cinematic",
+            "ultra"
+          ]
+        },
+        "learning_reranker_visualizer_color_mode": {
+          "type": "string",
+          "enum": [
+            "absolute",
+            "delta"
+          ]
+        },
+        "learning_reranker_visualizer_max_points": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_target_fps": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_tail_seconds": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_motion_intensity": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_show_vector_field": {
+          "type": "number"
+        },
+        "learning_reranker_visualizer_reduce_motion": {
+          "type": "number"
+        }
+      }
+    },
+    "chat": {
+      "type": "object",
+      "fields": {
+        "default_corpus_ids": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "system_prompt_base": {
+          "type": "string"
+        },
+        "system_prompt_recall_suffix": {
+          "type": "string"
+        },
+        "system_prompt_rag_suffix": {
+          "type": "string"
+        },
+        "system_prompt_direct": {
+          "type": "string"
+        },
+        "system_prompt_rag": {
+          "type": "string"
+        },
+        "system_prompt_recall": {
+          "type": "string"
+        },
+        "system_prompt_rag_and_recall": {
+          "type": "string"
+        },
+        "recall": {
+          "type": "object",
+          "fields": {
+            "enabled": {
+              "type": "boolean"
+            },
+            "vector_backend": {
+              "type": "string"
+            },
+            "auto_index": {
+              "type": "boolean"
+            },
+            "index_delay_seconds": {
+              "type": "number"
+            },
+            "chunking_strategy": {
+              "type": "string"
+            },
+            "chunk_max_tokens": {
+              "type": "number"
+            },
+            "embedding_model": {
+              "type": "string"
+            },
+            "max_history_tokens": {
+              "type": "number"
+            },
+            "default_corpus_id": {
+              "type": "string"
+            },
+            "graph_enabled": {
+              "type": "boolean"
+            }
+          }
+        },
+        "recall_gate": {
+          "type": "object",
+          "fields": {
+            "enabled": {
+              "type": "boolean"
+            },
+            "default_intensity": {
+              "type": "string",
+              "enum": [
+                "skip",
+                "light",
+                "standard",
+                "deep"
+              ]
+            },
+            "skip_greetings": {
+              "type": "boolean"
+            },
+            "skip_standalone_questions": {
+              "type": "boolean"
+            },
+            "skip_when_rag_active": {
+              "type": "boolean"
+            },
+            "skip_max_tokens": {
+              "type": "number"
+            },
+            "light_for_short_questions": {
+              "type": "boolean"
+            },
+            "light_top_k": {
+              "type": "number"
+            },
+            "standard_top_k": {
+              "type": "number"
+            },
+            "standard_recency_weight": {
+              "type": "number"
+            },
+            "deep_on_explicit_reference": {
+              "type": "boolean"
+            },
+            "deep_top_k": {
+              "type": "number"
+            },
+            "deep_recency_weight": {
+              "type": "number"
+            },
+            "show_gate_decision": {
+              "type": "boolean"
+            },
+            "show_signals": {
+              "type": "boolean"
+            }
+          }
+        },
+        "multimodal": {
+          "type": "object",
+          "fields": {
+            "vision_enabled": {
+              "type": "boolean"
+            },
+            "max_image_size_mb": {
+              "type": "number"
+            },
+            "max_images_per_message": {
+              "type": "number"
+            },
+            "supported_formats": {
+              "type": "array",
+              "items": {
+                "type": "string"
+              }
+            },
+            "image_detail": {
+              "type": "string"
+            },
+            "vision_model_override": {
+              "type": "string"
+            }
+          }
+        },
+        "image_gen": {
+          "type": "object",
+          "fields": {
+            "enabled": {
+              "type": "boolean"
+            },
+            "provider": {
+              "type": "string"
+            },
+            "local_command": {
+              "type": "string"
+            },
+            "local_model_path": {
+              "type": "string"
+            },
+            "use_lightning_lora": {
+              "type": "boolean"
+            },
+            "comfyui_api_endpoint": {
+              "type": "string"
+            },
+            "replicate_model": {
+              "type": "string"
+            },
+            "default_steps": {
+              "type": "number"
+            },
+            "default_resolution": {
+              "type": "string"
+            }
+          }
+        },
+        "local_models": {
+          "type": "object",
+          "fields": {
+            "providers": {
+              "type": "array",
+              "items": {
+                "type": "object",
+                "fields": {
+                  "name": {
+                    "type": "string"
+                  },
+                  "provider_type": {
+                    "type": "string"
+                  },
+                  "base_url": {
+                    "type": "string"
+                  },
+                  "enabled": {
+                    "type": "boolean"
+                  },
+                  "priority": {
+                    "type": "number"
+                  }
+                }
+              }
+            },
+            "auto_detect": {
+              "type": "boolean"
+            },
+            "health_check_interval": {
+              "type": "number"
+            },
+            "fallback_to_cloud": {
+              "type": "boolean"
+            },
+            "gpu_memory_limit_gb": {
+              "type": "number"
+            },
+            "default_chat_model": {
+              "type": "string"
+            },
+            "default_vision_model": {
+              "type": "string"
+            },
+            "default_embedding_model": {
+              "type": "string"
+            }
+          }
+        },
+        "openrouter": {
+          "type": "object",
+          "fields": {
+            "enabled": {
+              "type": "boolean"
+            },
+            "api_key": {
+              "type": "string"
+            },
+            "base_url": {
+              "type": "string"
+            },
+            "default_model": {
+              "type": "string"
+            },
+            "site_name": {
+              "type": "string"
+            },
+            "fallback_models": {
+              "type": "array",
+              "items": {
+                "type": "string"
+              }
+            }
+          }
+        },
+        "benchmark": {
+          "type": "object",
+          "fields": {
+            "enabled": {
+              "type": "boolean"
+            },
+            "max_concurrent_models": {
+              "type": "number"
+            },
+            "save_results": {
+              "type": "boolean"
+            },
+            "results_path": {
+              "type": "string"
+            },
+            "include_cost_tracking": {
+              "type": "boolean"
+            },
+            "include_timing_breakdown": {
+              "type": "boolean"
+            }
+          }
+        },
+        "openai_protocol": {
+          "type": "string",
+          "enum": [
+            "auto",
+            "responses",
+            "chat_completions"
+          ]
+        },
+        "temperature": {
+          "type": "number"
+        },
+        "temperature_no_retrieval": {
+          "type": "number"
+        },
+        "max_tokens": {
+          "type": "number"
+        },
+        "show_source_dropdown": {
+          "type": "boolean"
+        },
+        "send_shortcut": {
+          "type": "string"
+        }
+      }
+    },
+    "hydration": {
+      "type": "object",
+      "fields": {
+        "hydration_mode": {
+          "type": "string"
+        },
+        "hydration_max_chars": {
+          "type": "number"
+        }
+      }
+    },
+    "evaluation": {
+      "type": "object",
+      "fields": {
+        "eval_dataset_path": {
+          "type": "string"
+        },
+        "baseline_path": {
+          "type": "string"
+        },
+        "recall_at_5_k": {
+          "type": "number"
+        },
+        "recall_at_10_k": {
+          "type": "number"
+        },
+        "recall_at_20_k": {
+          "type": "number"
+        },
+        "precision_at_5_k": {
+          "type": "number"
+        },
+        "ndcg_at_10_k": {
+          "type": "number"
+        },
+        "eval_multi_m": {
+          "type": "number"
+        }
+      }
+    },
+    "system_prompts": {
+      "type": "object",
+      "fields": {
+        "main_rag_chat": {
+          "type": "string"
+        },
+        "query_expansion": {
+          "type": "string"
+        },
+        "query_rewrite": {
+          "type": "string"
+        },
+        "semantic_chunk_summaries": {
+          "type": "string"
+        },
+        "code_enrichment": {
+          "type": "string"
+        },
+        "semantic_kg_extraction": {
+          "type": "string"
+        },
+        "eval_analysis": {
+          "type": "string"
+        },
+        "synthetic_judge": {
+          "type": "string"
+        },
+        "lightweight_chunk_summaries": {
+          "type": "string"
+        }
+      }
+    },
+    "mcp": {
+      "type": "object",
+      "fields": {
+        "enabled": {
+          "type": "boolean"
+        },
+        "mount_path": {
+          "type": "string"
+        },
+        "stateless_http": {
+          "type": "boolean"
+        },
+        "json_response": {
+          "type": "boolean"
+        },
+        "enable_dns_rebinding_protection": {
+          "type": "boolean"
+        },
+        "allowed_hosts": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "allowed_origins": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "require_api_key": {
+          "type": "boolean"
+        },
+        "default_top_k": {
+          "type": "number"
+        },
+        "default_mode": {
+          "type": "string",
+          "enum": [
+            "tribrid",
+            "dense_only",
+            "sparse_only",
+            "graph_only"
+          ]
+        }
+      }
+    },
+    "docker": {
+      "type": "object",
+      "fields": {
+        "docker_host": {
+          "type": "string"
+        },
+        "docker_status_timeout": {
+          "type": "number"
+        },
+        "docker_container_list_timeout": {
+          "type": "number"
+        },
+        "docker_container_action_timeout": {
+          "type": "number"
+        },
+        "docker_infra_up_timeout": {
+          "type": "number"
+        },
+        "docker_infra_down_timeout": {
+          "type": "number"
+        },
+        "docker_logs_tail": {
+          "type": "number"
+        },
+        "docker_logs_timestamps": {
+          "type": "number"
+        },
+        "dev_frontend_port": {
+          "type": "number"
+        },
+        "dev_backend_port": {
+          "type": "number"
+        },
+        "dev_stack_restart_timeout": {
+          "type": "number"
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,143 @@
+import { bearerTokenMatches } from './bearer-auth.js';
+import { diffConfigs } from './demo-eval-scenarios.js';
+import { withTransaction } from './transaction.js';
+
+const VERSION_LIST_MAX = 200;
+
+export async function ensureConfigVersionSchema(sql) {
+  await sql.query(`
+    CREATE TABLE IF NOT EXISTS config_versions (
+      version_id BIGSERIAL PRIMARY KEY,
+      scope TEXT NOT NULL,
+      parent_version_id BIGINT,
+      config JSONB NOT NULL,
+      diff JSONB NOT NULL DEFAULT '[]'::jsonb,
+      author TEXT NOT NULL DEFAULT 'anonymous',
+      action TEXT NOT NULL,
+      note TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await sql.query(`CREATE INDEX IF NOT EXISTS config_versions_scope_idx ON config_versions (scope, version_id DESC);`);
+}
+
+export class ConfigConflictError extends Error {
+  constructor(scope, parentVersionId, currentVersionId) {
+    super(`config for ${scope} changed since version ${parentVersionId ?? 'default'} (latest is ${currentVersionId ?? 'default'}); reload and retry`);
+    this.name = 'ConfigConflictError';
+    this.scope = scope;
+    this.currentVersionId = currentVersionId;
+  }
+}
+
+// Raised instead of saving, so a client is never told an edit stuck when no instance will keep it.
+export class ConfigWriteDeniedError extends Error {
+  constructor(access) {
+    super(
+      access === 'disabled'
+        ? 'Config writes are disabled on this deployment (RAGWELD_CONFIG_WRITE_TOKEN).'
+        : 'Config writes need Authorization: Bearer <RAGWELD_CONFIG_WRITE_TOKEN>.',
+    );
+    this.name = 'ConfigWriteDeniedError';
+    this.access = access;
+  }
+}
+
+// Config edits are shared by every instance, so they are off unless RAGWELD_CONFIG_WRITE_TOKEN is
+// set, and then only requests bearing it may save. Returns 'disabled', 'unauthorized' or 'allowed'.
+export function configWriteAccess(headers, env = process.env) {
+  const token = String(env.RAGWELD_CONFIG_WRITE_TOKEN || '').trim();
+  if (!token) return 'disabled';
+  return bearerTokenMatches(headers, token) ? 'allowed' : 'unauthorized';
+}
+
+// The version a client last read, from `If-Match: <version_id>`; null when absent or not an id.
+export function expectedConfigVersion(headers) {
+  const raw = String(headers?.['if-match'] || '').replace(/^W\//, '').replace(/"/g, '').trim();
+  const id = Number(raw);
+  return raw && Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+// Netlify lowercases header names. Free text, so it is trimmed and capped rather than trusted.
+export function configAuthor(headers) {
+  const raw = String(headers?.['x-ragweld-author'] || headers?.['x-user'] || '').trim();
+  return raw ? raw.slice(0, 120) : 'anonymous';
+}
+
+function toVersion(row, { withConfig = false } = {}) {
+  const diff = Array.isArray(row.diff) ? row.diff : [];
+  const out = {
+    version_id: Number(row.version_id),
+    scope: String(row.scope),
+    parent_version_id: row.parent_version_id == null ? null : Number(row.parent_version_id),
+    author: String(row.author || 'anonymous'),
+    action: String(row.action || ''),
+    note: row.note == null ? null : String(row.note),
+    created_at: new Date(row.created_at).toISOString(),
+    change_count: diff.length,
+    diff,
+  };
+  if (withConfig) out.config = row.config;
+  return out;
+}
+
+// Versions are append-only: every save (including a rollback) is a new row whose diff is taken
+// against `before`, the config the caller last saw. The save only lands while `parentVersionId` is
+// still the scope's latest version; otherwise ConfigConflictError. Returns null when nothing changed.
+export async function saveConfigVersion(pool, { scope, before, config, parentVersionId = null, author, action, note = null }) {
+  const diff = diffConfigs(config, before);
+  if (!diff.length) return null;
+  return withTransaction(pool, async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('config_versions:' || $1));`, [scope]);
+    const head = await client.query(`SELECT MAX(version_id) AS version_id FROM config_versions WHERE scope = $1;`, [scope]);
+    const headId = head.rows?.[0]?.version_id == null ? null : Number(head.rows[0].version_id);
+    if (headId !== (parentVersionId ?? null)) throw new ConfigConflictError(scope, parentVersionId, headId);
+    const res = await client.query(
+      `INSERT INTO config_versions (scope, parent_version_id, config, diff, author, action, note)
+       VALUES ($1, $2, $3::jsonb, $4::jsonb, $5, $6, $7)
+       RETURNING version_id, scope, parent_version_id, diff, author, action, note, created_at;`,
+      [scope, parentVersionId, JSON.stringify(config), JSON.stringify(diff), author || 'anonymous', action, note],
+    );
+    return toVersion(res.rows[0]);
+  });
+}
+
+// Latest version per scope, skipping scopes whose latest id is already in `known` (scope -> id),
+// so warm instances only pull configs another instance has changed.
+export async function loadChangedConfigs(sql, known = new Map()) {
+  const heads = await sql.query(`SELECT scope, MAX(version_id) AS version_id FROM config_versions GROUP BY scope;`);
+  const stale = (heads.rows || [])
+    .filter((row) => known.get(String(row.scope)) !== Number(row.version_id))
+    .map((row) => Number(row.version_id));
+  if (!stale.length) return [];
+  const res = await sql.query(
+    `SELECT version_id, scope, config FROM config_versions WHERE version_id = ANY($1::bigint[]);`,
+    [stale],
+  );
+  return (res.rows || []).map((row) => ({ scope: String(row.scope), version_id: Number(row.version_id), config: row.config }));
+}
+
+export async function listConfigVersions(sql, scope, { limit = 50 } = {}) {
+  const res = await sql.query(
+    `SELECT version_id, scope, parent_version_id, diff, author, action, note, created_at
+     FROM config_versions
+     WHERE scope = $1
+     ORDER BY version_id DESC
+     LIMIT $2;`,
+    [scope, Math.max(1, Math.min(VERSION_LIST_MAX, Math.floor(Number(limit) || 50)))],
+  );
+  return (res.rows || []).map((row) => toVersion(row));
+}
+
+export async function getConfigVersion(sql, versionId) {
+  const id = Number(versionId);
+  if (!Number.isSafeInteger(id) || id <= 0) return null;
+  const res = await sql.query(
+    `SELECT version_id, scope, parent_version_id, config, diff, author, action, note, created_at
+     FROM config_versions
+     WHERE version_id = $1;`,
+    [id],
+  );
+  const row = res.rows?.[0];
+  return row ? toVersion(row, { withConfig: true }) : null;
+}
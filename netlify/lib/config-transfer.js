@@ -0,0 +1,137 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Bundled via netlify.toml included_files; the repo-relative paths cover local runs and tests.
+const ENV_KEY_MAP_CANDIDATES = [
+  path.resolve(MODULE_DIR, '../../src/data/env-key-map.json'),
+  path.resolve(process.cwd(), 'src/data/env-key-map.json'),
+  '/var/task/src/data/env-key-map.json',
+];
+
+let envKeyMap = null;
+
+export function loadEnvKeyMap() {
+  if (envKeyMap) return envKeyMap;
+  for (const candidate of ENV_KEY_MAP_CANDIDATES) {
+    if (!fs.existsSync(candidate)) continue;
+    const parsed = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+    envKeyMap = { envToPath: parsed.envToPath || {}, pathToEnvs: parsed.pathToEnvs || {} };
+    return envKeyMap;
+  }
+  throw new Error('env-key-map.json not found');
+}
+
+// `version:<id>` names a stored config version; anything else is a corpus scope.
+export function parseConfigRef(raw) {
+  const ref = String(raw || '').trim();
+  const m = ref.match(/^version:(\d+)$/);
+  if (m) return { kind: 'version', ref, versionId: Number(m[1]) };
+  return { kind: 'scope', ref, scope: ref || 'global' };
+}
+
+function readPath(obj, dotted) {
+  return dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+export function configSchemaNode(schema, dotted) {
+  return dotted.split('.').reduce((node, key) => node?.fields?.[key], schema);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object')) return formatValue(value.join(', '));
+  if (value !== null && typeof value === 'object') return `'${JSON.stringify(value)}'`;
+  if (typeof value !== 'string') return String(value);
+  return value === '' || /[\s#"'\\]/.test(value) ? JSON.stringify(value) : value;
+}
+
+// One line per config path that has an env key. Paths with several aliases (MQ_REWRITES and
+// MAX_QUERY_REWRITES) are written once, under the first key the server model declares.
+export function configToDotenv(config, envToPath, header = []) {
+  const lines = header.map((line) => `# ${line}`);
+  const written = new Set();
+  for (const [envKey, dotted] of Object.entries(envToPath)) {
+    if (written.has(dotted)) continue;
+    const value = readPath(config, dotted);
+    if (value === undefined || value === null) continue;
+    written.add(dotted);
+    lines.push(`${envKey}=${formatValue(value)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export function parseDotenv(text) {
+  const entries = [];
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!m) continue;
+    let value = m[2];
+    if (value.startsWith('"')) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        value = value.slice(1, value.endsWith('"') ? -1 : undefined);
+      }
+    } else if (value.startsWith("'")) {
+      value = value.slice(1, value.endsWith("'") ? -1 : undefined);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    entries.push({ key: m[1], value });
+  }
+  return entries;
+}
+
+// Env values are strings; convert them to the type the schema expects. Values that do not convert
+// are passed through unchanged so validation reports them against the right field.
+export function coerceConfigValue(node, value) {
+  switch (node?.type) {
+    case 'number': {
+      const n = Number(value);
+      return value.trim() !== '' && Number.isFinite(n) ? n : value;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      return value;
+    case 'array':
+      if (value.trim().startsWith('[')) {
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      }
+      return value.split(',').map((v) => v.trim()).filter(Boolean).map((v) => coerceConfigValue(node.items, v));
+    case 'object':
+    case 'record':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+export function dotenvToConfig(text, envToPath, schema) {
+  const config = {};
+  const ignored = [];
+  for (const { key, value } of parseDotenv(text)) {
+    const dotted = envToPath[key];
+    if (!dotted) {
+      ignored.push(key);
+      continue;
+    }
+    const keys = dotted.split('.');
+    let node = config;
+    for (const k of keys.slice(0, -1)) node = node[k] ??= {};
+    node[keys.at(-1)] = coerceConfigValue(configSchemaNode(schema, dotted), value);
+  }
+  return { config, ignored };
+}
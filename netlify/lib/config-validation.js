@@ -0,0 +1,159 @@
+import { TRIBRID_CONFIG_SCHEMA } from './config-schema.js';
+import { GENERATION_LIMITS } from './generation-settings.js';
+import { CLOUD_RERANKER_PROVIDERS, RERANKER_MODES } from './rerank.js';
+
+// Carries every problem found, not just the first, so settings panels can flag each field inline.
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`${errors[0].field}: ${errors[0].message}`);
+    this.name = 'ConfigValidationError';
+    this.field = errors[0].field;
+    this.errors = errors;
+  }
+}
+
+const unit = { min: 0, max: 1 };
+const positiveInt = { min: 1, integer: true };
+const topK = { min: 1, max: 1000, integer: true };
+
+// Ranges and enums the generated TS types cannot express (they only say `number` or `string`).
+const CONFIG_RULES = {
+  'retrieval.final_k': { min: 1, max: 200, integer: true },
+  'retrieval.eval_final_k': { min: 1, max: 200, integer: true },
+  'retrieval.rrf_k_div': topK,
+  'retrieval.max_query_rewrites': { min: 0, max: 10, integer: true },
+  'retrieval.multi_query_m': { min: 1, max: 10, integer: true },
+  'retrieval.bm25_weight': unit,
+  'retrieval.vector_weight': unit,
+  'retrieval.mmr_lambda': unit,
+  'fusion.rrf_k': topK,
+  'fusion.vector_weight': unit,
+  'fusion.sparse_weight': unit,
+  'fusion.graph_weight': unit,
+  'vector_search.top_k': topK,
+  'vector_search.similarity_threshold': unit,
+  'sparse_search.top_k': topK,
+  'sparse_search.bm25_k1': { min: 0, max: 3 },
+  'sparse_search.bm25_b': unit,
+  'graph_search.top_k': topK,
+  'graph_search.max_hops': { min: 1, max: 5, integer: true },
+  'reranking.reranker_mode': { enum: RERANKER_MODES },
+  'reranking.reranker_cloud_provider': { enum: CLOUD_RERANKER_PROVIDERS },
+  'reranking.tribrid_reranker_alpha': unit,
+  'reranking.tribrid_reranker_topn': topK,
+  'reranking.reranker_cloud_top_n': topK,
+  'generation.gen_temperature': GENERATION_LIMITS.temperature,
+  'generation.gen_top_p': GENERATION_LIMITS.top_p,
+  'generation.gen_max_tokens': GENERATION_LIMITS.max_tokens,
+  'generation.gen_timeout': { min: 1, max: 600 },
+  'generation.gen_retry_max': { min: 0, max: 5, integer: true },
+  'chat.temperature': GENERATION_LIMITS.temperature,
+  'chat.temperature_no_retrieval': GENERATION_LIMITS.temperature,
+  'chat.max_tokens': GENERATION_LIMITS.max_tokens,
+  'chat.agent.max_iterations': { min: 1, max: 10, integer: true },
+  'chunking.chunk_size': positiveInt,
+  'chunking.chunk_overlap': { min: 0, integer: true },
+  'embedding.embedding_dim': positiveInt,
+  'embedding.embedding_batch_size': positiveInt,
+  'ui.theme_mode': { enum: ['dark', 'light', 'auto'] },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Schema node for a key the hosted backend adds on top of TriBridConfig, typed by its default.
+function nodeFromValue(value) {
+  if (isPlainObject(value)) {
+    return { type: 'object', fields: Object.fromEntries(Object.entries(value).map(([k, v]) => [k, nodeFromValue(v)])) };
+  }
+  if (Array.isArray(value)) return { type: 'array', items: value.length ? nodeFromValue(value[0]) : { type: 'any' } };
+  if (value === null) return { type: 'any' };
+  return { type: typeof value };
+}
+
+function mergeDefaults(node, defaults) {
+  if (node.type !== 'object' || !isPlainObject(defaults)) return node;
+  const fields = { ...node.fields };
+  for (const [key, value] of Object.entries(defaults)) {
+    fields[key] = fields[key] ? mergeDefaults(fields[key], value) : nodeFromValue(value);
+  }
+  return { ...node, fields };
+}
+
+function applyRules(root) {
+  for (const [path, rule] of Object.entries(CONFIG_RULES)) {
+    const keys = path.split('.');
+    let node = root;
+    for (const key of keys.slice(0, -1)) node = node?.fields?.[key];
+    const leaf = keys.at(-1);
+    if (node?.fields?.[leaf]) node.fields[leaf] = { ...node.fields[leaf], ...rule };
+  }
+  return root;
+}
+
+// The TriBridConfig shape plus whatever `defaults` (DEFAULT_CONFIG) carries beyond it.
+export function buildConfigSchema(defaults, base = TRIBRID_CONFIG_SCHEMA) {
+  return applyRules(mergeDefaults(base, defaults));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function validateNode(node, value, field, errors) {
+  if (!node || node.type === 'any') return;
+  if (value === null) {
+    if (!node.nullable) errors.push({ field, message: `must be ${node.type}, got null` });
+    return;
+  }
+  if (node.type === 'object' || node.type === 'record') {
+    if (!isPlainObject(value)) {
+      errors.push({ field, message: `must be an object, got ${typeOf(value)}` });
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const path = field ? `${field}.${key}` : key;
+      if (node.type === 'record') validateNode(node.values, child, path, errors);
+      else if (!node.fields[key]) errors.push({ field: path, message: 'unknown key' });
+      else validateNode(node.fields[key], child, path, errors);
+    }
+    return;
+  }
+  if (node.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: `must be an array, got ${typeOf(value)}` });
+      return;
+    }
+    value.forEach((item, index) => validateNode(node.items, item, `${field}[${index}]`, errors));
+    return;
+  }
+  if (node.type === 'number' ? !Number.isFinite(value) : typeof value !== node.type) {
+    errors.push({ field, message: `must be ${node.type}, got ${typeOf(value)}` });
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${node.enum.join(', ')}` });
+    return;
+  }
+  if (node.integer && !Number.isInteger(value)) errors.push({ field, message: 'must be an integer' });
+  else if (node.min != null && value < node.min) errors.push({ field, message: `must be >= ${node.min}` });
+  else if (node.max != null && value > node.max) errors.push({ field, message: `must be <= ${node.max}` });
+}
+
+// Keys are all optional (as in TriBridConfig); present keys must exist in the schema and match it.
+export function validateConfig(schema, config) {
+  const errors = [];
+  validateNode(schema, config, '', errors);
+  if (errors.length) throw new ConfigValidationError(errors);
+}
+
+export function validateConfigSection(schema, section, updates) {
+  const node = schema.fields[section];
+  if (!node) throw new ConfigValidationError([{ field: section, message: 'unknown config section' }]);
+  const errors = [];
+  validateNode(node, updates, section, errors);
+  if (errors.length) throw new ConfigValidationError(errors);
+}
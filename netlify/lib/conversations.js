@@ -0,0 +1,179 @@
+import crypto from 'node:crypto';
+
+const TITLE_MAX_CHARS = 80;
+
+export async function ensureConversationSchema(sql) {
+  await sql.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      conversation_id TEXT PRIMARY KEY,
+      title TEXT NOT NULL DEFAULT '',
+      corpus_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await sql.query(`
+    CREATE TABLE IF NOT EXISTS messages (
+      message_id BIGSERIAL PRIMARY KEY,
+      conversation_id TEXT NOT NULL REFERENCES conversations(conversation_id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+      content TEXT NOT NULL,
+      run_id TEXT,
+      recall_pending BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await sql.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS recall_pending BOOLEAN NOT NULL DEFAULT false;`);
+  await sql.query(`ALTER TABLE conversations ADD COLUMN IF NOT EXISTS owner_hash TEXT;`);
+  await sql.query(`CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (conversation_id, message_id);`);
+  await sql.query(`CREATE INDEX IF NOT EXISTS conversations_owner_idx ON conversations (owner_hash, updated_at DESC);`);
+  await sql.query(
+    `CREATE INDEX IF NOT EXISTS messages_recall_pending_idx ON messages (conversation_id, message_id) WHERE recall_pending;`,
+  );
+}
+
+// There are no accounts, so a conversation belongs to whoever holds the owner key it was saved
+// with: a random token the client keeps and sends as X-Ragweld-Owner. Only its hash is stored.
+// Without a usable key nothing is persisted or readable.
+export function conversationOwner(headers) {
+  const raw = String(headers?.['x-ragweld-owner'] || '').trim();
+  if (raw.length < 16 || raw.length > 200) return null;
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+// 'new' when no conversation has this id yet, 'owner' when `owner` may use it, 'foreign' otherwise.
+export async function conversationAccess(sql, conversationId, owner) {
+  const res = await sql.query(`SELECT owner_hash FROM conversations WHERE conversation_id = $1;`, [conversationId]);
+  const row = res.rows?.[0];
+  if (!row) return 'new';
+  return owner && row.owner_hash === owner ? 'owner' : 'foreign';
+}
+
+// Rough chars/4 estimate; good enough for budgeting without shipping a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Keeps the newest messages that fit in `maxTokens`, in chronological order. An assistant reply
+// whose question was trimmed away is dropped too so the history never opens mid-exchange.
+export function trimHistory(messages, maxTokens) {
+  const budget = Math.max(0, Math.floor(Number(maxTokens) || 0));
+  const kept = [];
+  let tokens = 0;
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const cost = estimateTokens(messages[index].content);
+    if (tokens + cost > budget) break;
+    tokens += cost;
+    kept.unshift(messages[index]);
+  }
+  while (kept.length && kept[0].role === 'assistant') tokens -= estimateTokens(kept.shift().content);
+  return { messages: kept, tokens, dropped: messages.length - kept.length };
+}
+
+function toMessage(row) {
+  return {
+    role: String(row.role),
+    content: String(row.content || ''),
+    timestamp: row.created_at ? new Date(row.created_at).toISOString() : null,
+    run_id: row.run_id == null ? null : String(row.run_id),
+  };
+}
+
+export async function loadConversationMessages(sql, conversationId, owner) {
+  if (!owner) return [];
+  const res = await sql.query(
+    `SELECT m.role, m.content, m.run_id, m.created_at
+     FROM messages m
+     JOIN conversations c ON c.conversation_id = m.conversation_id
+     WHERE m.conversation_id = $1
+       AND c.owner_hash = $2
+     ORDER BY m.message_id ASC;`,
+    [conversationId, owner],
+  );
+  return (res.rows || []).map(toMessage);
+}
+
+// Records one exchange; the first user message becomes the conversation title. `recall` queues
+// both messages for the recall corpus. Returns false (and stores nothing) without an owner or when
+// the id belongs to someone else.
+export async function appendConversationTurn(sql, {
+  conversationId,
+  owner,
+  corpusIds = [],
+  userMessage,
+  assistantMessage,
+  runId = null,
+  recall = false,
+}) {
+  const title = String(userMessage || '').replace(/\s+/g, ' ').trim().slice(0, TITLE_MAX_CHARS);
+  if (!owner) return false;
+  const saved = await sql.query(
+    `INSERT INTO conversations (conversation_id, title, corpus_ids, owner_hash)
+     VALUES ($1, $2, $3::jsonb, $4)
+     ON CONFLICT (conversation_id) DO UPDATE
+       SET updated_at = now(),
+           corpus_ids = EXCLUDED.corpus_ids
+       WHERE conversations.owner_hash = EXCLUDED.owner_hash
+     RETURNING conversation_id;`,
+    [conversationId, title, JSON.stringify(corpusIds), owner],
+  );
+  if (!saved.rows?.length) return false;
+  await sql.query(
+    `INSERT INTO messages (conversation_id, role, content, run_id, recall_pending)
+     VALUES ($1, 'user', $2, $4, $5), ($1, 'assistant', $3, $4, $5);`,
+    [conversationId, String(userMessage || ''), String(assistantMessage || ''), runId, Boolean(recall)],
+  );
+  return true;
+}
+
+export async function listConversations(sql, owner, { limit = 50 } = {}) {
+  if (!owner) return [];
+  const res = await sql.query(
+    `SELECT c.conversation_id, c.title, c.corpus_ids, c.created_at, c.updated_at,
+            (SELECT COUNT(*)::int FROM messages m WHERE m.conversation_id = c.conversation_id) AS message_count
+     FROM conversations c
+     WHERE c.owner_hash = $2
+     ORDER BY c.updated_at DESC, c.conversation_id ASC
+     LIMIT $1;`,
+    [Math.max(1, Math.min(200, Math.floor(Number(limit) || 50))), owner],
+  );
+  return (res.rows || []).map((row) => ({
+    conversation_id: String(row.conversation_id),
+    title: String(row.title || ''),
+    corpus_ids: Array.isArray(row.corpus_ids) ? row.corpus_ids : [],
+    message_count: Number(row.message_count) || 0,
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString(),
+  }));
+}
+
+export async function getConversation(sql, conversationId, owner) {
+  if (!owner) return null;
+  const res = await sql.query(
+    `SELECT conversation_id, title, corpus_ids, created_at, updated_at
+     FROM conversations
+     WHERE conversation_id = $1
+       AND owner_hash = $2;`,
+    [conversationId, owner],
+  );
+  const row = res.rows?.[0];
+  if (!row) return null;
+  const messages = await loadConversationMessages(sql, conversationId, owner);
+  return {
+    conversation_id: String(row.conversation_id),
+    title: String(row.title || ''),
+    corpus_ids: Array.isArray(row.corpus_ids) ? row.corpus_ids : [],
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString(),
+    messages,
+  };
+}
+
+export async function deleteConversation(sql, conversationId, owner) {
+  if (!owner) return 0;
+  const res = await sql.query(`DELETE FROM conversations WHERE conversation_id = $1 AND owner_hash = $2;`, [
+    conversationId,
+    owner,
+  ]);
+  return Number(res.rowCount) || 0;
+}
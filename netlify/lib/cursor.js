@@ -0,0 +1,53 @@
+import crypto from 'node:crypto';
+
+export class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+// Ties a cursor to the query that produced it so it cannot be replayed against different results.
+export function cursorFingerprint(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+export function encodeCursor({ score, chunkId, rank = null, fingerprint }) {
+  const payload = { v: 1, s: score, id: chunkId, f: fingerprint };
+  if (rank != null) payload.r = rank;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+export function decodeCursor(raw, fingerprint) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('cursor is malformed');
+  }
+  if (payload?.v !== 1 || !Number.isFinite(payload.s) || typeof payload.id !== 'string') {
+    throw new CursorError('cursor is malformed');
+  }
+  if (payload.f !== fingerprint) throw new CursorError('cursor does not belong to this query');
+  return { score: payload.s, chunkId: payload.id, rank: Number.isInteger(payload.r) ? payload.r : null };
+}
+
+// Keyset comparison for lists ordered by score DESC, chunk_id ASC.
+export function isAfterCursor(match, cursor) {
+  const score = Number(match.score) || 0;
+  if (score !== cursor.score) return score < cursor.score;
+  return String(match.chunk_id) > cursor.chunkId;
+}
+
+// Reranked lists are no longer ordered by score, so their cursors resume from the post-rerank rank instead.
+export function pageAfterCursor(matches, cursor, pageSize) {
+  let rest = matches;
+  if (cursor) {
+    rest = cursor.rank != null
+      ? matches.filter((m) => (m.metadata?.rerank?.post_rank ?? Infinity) > cursor.rank)
+      : matches.filter((m) => isAfterCursor(m, cursor));
+  }
+  return { page: rest.slice(0, pageSize), hasMore: rest.length > pageSize };
+}
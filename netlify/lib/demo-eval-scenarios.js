@@ -21,7 +21,7 @@ function toJsonbParam(value) {
 
 const RESULT_SOURCES = ['vector', 'sparse', 'graph', 'vector', 'sparse'];
 
-function flattenConfigSnapshot(cfg) {
+export function flattenConfigSnapshot(cfg) {
   const out = {};
   const walk = (obj, prefix) => {
     if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
@@ -1336,9 +1336,10 @@ function summarizePathPrefixes(records) {
     .map(([label, count]) => ({ label, count }));
 }
 
-function diffConfigs(currentConfig, baselineConfig) {
-  const current = currentConfig && typeof currentConfig === 'object' ? currentConfig : {};
-  const baseline = baselineConfig && typeof baselineConfig === 'object' ? baselineConfig : {};
+// Takes nested configs or flattened snapshots alike; flattening a snapshot again is a no-op.
+export function diffConfigs(currentConfig, baselineConfig) {
+  const current = flattenConfigSnapshot(currentConfig && typeof currentConfig === 'object' ? currentConfig : {});
+  const baseline = flattenConfigSnapshot(baselineConfig && typeof baselineConfig === 'object' ? baselineConfig : {});
   const keys = Array.from(new Set([...Object.keys(current), ...Object.keys(baseline)])).sort();
   return keys
     .filter((key) => JSON.stringify(current[key]) !== JSON.stringify(baseline[key]))
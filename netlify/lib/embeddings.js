@@ -0,0 +1,235 @@
+export const DETERMINISTIC_EMBEDDING_MODEL = 'ragweld-hashing-v1';
+
+const DEFAULT_OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const MAX_EMBEDDING_DIM = 4096;
+
+function clampDim(raw, fallback) {
+  const n = Math.floor(Number(raw));
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(MAX_EMBEDDING_DIM, n);
+}
+
+function tokenizeForHashing(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter((token) => token.length > 1);
+}
+
+// FNV-1a keeps the hashing embedder deterministic across processes and Node versions.
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function l2Normalize(values) {
+  let norm = 0;
+  for (const value of values) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (!norm) return values;
+  return values.map((value) => value / norm);
+}
+
+function hashEmbed(text, dim) {
+  const tokens = tokenizeForHashing(text);
+  const features = new Map();
+  const bump = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+  for (let index = 0; index < tokens.length; index += 1) {
+    bump(`u:${tokens[index]}`, 1);
+    if (index + 1 < tokens.length) bump(`b:${tokens[index]} ${tokens[index + 1]}`, 0.5);
+  }
+
+  const vector = new Array(dim).fill(0);
+  for (const [feature, count] of features.entries()) {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dim] += sign * (1 + Math.log(count));
+  }
+  return l2Normalize(vector);
+}
+
+export function createHashingEmbedder({ dim } = {}) {
+  const size = clampDim(dim, 256);
+  return {
+    backend: 'deterministic',
+    provider: 'local',
+    model: DETERMINISTIC_EMBEDDING_MODEL,
+    dim: size,
+    async embed(texts) {
+      return (Array.isArray(texts) ? texts : []).map((text) => hashEmbed(text, size));
+    },
+  };
+}
+
+export function createOpenAIEmbedder({ apiKey, model, dim, timeoutMs, baseUrl }) {
+  const key = String(apiKey || '').trim();
+  if (!key) throw new Error('Missing OPENAI_API_KEY');
+  const modelId = String(model || '').trim() || 'text-embedding-3-large';
+  const size = clampDim(dim, 3072);
+  const url = String(baseUrl || '').trim() || DEFAULT_OPENAI_EMBEDDINGS_URL;
+  const timeout = Math.max(1000, Number(timeoutMs) || 30_000);
+
+  return {
+    backend: 'provider',
+    provider: 'openai',
+    model: modelId,
+    dim: size,
+    async embed(texts) {
+      const input = (Array.isArray(texts) ? texts : []).map((text) => String(text || ' '));
+      if (!input.length) return [];
+      const body = { model: modelId, input };
+      // Only the text-embedding-3 family accepts a reduced output dimension.
+      if (modelId.startsWith('text-embedding-3')) body.dimensions = size;
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+        if (!res.ok) {
+          const text = await res.text().catch(() => '');
+          throw new Error(`OpenAI embeddings error (${res.status}): ${text || res.statusText}`);
+        }
+        const data = await res.json();
+        const rows = Array.isArray(data?.data) ? data.data.slice() : [];
+        rows.sort((a, b) => Number(a?.index || 0) - Number(b?.index || 0));
+        if (rows.length !== input.length) {
+          throw new Error(`OpenAI embeddings returned ${rows.length} vectors for ${input.length} inputs`);
+        }
+        return rows.map((row) => (Array.isArray(row?.embedding) ? row.embedding.map(Number) : []));
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+const PROVIDER_EMBEDDERS = {
+  openai: (embedding, env) =>
+    createOpenAIEmbedder({
+      apiKey: env.OPENAI_API_KEY,
+      model: embedding.embedding_model,
+      dim: embedding.embedding_dim,
+      timeoutMs: Number(embedding.embedding_timeout || 30) * 1000,
+    }),
+};
+
+export function resolveEmbedder(cfg, env = process.env) {
+  const embedding = cfg?.embedding || {};
+  const backend = String(embedding.embedding_backend || 'provider').trim().toLowerCase();
+  if (backend === 'deterministic') {
+    return { embedder: createHashingEmbedder({ dim: embedding.embedding_dim }), error: null };
+  }
+
+  const type = String(embedding.embedding_type || 'openai').trim().toLowerCase();
+  const factory = PROVIDER_EMBEDDERS[type];
+  if (!factory) {
+    return { embedder: null, error: `Embedding provider '${type}' is not available in the hosted backend` };
+  }
+  try {
+    return { embedder: factory(embedding, env || {}), error: null };
+  } catch (e) {
+    return { embedder: null, error: String(e?.message || e) };
+  }
+}
+
+export function toVectorLiteral(values) {
+  const nums = (Array.isArray(values) ? values : []).map((value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+  });
+  return `[${nums.join(',')}]`;
+}
+
+// Returns false when pgvector is unavailable so the rest of the schema still comes up.
+export async function ensureEmbeddingSchema(sql) {
+  try {
+    await sql.query(`CREATE EXTENSION IF NOT EXISTS vector;`);
+    await sql.query(`
+      CREATE TABLE IF NOT EXISTS chunk_embeddings (
+        chunk_id TEXT NOT NULL REFERENCES chunks(chunk_id) ON DELETE CASCADE,
+        corpus_id TEXT NOT NULL REFERENCES corpora(corpus_id) ON DELETE CASCADE,
+        embedding_model TEXT NOT NULL,
+        embedding_dim INTEGER NOT NULL,
+        embedding vector NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (chunk_id, embedding_model, embedding_dim)
+      );
+    `);
+    await sql.query(
+      `CREATE INDEX IF NOT EXISTS chunk_embeddings_corpus_model_idx
+       ON chunk_embeddings (corpus_id, embedding_model, embedding_dim);`,
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function embedPendingChunks(sql, corpusId, embedder, { batchSize = 64, limit = 1000 } = {}) {
+  const cid = String(corpusId || '').trim();
+  const size = Math.max(1, Math.min(512, Number(batchSize) || 64));
+  const max = Math.max(1, Number(limit) || 1000);
+  let embedded = 0;
+
+  while (embedded < max) {
+    const { rows } = await sql.query(
+      `SELECT c.chunk_id, c.content
+       FROM chunks c
+       WHERE c.corpus_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM chunk_embeddings e
+           WHERE e.chunk_id = c.chunk_id
+             AND e.embedding_model = $2
+             AND e.embedding_dim = $3
+         )
+       ORDER BY c.chunk_id ASC
+       LIMIT $4;`,
+      [cid, embedder.model, embedder.dim, Math.min(size, max - embedded)],
+    );
+    if (!rows?.length) break;
+
+    const vectors = await embedder.embed(rows.map((row) => String(row.content || '')));
+    for (let index = 0; index < rows.length; index += 1) {
+      await sql.query(
+        `INSERT INTO chunk_embeddings (chunk_id, corpus_id, embedding_model, embedding_dim, embedding)
+         VALUES ($1, $2, $3, $4, $5::vector)
+         ON CONFLICT (chunk_id, embedding_model, embedding_dim)
+         DO UPDATE SET embedding = EXCLUDED.embedding, created_at = now();`,
+        [String(rows[index].chunk_id), cid, embedder.model, embedder.dim, toVectorLiteral(vectors[index])],
+      );
+    }
+    embedded += rows.length;
+  }
+
+  return embedded;
+}
+
+// Chunks of the corpus still without a vector for this embedder, e.g. left over once
+// embedPendingChunks hit its limit.
+export async function countPendingChunks(sql, corpusId, embedder) {
+  const { rows } = await sql.query(
+    `SELECT COUNT(*)::int AS n
+     FROM chunks c
+     WHERE c.corpus_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM chunk_embeddings e
+         WHERE e.chunk_id = c.chunk_id
+           AND e.embedding_model = $2
+           AND e.embedding_dim = $3
+       );`,
+    [String(corpusId || '').trim(), embedder.model, embedder.dim],
+  );
+  return Number(rows?.[0]?.n) || 0;
+}
@@ -0,0 +1,117 @@
+export const FUSION_LEGS = ['vector', 'sparse', 'graph'];
+
+function finiteOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function fusionOptionsFromConfig(cfg) {
+  const fusion = cfg?.fusion || {};
+  const method = String(fusion.method || 'rrf').trim().toLowerCase() === 'weighted' ? 'weighted' : 'rrf';
+  return {
+    method,
+    rrfK: Math.max(1, finiteOr(fusion.rrf_k, finiteOr(cfg?.retrieval?.rrf_k_div, 60))),
+    weights: {
+      vector: Math.max(0, finiteOr(fusion.vector_weight, 0.4)),
+      sparse: Math.max(0, finiteOr(fusion.sparse_weight, 0.3)),
+      graph: Math.max(0, finiteOr(fusion.graph_weight, 0.3)),
+    },
+    normalizeScores: fusion.normalize_scores !== false,
+  };
+}
+
+// Score DESC, then chunk_id by code point so keyset cursors can reproduce the order.
+export function compareMatches(a, b) {
+  const diff = (Number(b.score) || 0) - (Number(a.score) || 0);
+  if (diff) return diff;
+  const idA = String(a.chunk_id);
+  const idB = String(b.chunk_id);
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function minMaxNormalizer(matches) {
+  const scores = matches.map((match) => finiteOr(match.score, 0));
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return (score) => (max > min ? (finiteOr(score, 0) - min) / (max - min) : 1);
+}
+
+function rankedLeg(matches) {
+  // Legs can emit the same chunk more than once (e.g. graph expansion); keep the first/best rank.
+  const seen = new Set();
+  const out = [];
+  for (const match of Array.isArray(matches) ? matches : []) {
+    const id = String(match?.chunk_id || '');
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    out.push(match);
+  }
+  return out;
+}
+
+// Only legs present in `legs` take part, so weighted fusion re-normalizes the
+// configured weights across the legs that actually ran.
+export function fuseLegResults(legs, options) {
+  const { method, rrfK, weights, normalizeScores } = options;
+  const activeLegs = FUSION_LEGS.filter((leg) => Array.isArray(legs?.[leg]));
+  const weightTotal = activeLegs.reduce((sum, leg) => sum + (weights[leg] || 0), 0);
+  const byChunk = new Map();
+
+  for (const leg of activeLegs) {
+    const ranked = rankedLeg(legs[leg]);
+    if (!ranked.length) continue;
+    const normalize = normalizeScores ? minMaxNormalizer(ranked) : (score) => finiteOr(score, 0);
+    const weight = weightTotal > 0 ? (weights[leg] || 0) / weightTotal : 1 / activeLegs.length;
+
+    ranked.forEach((match, index) => {
+      const rank = index + 1;
+      const contribution = method === 'rrf' ? 1 / (rrfK + rank) : weight * normalize(match.score);
+      const entry = byChunk.get(match.chunk_id) || { match, score: 0, legs: {} };
+      if (entry.match !== match) {
+        // Keep leg-specific metadata (e.g. the graph entity path) when another leg found the chunk first.
+        entry.match = { ...entry.match, metadata: { ...(entry.match.metadata || {}), ...(match.metadata || {}) } };
+      }
+      entry.score += contribution;
+      entry.legs[leg] = {
+        rank,
+        score: finiteOr(match.score, 0),
+        contribution: Number(contribution.toFixed(6)),
+      };
+      byChunk.set(match.chunk_id, entry);
+    });
+  }
+
+  return Array.from(byChunk.values())
+    .map(({ match, score, legs: legScores }) => {
+      const primary = Object.entries(legScores).sort((a, b) => b[1].contribution - a[1].contribution)[0][0];
+      return {
+        match: { ...match, score: Number(score.toFixed(6)), source: primary },
+        legs: legScores,
+      };
+    })
+    .sort((a, b) => compareMatches(a.match, b.match));
+}
+
+// Combines the fused lists retrieved for each query variant with RRF over their ranks,
+// so a chunk surfaced by several rewrites outranks one that only a single variant found.
+export function fuseQueryVariants(lists, rrfK) {
+  const byChunk = new Map();
+  lists.forEach((list, variantIndex) => {
+    list.forEach((entry, index) => {
+      const id = entry.match.chunk_id;
+      const current = byChunk.get(id) || { entry, score: 0, variants: [] };
+      current.score += 1 / (rrfK + index + 1);
+      current.variants.push({ variant: variantIndex, rank: index + 1 });
+      if (entry.match.score > current.entry.match.score) current.entry = entry;
+      byChunk.set(id, current);
+    });
+  });
+
+  return Array.from(byChunk.values())
+    .map(({ entry, score, variants }) => ({
+      match: { ...entry.match, score: Number(score.toFixed(6)) },
+      legs: entry.legs,
+      variants,
+    }))
+    .sort((a, b) => compareMatches(a.match, b.match));
+}
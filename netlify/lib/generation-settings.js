@@ -0,0 +1,84 @@
+export class GenerationSettingsError extends Error {
+  constructor(field, message) {
+    super(`${field}: ${message}`);
+    this.name = 'GenerationSettingsError';
+    this.field = field;
+  }
+}
+
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, integer: false },
+  top_p: { min: 0, max: 1, integer: false },
+  max_tokens: { min: 1, max: 128000, integer: true },
+};
+
+// Config lookups per setting, most specific first. Chat temperature depends on whether the prompt
+// carries retrieved context; the `generation` block is the fallback for everything.
+function configPaths(hasContext) {
+  return {
+    temperature: [hasContext ? 'chat.temperature' : 'chat.temperature_no_retrieval', 'generation.gen_temperature'],
+    top_p: ['generation.gen_top_p'],
+    max_tokens: ['chat.max_tokens', 'generation.gen_max_tokens'],
+  };
+}
+
+function readPath(obj, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function clamp(name, value) {
+  const { min, max, integer } = GENERATION_LIMITS[name];
+  const n = integer ? Math.floor(value) : value;
+  return Math.min(max, Math.max(min, n));
+}
+
+// Request-level overrides (`temperature`, `top_p`, `max_tokens`). Missing or null means "use config";
+// anything else must be a finite number.
+export function parseGenerationOverrides(request) {
+  const overrides = {};
+  for (const name of Object.keys(GENERATION_LIMITS)) {
+    const raw = request?.[name];
+    if (raw == null || raw === '') continue;
+    const n = typeof raw === 'string' ? Number(raw.trim()) : raw;
+    if (typeof n !== 'number' || !Number.isFinite(n)) throw new GenerationSettingsError(name, 'must be a number');
+    overrides[name] = n;
+  }
+  return overrides;
+}
+
+// Merges request overrides, the scoped config and the defaults. `sources` records where each value
+// came from ('request', the config layer from `provenance` when given, otherwise 'config' when the
+// scope differs from the defaults, else 'default') and `clamped` lists settings pulled into range.
+export function resolveGenerationSettings({ overrides = {}, cfg = {}, defaults = {}, provenance = null, hasContext = true } = {}) {
+  const settings = {};
+  const sources = {};
+  const clamped = [];
+  for (const [name, paths] of Object.entries(configPaths(hasContext))) {
+    let value;
+    let source = 'default';
+    if (overrides[name] != null) {
+      value = overrides[name];
+      source = 'request';
+    } else {
+      for (const path of paths) {
+        const configured = Number(readPath(cfg, path));
+        if (readPath(cfg, path) == null || !Number.isFinite(configured)) continue;
+        value = configured;
+        source = provenance?.[path] || (configured === Number(readPath(defaults, path)) ? 'default' : 'config');
+        break;
+      }
+    }
+    if (value == null) continue;
+    const bounded = clamp(name, value);
+    if (bounded !== value) clamped.push({ setting: name, requested: value, applied: bounded });
+    settings[name] = bounded;
+    sources[name] = source;
+  }
+  return { settings, sources, clamped };
+}
+
+// OpenAI reasoning models (o-series, gpt-5 family) reject sampling parameters.
+export function supportsSamplingParams(model) {
+  const id = String(model || '').trim().toLowerCase().split('/').pop();
+  return !/^(o\d|gpt-5)/.test(id);
+}
@@ -0,0 +1,58 @@
+const GRAPH_QUERY_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'from', 'that', 'this', 'what', 'who', 'whom', 'which', 'where',
+  'when', 'why', 'how', 'did', 'does', 'about', 'into', 'any', 'all', 'has', 'have', 'had', 'his', 'her', 'their',
+  'there', 'they', 'them', 'you', 'your', 'tell', 'show', 'list', 'mention', 'mentioned', 'files', 'file',
+]);
+
+export function normalizeEntitySearchValue(raw) {
+  return String(raw || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+export function extractGraphQueryTerms(query) {
+  const tokens = normalizeEntitySearchValue(query)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length >= 3 && !GRAPH_QUERY_STOPWORDS.has(t));
+  const ngrams = new Set();
+  for (let n = 1; n <= 3; n += 1) {
+    for (let i = 0; i + n <= tokens.length; i += 1) ngrams.add(tokens.slice(i, i + n).join(' '));
+  }
+  return { tokens: Array.from(new Set(tokens)), ngrams: Array.from(ngrams) };
+}
+
+export function scoreGraphSeed(name, terms) {
+  const normalized = normalizeEntitySearchValue(name);
+  if (terms.ngrams.includes(normalized)) return 1;
+  const nameTokens = normalized.split(/[^a-z0-9]+/).filter(Boolean);
+  if (!nameTokens.length) return 0;
+  const overlap = nameTokens.filter((t) => terms.tokens.includes(t)).length;
+  // Substring-only hits (LIKE matched inside a longer word) still count, just weakly.
+  return overlap ? 0.8 * (overlap / nameTokens.length) : 0.3;
+}
+
+// Breadth-first walk out from the seeds (best first), up to `maxHops` hops. Each entity is visited
+// once, via the first shortest path that reaches it, and each hop adds at most `perHopLimit` new
+// entities, so hubs and cycles cannot blow the walk up. `neighbors(frontier, visited, limit)`
+// returns `{ from, to }` edges leaving the frontier for unvisited entities, best-ranked `from` first.
+export async function walkGraph(seedIds, neighbors, { maxHops = 2, perHopLimit = 100 } = {}) {
+  const reached = new Map();
+  for (const id of seedIds) {
+    if (!reached.has(id)) reached.set(id, { entity_id: id, path: [id], depth: 0 });
+  }
+  let frontier = Array.from(reached.keys());
+  for (let depth = 1; depth <= maxHops && frontier.length; depth += 1) {
+    const edges = await neighbors(frontier, Array.from(reached.keys()), perHopLimit);
+    const next = [];
+    for (const { from, to } of edges) {
+      if (next.length >= perHopLimit) break;
+      if (reached.has(to) || !reached.has(from)) continue;
+      reached.set(to, { entity_id: to, path: [...reached.get(from).path, to], depth });
+      next.push(to);
+    }
+    frontier = next;
+  }
+  return Array.from(reached.values());
+}
@@ -0,0 +1,106 @@
+// Control characters never appear in indexed text, so they make unambiguous ts_headline markers.
+const START_SEL = '\u0001';
+const STOP_SEL = '\u0002';
+const FRAGMENT_DELIMITER = '\u0003';
+const MARKER_RE = /[\u0001\u0002]/g;
+
+export const HEADLINE_OPTIONS =
+  `StartSel=${START_SEL}, StopSel=${STOP_SEL}, FragmentDelimiter=${FRAGMENT_DELIMITER}, ` +
+  'MaxFragments=3, MaxWords=24, MinWords=8';
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter((token) => token.length > 2);
+}
+
+// Maps each ts_headline fragment back onto the chunk so offsets index into `content`.
+export function parseHeadline(headline, content) {
+  const text = String(content || '');
+  const fragments = [];
+  let cursor = 0;
+  for (const raw of String(headline || '').split(FRAGMENT_DELIMITER)) {
+    const plain = raw.replace(MARKER_RE, '');
+    if (!plain.trim()) continue;
+    let start = text.indexOf(plain, cursor);
+    if (start < 0) start = text.indexOf(plain);
+    if (start < 0) continue;
+
+    const terms = [];
+    let offset = start;
+    let open = null;
+    for (const ch of raw) {
+      if (ch === START_SEL) open = offset;
+      else if (ch === STOP_SEL) {
+        if (open != null) terms.push({ start: open, end: offset });
+        open = null;
+      } else offset += ch.length;
+    }
+    fragments.push({ text: plain, start, end: start + plain.length, terms });
+    cursor = start + plain.length;
+  }
+  return fragments.filter((fragment) => fragment.terms.length);
+}
+
+// Fallback for matches the tsquery cannot explain (vector and graph hits): plain term matches.
+export function lexicalHighlights(content, query, { maxFragments = 3, radius = 80 } = {}) {
+  const text = String(content || '');
+  const lower = text.toLowerCase();
+  const tokens = Array.from(new Set(tokenize(query)));
+  const terms = [];
+  for (const token of tokens) {
+    const re = new RegExp(`\\b${token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\w*`, 'g');
+    for (const m of lower.matchAll(re)) terms.push({ start: m.index, end: m.index + m[0].length });
+  }
+  terms.sort((a, b) => a.start - b.start);
+
+  const fragments = [];
+  for (const term of terms) {
+    const last = fragments[fragments.length - 1];
+    if (last && term.start <= last.end) {
+      last.end = Math.max(last.end, Math.min(text.length, term.end + radius));
+      last.terms.push(term);
+      continue;
+    }
+    if (fragments.length >= maxFragments) break;
+    fragments.push({ start: Math.max(0, term.start - radius), end: Math.min(text.length, term.end + radius), terms: [term] });
+  }
+  return fragments.map((fragment) => ({ text: text.slice(fragment.start, fragment.end), ...fragment }));
+}
+
+// Centers a `snippetChars` window on the first highlighted term (or the chunk start).
+export function snippetWindow(content, fragments, snippetChars) {
+  const length = String(content || '').length;
+  const size = Math.max(1, Math.floor(snippetChars));
+  if (length <= size) return { start: 0, end: length };
+  const anchor = fragments?.[0]?.terms?.[0];
+  const center = anchor ? Math.floor((anchor.start + anchor.end) / 2) : 0;
+  const start = Math.max(0, Math.min(length - size, center - Math.floor(size / 2)));
+  return { start, end: start + size };
+}
+
+// Highlight offsets index into the whole chunk and the snippet is a { text, start, end } window over it.
+// With `includeContent` off, a snippet replaces `content` (its length stays as `content_length`).
+export function applyHighlight(
+  match,
+  { headline = null, query = '', highlight = false, snippetChars = null, includeContent = true } = {},
+) {
+  const content = String(match.content || '');
+  const out = { ...match };
+  let fragments = null;
+  if (highlight) {
+    fragments = headline ? parseHeadline(headline, content) : [];
+    if (!fragments.length) fragments = lexicalHighlights(content, query);
+    out.highlights = fragments;
+  }
+  if (Number.isFinite(snippetChars) && snippetChars > 0) {
+    const window = snippetWindow(content, fragments || lexicalHighlights(content, query, { maxFragments: 1 }), snippetChars);
+    out.snippet = { text: content.slice(window.start, window.end), start: window.start, end: window.end };
+    if (!includeContent) {
+      delete out.content;
+      out.content_length = content.length;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,195 @@
+import { ArchiveError, extractArchive } from './archive.js';
+import { bearerTokenMatches } from './bearer-auth.js';
+import { chunkText } from './chunkers.js';
+
+export class IndexRequestError extends Error {
+  constructor(field, message) {
+    super(`${field}: ${message}`);
+    this.name = 'IndexRequestError';
+    this.field = field;
+  }
+}
+
+const LANGUAGES = {
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  rst: 'rst',
+  html: 'html',
+  htm: 'html',
+  csv: 'csv',
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  xml: 'xml',
+  py: 'python',
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  rb: 'ruby',
+  sh: 'shell',
+  sql: 'sql',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cs: 'csharp',
+};
+
+export function fileExtension(path) {
+  const base = String(path || '').split('/').pop();
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot).toLowerCase() : '';
+}
+
+export function languageForPath(path) {
+  const ext = fileExtension(path).slice(1);
+  return LANGUAGES[ext] || ext || 'text';
+}
+
+export function indexOptionsFromConfig(cfg) {
+  const indexing = cfg?.indexing || {};
+  const excluded = String(indexing.index_excluded_exts || '')
+    .split(',')
+    .map((ext) => ext.trim().toLowerCase())
+    .filter(Boolean)
+    .map((ext) => (ext.startsWith('.') ? ext : `.${ext}`));
+  const maxMb = Number(indexing.index_max_file_size_mb);
+  return {
+    excludedExts: new Set(excluded),
+    maxFileBytes: Number.isFinite(maxMb) && maxMb > 0 ? Math.floor(maxMb * 1024 * 1024) : 10 * 1024 * 1024,
+  };
+}
+
+// Uploaded corpora survive cold starts, so indexing is off unless RAGWELD_INDEX_WRITE_TOKEN is set,
+// and then only requests bearing it may upload. Returns 'disabled', 'unauthorized' or 'allowed'.
+export function indexUploadAccess(headers, env = process.env) {
+  const token = String(env.RAGWELD_INDEX_WRITE_TOKEN || '').trim();
+  if (!token) return 'disabled';
+  return bearerTokenMatches(headers, token) ? 'allowed' : 'unauthorized';
+}
+
+// Repo-relative with forward slashes; anything escaping the upload root is rejected.
+export function normalizeIndexPath(raw) {
+  const parts = [];
+  for (const part of String(raw || '').replace(/\\/g, '/').split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') return null;
+    parts.push(part);
+  }
+  return parts.length ? parts.join('/') : null;
+}
+
+function decodeBase64(value, field) {
+  const text = String(value || '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(text)) throw new IndexRequestError(field, 'must be base64');
+  return Buffer.from(text, text.includes('-') || text.includes('_') ? 'base64url' : 'base64');
+}
+
+// Files to index from a POST /api/index body: `files` ([{ path, content | content_base64 }]) and/or
+// `archive` ({ name, content_base64 }). Excluded, oversized, binary and duplicate files end up in
+// `skipped` with a reason rather than failing the upload.
+export function collectIndexFiles(body, options) {
+  const candidates = [];
+  const files = body?.files;
+  if (files != null && !Array.isArray(files)) throw new IndexRequestError('files', 'must be an array');
+  (files || []).forEach((file, index) => {
+    const field = `files[${index}]`;
+    if (!file || typeof file !== 'object') throw new IndexRequestError(field, 'must be an object');
+    const path = normalizeIndexPath(file.path);
+    if (!path) throw new IndexRequestError(`${field}.path`, 'must be a relative path inside the corpus');
+    if (typeof file.content === 'string') {
+      const size = Buffer.byteLength(file.content, 'utf8');
+      candidates.push({ path, size, read: () => file.content });
+    } else if (typeof file.content_base64 === 'string') {
+      const buf = decodeBase64(file.content_base64, `${field}.content_base64`);
+      candidates.push({ path, size: buf.length, read: () => buf });
+    } else {
+      throw new IndexRequestError(field, 'needs content or content_base64');
+    }
+  });
+
+  const archive = body?.archive;
+  if (archive != null) {
+    if (typeof archive !== 'object' || typeof archive.content_base64 !== 'string') {
+      throw new IndexRequestError('archive', 'must be { name, content_base64 }');
+    }
+    let entries;
+    try {
+      entries = extractArchive(decodeBase64(archive.content_base64, 'archive.content_base64'), { name: archive.name });
+    } catch (e) {
+      if (e instanceof ArchiveError) throw new IndexRequestError('archive', e.message);
+      throw e;
+    }
+    for (const entry of entries) {
+      const path = normalizeIndexPath(entry.path);
+      if (!path) throw new IndexRequestError('archive', `${entry.path}: path escapes the archive root`);
+      candidates.push({ ...entry, path });
+    }
+  }
+  if (!candidates.length) throw new IndexRequestError('files', 'provide files or an archive to index');
+
+  const out = [];
+  const skipped = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const { path, size } = candidate;
+    if (seen.has(path)) {
+      skipped.push({ path, reason: 'duplicate path' });
+      continue;
+    }
+    seen.add(path);
+    if (options.excludedExts.has(fileExtension(path))) {
+      skipped.push({ path, reason: 'excluded extension' });
+      continue;
+    }
+    if (size > options.maxFileBytes) {
+      skipped.push({ path, reason: `larger than ${options.maxFileBytes} bytes` });
+      continue;
+    }
+    let data;
+    try {
+      data = candidate.read();
+    } catch (e) {
+      if (e instanceof ArchiveError) throw new IndexRequestError('archive', e.message);
+      throw e;
+    }
+    // Text files only: a NUL byte near the start is the usual sign of a binary, and Postgres text
+    // columns cannot hold one anywhere.
+    const text = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+    if (text.slice(0, 8000).includes('\0')) {
+      skipped.push({ path, reason: 'binary file' });
+      continue;
+    }
+    out.push({ path, text: text.replaceAll('\0', '') });
+  }
+  return { files: out, skipped };
+}
+
+// Rows for the chunks table, with ids keyed by corpus, path and position within the file.
+export function indexChunkRows(corpusId, files, chunkerOptions) {
+  const rows = [];
+  const empty = [];
+  for (const file of files) {
+    const chunks = chunkText(file.text, chunkerOptions);
+    if (!chunks.length) empty.push(file.path);
+    const language = languageForPath(file.path);
+    chunks.forEach((chunk, index) => {
+      rows.push({
+        chunk_id: `${corpusId}:${file.path}:${index}`,
+        corpus_id: corpusId,
+        file_path: file.path,
+        start_line: chunk.start_line,
+        end_line: chunk.end_line,
+        language,
+        content: chunk.content,
+      });
+    });
+  }
+  return { rows, empty };
+}
@@ -0,0 +1,99 @@
+function safeParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Splits an SSE body (web ReadableStream or any async iterable of chunks) into `{ event, data }` messages.
+export async function* readSseMessages(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+  const takeLine = (line) => {
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    if (!line) {
+      const message = data.length ? { event, data: data.join('\n') } : null;
+      event = null;
+      data = [];
+      return message;
+    }
+    if (line.startsWith(':')) return null;
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+    return null;
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline >= 0) {
+      const message = takeLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (message) yield message;
+      newline = buffer.indexOf('\n');
+    }
+  }
+  buffer += decoder.decode();
+  const message = takeLine(buffer) || takeLine('');
+  if (message) yield message;
+}
+
+// Responses reports input/output tokens, chat completions prompt/completion tokens; callers see one shape.
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const input = Number(usage.input_tokens ?? usage.prompt_tokens) || 0;
+  const output = Number(usage.output_tokens ?? usage.completion_tokens) || 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: Number(usage.total_tokens) || input + output };
+}
+
+// OpenAI Responses API stream (`stream: true`).
+export async function consumeResponsesStream(body, onDelta) {
+  let content = '';
+  let usage = null;
+  let model = null;
+  for await (const message of readSseMessages(body)) {
+    const payload = safeParse(message.data);
+    if (!payload) continue;
+    const type = String(payload.type || message.event || '');
+    if (type === 'response.output_text.delta' && typeof payload.delta === 'string') {
+      content += payload.delta;
+      if (payload.delta) onDelta?.(payload.delta);
+    } else if (type === 'response.completed' || type === 'response.incomplete') {
+      usage = normalizeUsage(payload.response?.usage);
+      model = payload.response?.model || model;
+    } else if (type === 'response.failed' || type === 'error') {
+      throw new Error(`OpenAI stream error: ${payload.response?.error?.message || payload.message || type}`);
+    }
+  }
+  return { content, usage, model };
+}
+
+// OpenAI-compatible chat completions stream (OpenRouter); usage arrives on the last chunk.
+export async function consumeChatCompletionStream(body, onDelta) {
+  let content = '';
+  let usage = null;
+  let model = null;
+  for await (const message of readSseMessages(body)) {
+    if (message.data.trim() === '[DONE]') break;
+    const payload = safeParse(message.data);
+    if (!payload) continue;
+    if (payload.error) {
+      throw new Error(`Stream error: ${payload.error.message || JSON.stringify(payload.error)}`);
+    }
+    const delta = payload.choices?.[0]?.delta?.content;
+    if (typeof delta === 'string' && delta) {
+      content += delta;
+      onDelta?.(delta);
+    }
+    if (payload.usage) usage = normalizeUsage(payload.usage);
+    model = payload.model || model;
+  }
+  return { content, usage, model };
+}
@@ -0,0 +1,111 @@
+const HEALTH_TIMEOUT_MS = 3500;
+
+// Reachability per base URL; kept for `health_check_interval` seconds on a warm instance.
+const healthCache = new Map();
+
+export function resetLocalProviderHealth() {
+  healthCache.clear();
+}
+
+// Ollama, llama.cpp and vLLM all serve the OpenAI-compatible API under /v1. Ollama URLs are often
+// configured with its native /api suffix, which is swapped for /v1.
+export function openAiCompatibleBaseUrl(raw) {
+  const url = String(raw || '').trim().replace(/\/+$/, '');
+  if (!url) return '';
+  if (/\/v1$/.test(url)) return url;
+  return `${url.replace(/\/api$/, '')}/v1`;
+}
+
+// Probing and routing to a provider makes the server fetch its base URL, and config is writable
+// without auth. Local models therefore stay off unless the operator sets
+// RAGWELD_DEMO_ALLOW_LOCAL_MODELS=1, and only base URLs listed in RAGWELD_LOCAL_MODEL_BASE_URLS
+// (comma-separated) are ever contacted.
+export function localModelsAccess(env = process.env) {
+  return {
+    enabled: String(env?.RAGWELD_DEMO_ALLOW_LOCAL_MODELS || '').trim() === '1',
+    allowedBaseUrls: new Set(
+      String(env?.RAGWELD_LOCAL_MODEL_BASE_URLS || '')
+        .split(',')
+        .map(openAiCompatibleBaseUrl)
+        .filter(Boolean),
+    ),
+  };
+}
+
+export function localModelsOptionsFromConfig(cfg, env = process.env) {
+  const local = cfg?.chat?.local_models || {};
+  const interval = Number(local.health_check_interval);
+  const access = localModelsAccess(env);
+  const blocked = [];
+  const providers = (Array.isArray(local.providers) ? local.providers : [])
+    .map((entry, index) => ({
+      name: String(entry?.name || '').trim() || `local-${index + 1}`,
+      provider_type: String(entry?.provider_type || 'openai_compatible').trim(),
+      base_url: openAiCompatibleBaseUrl(entry?.base_url),
+      enabled: entry?.enabled !== false,
+      priority: Number.isFinite(Number(entry?.priority)) ? Number(entry.priority) : 0,
+      order: index,
+    }))
+    .filter((p) => p.enabled && p.base_url)
+    .filter((p) => {
+      if (!access.enabled) blocked.push({ name: p.name, reason: 'local models are disabled (RAGWELD_DEMO_ALLOW_LOCAL_MODELS)' });
+      else if (!access.allowedBaseUrls.has(p.base_url)) blocked.push({ name: p.name, reason: 'base_url is not in RAGWELD_LOCAL_MODEL_BASE_URLS' });
+      else return true;
+      return false;
+    })
+    .sort((a, b) => a.priority - b.priority || a.order - b.order)
+    .map(({ order, ...p }) => p);
+  return {
+    enabled: access.enabled,
+    providers,
+    blocked,
+    healthCheckIntervalMs: (Number.isFinite(interval) && interval >= 0 ? interval : 30) * 1000,
+    fallbackToCloud: local.fallback_to_cloud !== false,
+    defaultChatModel: String(local.default_chat_model || '').trim(),
+  };
+}
+
+async function probe(provider) {
+  const started = Date.now();
+  try {
+    const res = await fetch(`${provider.base_url}/models`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+    if (!res.ok) return { reachable: false, detail: `HTTP ${res.status}`, models: [], latency_ms: Date.now() - started };
+    const data = await res.json().catch(() => null);
+    const models = (Array.isArray(data?.data) ? data.data : [])
+      .map((m) => String(m?.id || '').trim())
+      .filter(Boolean);
+    return { reachable: true, detail: null, models, latency_ms: Date.now() - started };
+  } catch (e) {
+    return { reachable: false, detail: String(e?.message || e), models: [], latency_ms: Date.now() - started };
+  }
+}
+
+// One status per configured provider, probing only those whose cached result is older than the
+// interval (or all of them when `force`).
+export async function checkLocalProviders(options, { force = false, now = Date.now } = {}) {
+  return Promise.all(
+    options.providers.map(async (provider) => {
+      const cached = healthCache.get(provider.base_url);
+      if (!force && cached && now() - cached.checked_at < options.healthCheckIntervalMs) {
+        return { ...provider, ...cached };
+      }
+      const status = { ...(await probe(provider)), checked_at: now() };
+      healthCache.set(provider.base_url, status);
+      return { ...provider, ...status };
+    }),
+  );
+}
+
+// Generation candidates for a local model, in priority order. Unreachable providers, and ones that
+// list their models without this one, are kept as skipped entries so the attempt log shows why.
+// Without a model name each provider falls back to the first model it lists.
+export function localCandidates(statuses, model) {
+  return statuses.map((status) => {
+    const chosen = model || status.models[0] || '';
+    const candidate = { kind: 'local', model: chosen, base_url: status.base_url, provider_name: status.name };
+    if (!status.reachable) return { ...candidate, skip: `unreachable: ${status.detail || 'no response'}` };
+    if (!chosen) return { ...candidate, skip: 'no model configured' };
+    if (status.models.length && !status.models.includes(chosen)) return { ...candidate, skip: `model not served by ${status.name}` };
+    return candidate;
+  });
+}
@@ -0,0 +1,179 @@
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// Netlify stops a function at 26s however many retries are still queued, so the whole chain shares
+// one deadline a little short of that. RAGWELD_GENERATION_BUDGET_MS overrides it for other hosts.
+const DEFAULT_BUDGET_MS = 24000;
+
+export class ProviderRouterError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'ProviderRouterError';
+    this.attempts = attempts;
+  }
+}
+
+export function providerRouterOptionsFromConfig(cfg, env = process.env) {
+  const gen = cfg?.generation || {};
+  const retries = Number(gen.gen_retry_max);
+  const timeout = Number(gen.gen_timeout);
+  const budget = Number(env.RAGWELD_GENERATION_BUDGET_MS);
+  return {
+    retryMax: Number.isFinite(retries) ? Math.max(0, Math.min(5, Math.floor(retries))) : 2,
+    timeoutMs: Number.isFinite(timeout) && timeout > 0 ? Math.floor(timeout * 1000) : 60000,
+    budgetMs: Number.isFinite(budget) && budget > 0 ? Math.floor(budget) : DEFAULT_BUDGET_MS,
+    fallbackModels: Array.isArray(cfg?.chat?.openrouter?.fallback_models)
+      ? cfg.chat.openrouter.fallback_models.map((m) => String(m || '').trim()).filter(Boolean)
+      : [],
+  };
+}
+
+// Primary route first, then the OpenRouter fallback models, then the other cloud provider.
+// Local routes expand to `localCandidates` (one per configured provider) and only continue to
+// the cloud when `fallbackToCloud` is set.
+export function buildProviderChain(route, {
+  fallbackModels = [],
+  openrouterEnabled = true,
+  openrouterModel = '',
+  cloudModel = '',
+  localCandidates = null,
+  fallbackToCloud = false,
+} = {}) {
+  const chain = [];
+  const seen = new Set();
+  const add = (candidate) => {
+    const model = String(candidate.model || '').trim();
+    const key = `${candidate.kind}:${candidate.base_url || ''}:${model}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    chain.push({ ...candidate, model });
+  };
+  const addCloud = (kind, model) => {
+    if (String(model || '').trim()) add({ kind, model });
+  };
+
+  if (route.kind === 'local') {
+    for (const candidate of localCandidates || [route]) add(candidate);
+    if (!fallbackToCloud) return chain;
+  } else {
+    add({ kind: route.kind, model: route.model });
+  }
+
+  if (openrouterEnabled) {
+    if (route.kind !== 'openrouter') addCloud('openrouter', openrouterModel);
+    for (const model of fallbackModels) addCloud('openrouter', model);
+  }
+  if (route.kind !== 'cloud_direct') addCloud('cloud_direct', cloudModel);
+  return chain;
+}
+
+// Rate limits, server errors, timeouts and network failures are worth retrying; other 4xx
+// (bad key, unknown model) will fail the same way again, so the router moves on instead.
+export function isRetryable(err) {
+  if (err?.timedOut) return true;
+  const status = Number(err?.status);
+  if (Number.isFinite(status) && status > 0) return status === 408 || status === 429 || status >= 500;
+  return !/^Missing [A-Z_]+_API_KEY/.test(String(err?.message || ''));
+}
+
+export function backoffDelayMs(retry) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** retry);
+}
+
+function sleepFor(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+async function attemptWithTimeout(call, candidate, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort(new Error(`timed out after ${timeoutMs}ms`));
+  }, timeoutMs);
+  try {
+    return await call(candidate, controller.signal);
+  } catch (e) {
+    if (timedOut) {
+      const err = new Error(`Generation timed out after ${Math.round(timeoutMs / 1000)}s`);
+      err.timedOut = true;
+      throw err;
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Runs `call(candidate, signal)` down the chain until one succeeds. Each candidate gets
+// `retryMax` extra tries with exponential backoff while its errors look transient; candidates
+// carrying a `skip` reason are logged without being called.
+// `deadline` (epoch ms) bounds the whole chain: each attempt's timeout is cut to the time left,
+// and no attempt or backoff starts once it has passed.
+// `committed()` returning true (e.g. tokens already streamed to the client) stops any further
+// attempt, since a second answer cannot be spliced onto a partial one.
+export async function runWithFallback(chain, call, {
+  retryMax = 2,
+  timeoutMs = 60000,
+  deadline = Infinity,
+  signal,
+  committed = () => false,
+  sleep = sleepFor,
+  now = Date.now,
+} = {}) {
+  const attempts = [];
+  let lastError = null;
+  const outOfTime = () => {
+    const detail = lastError ? `: ${String(lastError.message || lastError)}` : '';
+    return new ProviderRouterError(`Generation deadline exceeded${detail}`, attempts);
+  };
+  for (const candidate of chain) {
+    const base = { provider: candidate.kind, model: candidate.model };
+    if (candidate.base_url) base.base_url = candidate.base_url;
+    if (candidate.skip) {
+      attempts.push({ ...base, attempt: 0, ok: false, skipped: true, error: candidate.skip });
+      lastError = lastError || new Error(candidate.skip);
+      continue;
+    }
+    for (let attempt = 1; attempt <= retryMax + 1; attempt += 1) {
+      if (signal?.aborted) throw new ProviderRouterError('Generation aborted', attempts);
+      const remaining = deadline - now();
+      if (remaining <= 0) throw outOfTime();
+      const started = Date.now();
+      const record = { ...base, attempt, ok: false };
+      try {
+        const result = await attemptWithTimeout(call, candidate, Math.min(timeoutMs, remaining), signal);
+        attempts.push({ ...record, ok: true, duration_ms: Date.now() - started });
+        return { result, attempts };
+      } catch (e) {
+        lastError = e;
+        attempts.push({
+          ...record,
+          duration_ms: Date.now() - started,
+          status: Number.isFinite(Number(e?.status)) ? Number(e.status) : null,
+          timed_out: Boolean(e?.timedOut),
+          error: String(e?.message || e),
+        });
+        if (signal?.aborted) throw new ProviderRouterError('Generation aborted', attempts);
+        if (committed()) throw new ProviderRouterError(String(e?.message || e), attempts);
+        if (!isRetryable(e) || attempt > retryMax) break;
+        const delay = backoffDelayMs(attempt - 1);
+        if (now() + delay >= deadline) throw outOfTime();
+        await sleep(delay, signal);
+      }
+    }
+  }
+  const detail = lastError ? String(lastError.message || lastError) : 'no providers configured';
+  throw new ProviderRouterError(`All providers failed: ${detail}`, attempts);
+}
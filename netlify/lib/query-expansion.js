@@ -0,0 +1,82 @@
+// Rewrites run ahead of retrieval and the answer, so each call gets a short leash of its own.
+const EXPANSION_TIMEOUT_MS = 5000;
+
+export function queryExpansionOptionsFromConfig(cfg) {
+  const retrieval = cfg?.retrieval || {};
+  const maxRewrites = Math.max(0, Math.floor(Number(retrieval.max_query_rewrites)) || 0);
+  const multiQueryM = Math.max(1, Math.floor(Number(retrieval.multi_query_m)) || 1);
+  // multi_query_m counts the original query, so it leaves room for M - 1 generated variants.
+  return { count: Math.min(maxRewrites, multiQueryM - 1) };
+}
+
+function normalizeVariant(line) {
+  return String(line || '')
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function parseQueryVariants(text, original, limit) {
+  const seen = new Set([normalizeVariant(original).toLowerCase()]);
+  const out = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const variant = normalizeVariant(line);
+    const key = variant.toLowerCase();
+    if (!variant || variant.length > 300 || seen.has(key)) continue;
+    seen.add(key);
+    out.push(variant);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+// `generate(system, user, signal)` resolves to the model's text; the rewrite and the expansion run in
+// parallel. Both are aborted after `timeoutMs`, at `deadline` (epoch ms) if that comes first, or when
+// `signal` aborts; with no time left, or an already aborted request, expansion is skipped.
+export async function expandQuery(query, {
+  count,
+  rewritePrompt,
+  expansionPrompt,
+  generate,
+  signal = null,
+  deadline = Infinity,
+  timeoutMs = EXPANSION_TIMEOUT_MS,
+  now = Date.now,
+}) {
+  const debug = { enabled: count > 0, requested: count, variants: [], error: null, skipped: null };
+  if (!debug.enabled || !String(query || '').trim()) return { queries: [query], debug };
+  const budgetMs = Math.min(timeoutMs, deadline - now());
+  if (signal?.aborted || budgetMs <= 0) {
+    debug.skipped = signal?.aborted ? 'aborted' : 'deadline';
+    return { queries: [query], debug };
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => controller.abort(new Error(`query expansion timed out after ${budgetMs}ms`)), budgetMs);
+  const calls = [
+    generate(rewritePrompt, `Rewrite this question as a single search query. Output only the query.\n\n${query}`, controller.signal),
+  ];
+  if (count > 1) {
+    calls.push(generate(expansionPrompt, `Generate up to ${count - 1} query variants for:\n\n${query}`, controller.signal));
+  }
+
+  let settled;
+  try {
+    settled = await Promise.allSettled(calls);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+  const errors = settled.filter((s) => s.status === 'rejected').map((s) => String(s.reason?.message || s.reason));
+  const text = settled
+    .filter((s) => s.status === 'fulfilled')
+    .map((s) => String(s.value || ''))
+    .join('\n');
+
+  debug.variants = parseQueryVariants(text, query, count);
+  debug.error = errors.length ? errors.join('; ') : null;
+  return { queries: [query, ...debug.variants], debug };
+}
@@ -0,0 +1,161 @@
+// Sparse query mini-syntax (sparse_search.query_mode = 'boolean'):
+//   words            every word must match (implicit AND)
+//   "exact phrase"   words must appear adjacent and in order
+//   -word -"phrase"  exclude chunks containing the word or phrase
+//   a OR b           either side may match; AND binds tighter, so `a b OR c` is (a AND b) OR c
+//   prefix*          any word starting with `prefix`
+// Without prefix terms the query maps directly onto websearch_to_tsquery, which shares these rules.
+
+export class QuerySyntaxError extends Error {
+  constructor(errors, tree) {
+    super(errors.map((e) => e.message).join('; '));
+    this.name = 'QuerySyntaxError';
+    this.errors = errors;
+    this.tree = tree;
+  }
+}
+
+function tokenize(input) {
+  const tokens = [];
+  const errors = [];
+  let index = 0;
+  while (index < input.length) {
+    const ch = input[index];
+    if (/\s/.test(ch)) {
+      index += 1;
+      continue;
+    }
+    const start = index;
+    let negated = false;
+    if (ch === '-' && index + 1 < input.length && !/\s/.test(input[index + 1])) {
+      negated = true;
+      index += 1;
+    }
+    if (input[index] === '"') {
+      const close = input.indexOf('"', index + 1);
+      if (close < 0) {
+        errors.push({ position: index, message: `Unclosed quote at position ${index}` });
+        tokens.push({ kind: 'phrase', negated, text: input.slice(index + 1), start, partial: true });
+        break;
+      }
+      tokens.push({ kind: 'phrase', negated, text: input.slice(index + 1, close), start });
+      index = close + 1;
+      continue;
+    }
+    let end = index;
+    while (end < input.length && !/\s/.test(input[end]) && input[end] !== '"') end += 1;
+    const text = input.slice(index, end);
+    if (!negated && /^or$/i.test(text)) tokens.push({ kind: 'or', start });
+    else tokens.push({ kind: 'word', negated, text, start });
+    index = end;
+  }
+  return { tokens, errors };
+}
+
+function itemFromToken(token, errors) {
+  if (token.kind === 'phrase') {
+    const words = token.text.trim().split(/\s+/).filter(Boolean);
+    if (!words.length && !token.partial) errors.push({ position: token.start, message: `Empty phrase at position ${token.start}` });
+    if (words.some((w) => w.includes('*'))) {
+      errors.push({ position: token.start, message: `Prefix wildcards are not supported inside phrases (position ${token.start})` });
+    }
+    return { type: 'phrase', negated: token.negated, words };
+  }
+  const trailing = token.text.endsWith('*');
+  const value = trailing ? token.text.replace(/\*+$/, '') : token.text;
+  if (value.includes('*')) {
+    errors.push({ position: token.start, message: `Wildcards are only supported at the end of a word (position ${token.start})` });
+  }
+  if (!value) errors.push({ position: token.start, message: `Wildcard without a prefix at position ${token.start}` });
+  return trailing
+    ? { type: 'prefix', negated: token.negated, value }
+    : { type: 'term', negated: token.negated, value };
+}
+
+export function parseQuerySyntax(input) {
+  const text = String(input || '');
+  const { tokens, errors } = tokenize(text);
+  const branches = [[]];
+  let previous = null;
+  for (const token of tokens) {
+    if (token.kind === 'or') {
+      if (!previous || previous.kind === 'or') {
+        errors.push({ position: token.start, message: `OR needs a term on both sides (position ${token.start})` });
+      }
+      branches.push([]);
+    } else {
+      branches[branches.length - 1].push(itemFromToken(token, errors));
+    }
+    previous = token;
+  }
+  if (previous?.kind === 'or') {
+    errors.push({ position: previous.start, message: `OR needs a term on both sides (position ${previous.start})` });
+  }
+
+  const tree = {
+    type: 'or',
+    children: branches.filter((items) => items.length).map((items) => ({ type: 'and', children: items })),
+  };
+  for (const branch of tree.children) {
+    if (branch.children.every((item) => item.negated)) {
+      errors.push({ position: null, message: 'Each OR branch needs at least one term that is not excluded' });
+      break;
+    }
+  }
+  if (!tree.children.length && text.trim()) errors.push({ position: 0, message: 'Query has no searchable terms' });
+  return { ok: errors.length === 0, tree, errors };
+}
+
+function quoteLexeme(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+function toWebsearch(tree) {
+  return tree.children
+    .map((branch) =>
+      branch.children
+        .map((item) => `${item.negated ? '-' : ''}${item.type === 'phrase' ? `"${item.words.join(' ')}"` : item.value}`)
+        .join(' '),
+    )
+    .join(' OR ');
+}
+
+// Returns a tsquery SQL expression plus what BM25 needs to score it: the positive words and
+// prefix patterns. `bind(value)` appends a parameter and returns its placeholder; `cfg` is the
+// regconfig placeholder. Malformed boolean queries throw QuerySyntaxError with the parse tree.
+export function compileSparseQuery(query, mode, { bind, cfg }) {
+  const text = String(query || '').trim();
+  if (mode === 'phrase') {
+    return { sql: `phraseto_tsquery(${cfg}, ${bind(text)})`, positiveText: text, prefixes: [] };
+  }
+  if (mode !== 'boolean') {
+    return { sql: `plainto_tsquery(${cfg}, ${bind(text)})`, positiveText: text, prefixes: [] };
+  }
+
+  const parsed = parseQuerySyntax(text);
+  if (!parsed.ok) throw new QuerySyntaxError(parsed.errors, parsed.tree);
+
+  const items = parsed.tree.children.flatMap((branch) => branch.children);
+  const positive = items.filter((item) => !item.negated);
+  const positiveText = positive
+    .filter((item) => item.type !== 'prefix')
+    .map((item) => (item.type === 'phrase' ? item.words.join(' ') : item.value))
+    .join(' ');
+  const prefixes = positive.filter((item) => item.type === 'prefix').map((item) => `${quoteLexeme(item.value)}:*`);
+
+  if (!items.some((item) => item.type === 'prefix')) {
+    return { sql: `websearch_to_tsquery(${cfg}, ${bind(toWebsearch(parsed.tree))})`, positiveText, prefixes };
+  }
+
+  const itemSql = (item) => {
+    let expr;
+    if (item.type === 'phrase') expr = `phraseto_tsquery(${cfg}, ${bind(item.words.join(' '))})`;
+    else if (item.type === 'prefix') expr = `to_tsquery(${cfg}, ${bind(`${quoteLexeme(item.value)}:*`)})`;
+    else expr = `plainto_tsquery(${cfg}, ${bind(item.value)})`;
+    return item.negated ? `(!! ${expr})` : expr;
+  };
+  const sql = parsed.tree.children
+    .map((branch) => `(${branch.children.map(itemSql).join(' && ')})`)
+    .join(' || ');
+  return { sql: `(${sql})`, positiveText, prefixes };
+}
@@ -0,0 +1,159 @@
+import { estimateTokens } from './conversations.js';
+
+export function recallOptionsFromConfig(cfg) {
+  const recall = cfg?.chat?.recall || {};
+  const delay = Number(recall.index_delay_seconds);
+  const maxTokens = Number(recall.chunk_max_tokens);
+  return {
+    enabled: recall.enabled !== false,
+    autoIndex: recall.auto_index !== false,
+    corpusId: String(recall.default_corpus_id || '').trim() || 'recall_default',
+    delaySeconds: Number.isFinite(delay) ? Math.max(0, delay) : 5,
+    strategy: String(recall.chunking_strategy || 'sentence').trim().toLowerCase() === 'turn' ? 'turn' : 'sentence',
+    chunkMaxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? Math.floor(maxTokens) : 256,
+  };
+}
+
+// Recall is on for a message only when the client checked the recall corpus in its sources.
+export function recallRequested(request, options) {
+  const ids = Array.isArray(request?.sources?.corpus_ids) ? request.sources.corpus_ids : [];
+  return options.enabled && ids.some((id) => String(id || '').trim() === options.corpusId);
+}
+
+function splitByWords(text, maxTokens) {
+  const pieces = [];
+  let current = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = current ? `${current} ${word}` : word;
+    if (current && estimateTokens(next) > maxTokens) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// 'sentence' packs consecutive sentences up to the token budget; 'turn' keeps the whole message
+// together. Either way nothing exceeds `chunkMaxTokens` (oversized runs are split on words).
+export function chunkRecallText(text, { strategy = 'sentence', chunkMaxTokens = 256 } = {}) {
+  const clean = String(text || '').trim();
+  if (!clean) return [];
+  if (strategy === 'turn') return splitByWords(clean, chunkMaxTokens);
+
+  const sentences = clean.split(/(?<=[.!?])\s+|\n+/).map((s) => s.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+  for (const sentence of sentences) {
+    const next = current ? `${current} ${sentence}` : sentence;
+    if (estimateTokens(next) <= chunkMaxTokens) {
+      current = next;
+      continue;
+    }
+    if (current) chunks.push(current);
+    if (estimateTokens(sentence) <= chunkMaxTokens) {
+      current = sentence;
+    } else {
+      const pieces = splitByWords(sentence, chunkMaxTokens);
+      current = pieces.pop() || '';
+      chunks.push(...pieces);
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Each conversation owner (see conversationOwner) gets a corpus of their own; the configured
+// default_corpus_id is only the name clients check in their sources to ask for recall.
+export function recallCorpusId(baseCorpusId, owner) {
+  return owner ? `${baseCorpusId}--${String(owner).slice(0, 16)}` : null;
+}
+
+export function recallFilePath(conversationId) {
+  return `conversations/${conversationId}`;
+}
+
+// Each chunk carries its speaker and time so the prompt can attribute it. Line numbers hold the
+// message id, which orders chunks within a conversation.
+export function recallChunksForMessage(message, corpusId, options) {
+  const speaker = message.role === 'assistant' ? 'Assistant' : 'User';
+  const stamp = new Date(message.created_at).toISOString().slice(0, 16).replace('T', ' ');
+  return chunkRecallText(message.content, options).map((text, index) => ({
+    chunk_id: `recall:${message.conversation_id}:${message.message_id}:${index}`,
+    corpus_id: corpusId,
+    file_path: recallFilePath(message.conversation_id),
+    start_line: Number(message.message_id),
+    end_line: Number(message.message_id),
+    content: `${speaker} (${stamp} UTC): ${text}`,
+  }));
+}
+
+async function ensureRecallCorpus(sql, corpusId) {
+  await sql.query(
+    `INSERT INTO corpora (corpus_id, name, path, slug, description, meta)
+     VALUES ($1, 'Recall', $1, $1, 'Chat memory indexed from past conversations', '{"recall": true}'::jsonb)
+     ON CONFLICT (corpus_id) DO NOTHING;`,
+    [corpusId],
+  );
+}
+
+// Indexes one owner's turns that finished at least `delaySeconds` ago (or all of one conversation
+// when `force`) into their recall corpus, and returns which corpora received chunks. Serverless
+// invocations cannot schedule work, so each chat request catches up on its own caller's turns only.
+export async function indexPendingRecall(sql, options, { owner, conversationId = null, force = false }) {
+  if (!owner) return { indexed: 0, corpusIds: [] };
+  const { rows } = await sql.query(
+    `SELECT m.message_id, m.conversation_id, m.role, m.content, m.created_at, c.owner_hash
+     FROM messages m
+     JOIN conversations c ON c.conversation_id = m.conversation_id
+     WHERE m.recall_pending
+       AND c.owner_hash = $3
+       AND m.created_at <= now() - make_interval(secs => $1)
+       AND ($2::text IS NULL OR m.conversation_id = $2)
+     ORDER BY m.message_id ASC
+     LIMIT 200;`,
+    [force ? 0 : options.delaySeconds, conversationId, owner],
+  );
+  if (!rows?.length) return { indexed: 0, corpusIds: [] };
+
+  const corpusIds = new Set();
+  let indexed = 0;
+  for (const row of rows) {
+    const corpusId = recallCorpusId(options.corpusId, row.owner_hash);
+    if (!corpusIds.has(corpusId)) {
+      await ensureRecallCorpus(sql, corpusId);
+      corpusIds.add(corpusId);
+    }
+    for (const chunk of recallChunksForMessage(row, corpusId, options)) {
+      const res = await sql.query(
+        `INSERT INTO chunks (chunk_id, corpus_id, file_path, start_line, end_line, language, content)
+         VALUES ($1, $2, $3, $4, $5, 'chat', $6)
+         ON CONFLICT (chunk_id) DO NOTHING;`,
+        [chunk.chunk_id, chunk.corpus_id, chunk.file_path, chunk.start_line, chunk.end_line, chunk.content],
+      );
+      indexed += Number(res.rowCount) || 0;
+    }
+  }
+  await sql.query(`UPDATE messages SET recall_pending = false WHERE message_id = ANY($1::bigint[]);`, [
+    rows.map((row) => String(row.message_id)),
+  ]);
+  return { indexed, corpusIds: [...corpusIds] };
+}
+
+export async function deleteRecallConversation(sql, corpusId, conversationId) {
+  const res = await sql.query(`DELETE FROM chunks WHERE corpus_id = $1 AND file_path = $2;`, [
+    corpusId,
+    recallFilePath(conversationId),
+  ]);
+  return Number(res.rowCount) || 0;
+}
+
+// Which system prompt variant fits depends on the sources that actually produced context.
+export function chatPromptMode({ ragHits, recallHits }) {
+  if (ragHits && recallHits) return 'rag_and_recall';
+  if (ragHits) return 'rag';
+  if (recallHits) return 'recall';
+  return 'direct';
+}
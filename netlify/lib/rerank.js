@@ -0,0 +1,192 @@
+const DEFAULT_COHERE_BASE_URL = 'https://api.cohere.com/v2';
+
+// The hosted backend has no MLX runtime, so learning/local modes are served by the lexical reranker.
+const LEXICAL_STAND_IN_MODES = new Set(['learning', 'local', 'hf', 'lexical']);
+// What rerankOptionsFromConfig can actually run; config validation checks against these too.
+export const RERANKER_MODES = ['none', 'cloud', ...LEXICAL_STAND_IN_MODES];
+export const CLOUD_RERANKER_PROVIDERS = ['cohere'];
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter((token) => token.length > 1);
+}
+
+export function createLexicalReranker() {
+  return {
+    backend: 'lexical',
+    model: 'lexical-overlap',
+    async score(query, documents) {
+      const queryTokens = Array.from(new Set(tokenize(query)));
+      const queryBigrams = new Set();
+      for (let index = 0; index + 1 < queryTokens.length; index += 1) {
+        queryBigrams.add(`${queryTokens[index]} ${queryTokens[index + 1]}`);
+      }
+      return documents.map((doc) => {
+        if (!queryTokens.length) return 0;
+        const docTokens = tokenize(doc);
+        const docSet = new Set(docTokens);
+        const overlap = queryTokens.filter((token) => docSet.has(token)).length / queryTokens.length;
+        let bigramHits = 0;
+        for (let index = 0; index + 1 < docTokens.length; index += 1) {
+          if (queryBigrams.has(`${docTokens[index]} ${docTokens[index + 1]}`)) bigramHits += 1;
+        }
+        const bigramScore = queryBigrams.size ? Math.min(1, bigramHits / queryBigrams.size) : 0;
+        return Number((0.8 * overlap + 0.2 * bigramScore).toFixed(6));
+      });
+    },
+  };
+}
+
+export function createCloudReranker({ apiKey, model, baseUrl }) {
+  const key = String(apiKey || '').trim();
+  if (!key) throw new Error('Missing COHERE_API_KEY');
+  const url = `${String(baseUrl || '').trim().replace(/\/$/, '') || DEFAULT_COHERE_BASE_URL}/rerank`;
+  const modelId = String(model || '').trim() || 'rerank-v3.5';
+
+  return {
+    backend: 'cloud',
+    model: modelId,
+    async score(query, documents, { signal } = {}) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${key}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model: modelId, query, documents, top_n: documents.length }),
+        signal,
+      });
+      if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        throw new Error(`Reranker error (${res.status}): ${text || res.statusText}`);
+      }
+      const data = await res.json();
+      const scores = new Array(documents.length).fill(0);
+      for (const result of Array.isArray(data?.results) ? data.results : []) {
+        const index = Number(result?.index);
+        if (Number.isInteger(index) && index >= 0 && index < scores.length) {
+          scores[index] = Number(result?.relevance_score) || 0;
+        }
+      }
+      return scores;
+    },
+  };
+}
+
+export function rerankOptionsFromConfig(cfg, env = process.env) {
+  const reranking = cfg?.reranking || {};
+  const mode = String(reranking.reranker_mode || 'none').trim().toLowerCase() || 'none';
+  const topN = mode === 'cloud'
+    ? Number(reranking.reranker_cloud_top_n ?? reranking.tribrid_reranker_topn)
+    : Number(reranking.tribrid_reranker_topn);
+  const options = {
+    mode,
+    topN: Math.max(1, Math.floor(topN) || 50),
+    snippetChars: Math.max(50, Math.floor(Number(reranking.rerank_input_snippet_chars)) || 700),
+    timeoutMs: Math.max(100, Number(reranking.reranker_timeout || 10) * 1000),
+    reranker: null,
+    error: null,
+  };
+
+  if (mode === 'cloud') {
+    const provider = String(reranking.reranker_cloud_provider || 'cohere').trim().toLowerCase();
+    if (!CLOUD_RERANKER_PROVIDERS.includes(provider)) {
+      options.error = `Cloud reranker provider '${provider}' is not available in the hosted backend`;
+      return options;
+    }
+    try {
+      options.reranker = createCloudReranker({
+        apiKey: env?.COHERE_API_KEY,
+        model: reranking.reranker_cloud_model,
+        baseUrl: env?.COHERE_BASE_URL,
+      });
+    } catch (e) {
+      options.error = String(e?.message || e);
+    }
+  } else if (LEXICAL_STAND_IN_MODES.has(mode)) {
+    options.reranker = createLexicalReranker();
+  }
+  return options;
+}
+
+function withTimeout(run, timeoutMs) {
+  const controller = new AbortController();
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Reranker timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+function annotate(match, preRank, postRank, rerankScore) {
+  return {
+    ...match,
+    metadata: {
+      ...(match.metadata || {}),
+      rerank: { pre_rank: preRank, post_rank: postRank, score: rerankScore },
+    },
+  };
+}
+
+// Reorders the first `topN` fused candidates; anything past topN keeps its fused order.
+// Every failure path (timeout, provider error) returns the fused order unchanged.
+export async function rerankMatches(query, matches, options) {
+  const candidates = Array.isArray(matches) ? matches : [];
+  const debug = {
+    enabled: options.mode !== 'none',
+    mode: options.mode,
+    backend: options.reranker?.backend || null,
+    ok: true,
+    applied: false,
+    candidates_reranked: 0,
+    skipped_reason: null,
+    error: null,
+    error_message: null,
+  };
+  const fusedOrder = () => candidates.map((match, index) => annotate(match, index + 1, index + 1, null));
+
+  if (!debug.enabled) return { matches: candidates, debug };
+  if (options.error || !options.reranker) {
+    debug.ok = false;
+    debug.error = options.error || `Unsupported reranker_mode '${options.mode}'`;
+    debug.error_message = debug.error;
+    return { matches: fusedOrder(), debug };
+  }
+  if (!String(query || '').trim()) {
+    debug.skipped_reason = 'empty_query';
+    return { matches: fusedOrder(), debug };
+  }
+  if (!candidates.length) {
+    debug.skipped_reason = 'no_candidates';
+    return { matches: candidates, debug };
+  }
+
+  const head = candidates.slice(0, options.topN);
+  const tail = candidates.slice(options.topN);
+  const documents = head.map((match) => String(match.content || '').slice(0, options.snippetChars));
+
+  let scores;
+  try {
+    scores = await withTimeout((signal) => options.reranker.score(query, documents, { signal }), options.timeoutMs);
+  } catch (e) {
+    debug.ok = false;
+    debug.error = String(e?.message || e);
+    debug.error_message = /timed out/.test(debug.error) ? 'Reranker timed out; using fused order' : debug.error;
+    return { matches: fusedOrder(), debug };
+  }
+
+  const order = head
+    .map((match, index) => ({ match, index, score: Number(scores[index]) || 0 }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  const reranked = order.map((entry, postIndex) => annotate(entry.match, entry.index + 1, postIndex + 1, entry.score));
+  const rest = tail.map((match, index) => annotate(match, head.length + index + 1, head.length + index + 1, null));
+
+  debug.applied = true;
+  debug.candidates_reranked = head.length;
+  return { matches: [...reranked, ...rest], debug };
+}
@@ -0,0 +1,128 @@
+export class SearchFilterError extends Error {
+  constructor(field, message) {
+    super(`${field}: ${message}`);
+    this.name = 'SearchFilterError';
+    this.field = field;
+  }
+}
+
+function toList(value) {
+  if (value == null || value === '') return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items.map((item) => String(item ?? '').trim()).filter(Boolean);
+}
+
+function toLineNumber(field, value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new SearchFilterError(field, 'must be a positive integer');
+  return n;
+}
+
+// Translates a path glob into an anchored POSIX regex for Postgres `~`.
+// `**` crosses directories, `*` and `?` stay within one path segment, `{a,b}` is alternation.
+// A glob without a `/` matches the file name at any depth, so `*.pdf` behaves like `**/*.pdf`;
+// a leading `/` anchors it to the corpus root instead.
+export function globToRegex(glob) {
+  const trimmed = String(glob || '').trim().replace(/^\.\//, '');
+  const src = trimmed.replace(/^\/+/, '');
+  let out = '';
+  let braceDepth = 0;
+  for (let index = 0; index < src.length; index += 1) {
+    const ch = src[index];
+    if (ch === '*') {
+      if (src[index + 1] === '*') {
+        index += 1;
+        if (src[index + 1] === '/') {
+          index += 1;
+          out += '(.*/)?';
+        } else {
+          out += '.*';
+        }
+      } else {
+        out += '[^/]*';
+      }
+    } else if (ch === '?') {
+      out += '[^/]';
+    } else if (ch === '{') {
+      braceDepth += 1;
+      out += '(';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      out += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      out += '|';
+    } else {
+      out += /[\\^$.|+()[\]{}]/.test(ch) ? `\\${ch}` : ch;
+    }
+  }
+  if (braceDepth > 0) throw new SearchFilterError('glob', `unbalanced braces in '${glob}'`);
+  return trimmed.includes('/') ? `^${out}$` : `^(.*/)?${out}$`;
+}
+
+// Accepts either a JSON body or URLSearchParams (repeated keys and comma lists both work).
+export function parseSearchFilters(input) {
+  const read = (key) => {
+    if (input && typeof input.getAll === 'function') {
+      const values = input.getAll(key);
+      return values.length ? values : undefined;
+    }
+    return input?.[key];
+  };
+  const first = (key) => [read(key)].flat()[0];
+
+  const filters = {
+    path_prefix: String(first('path_prefix') ?? '').trim().replace(/^\.\//, '') || null,
+    include: toList(read('include')),
+    exclude: toList(read('exclude')),
+    language: toList(read('language'))
+      .flatMap((lang) => lang.split(','))
+      .map((lang) => lang.trim().toLowerCase())
+      .filter(Boolean),
+    line_start: toLineNumber('line_start', first('line_start')),
+    line_end: toLineNumber('line_end', first('line_end')),
+  };
+  if (filters.line_start != null && filters.line_end != null && filters.line_start > filters.line_end) {
+    throw new SearchFilterError('line_end', 'must be greater than or equal to line_start');
+  }
+  // Compile now so malformed globs surface as a 422 rather than a database error.
+  filters.includeRegex = filters.include.map(globToRegex);
+  filters.excludeRegex = filters.exclude.map(globToRegex);
+  return filters;
+}
+
+export function hasSearchFilters(filters) {
+  return Boolean(
+    filters &&
+      (filters.path_prefix ||
+        filters.include.length ||
+        filters.exclude.length ||
+        filters.language.length ||
+        filters.line_start != null ||
+        filters.line_end != null),
+  );
+}
+
+// Appends the filter values to `params` and returns the matching `AND ...` SQL fragment.
+export function filterSqlClause(filters, params, alias = '') {
+  if (!hasSearchFilters(filters)) return '';
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const clauses = [];
+  if (filters.path_prefix) clauses.push(`starts_with(${col('file_path')}, ${bind(filters.path_prefix)})`);
+  if (filters.includeRegex.length) clauses.push(`${col('file_path')} ~ ANY(${bind(filters.includeRegex)}::text[])`);
+  if (filters.excludeRegex.length) clauses.push(`NOT (${col('file_path')} ~ ANY(${bind(filters.excludeRegex)}::text[]))`);
+  if (filters.language.length) clauses.push(`LOWER(${col('language')}) = ANY(${bind(filters.language)}::text[])`);
+  if (filters.line_start != null) clauses.push(`${col('end_line')} >= ${bind(filters.line_start)}`);
+  if (filters.line_end != null) clauses.push(`${col('start_line')} <= ${bind(filters.line_end)}`);
+  return clauses.map((clause) => `\n       AND ${clause}`).join('');
+}
+
+export function describeSearchFilters(filters) {
+  if (!hasSearchFilters(filters)) return null;
+  const { includeRegex, excludeRegex, ...rest } = filters;
+  return rest;
+}
@@ -0,0 +1,15 @@
+// Runs fn(client) inside BEGIN/COMMIT on one pooled connection, rolling back when it throws.
+export async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
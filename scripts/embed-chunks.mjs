@@ -0,0 +1,94 @@
+/**
+ * Backfill chunk_embeddings for a corpus so the hosted vector leg has data.
+ *
+ * Usage:
+ *   node scripts/embed-chunks.mjs
+ *
+ * Optional env:
+ *   CORPUS_ID=epstein-files-1
+ *   EMBEDDING_BACKEND=provider|deterministic
+ *   EMBEDDING_MODEL=text-embedding-3-large
+ *   EMBEDDING_DIM=3072
+ *   EMBEDDING_BATCH_SIZE=64
+ *   EMBED_LIMIT=100000
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import pg from 'pg';
+
+import { embedPendingChunks, ensureEmbeddingSchema, resolveEmbedder } from '../netlify/lib/embeddings.js';
+
+const { Pool } = pg;
+
+function loadEnvFile(filePath) {
+  if (!fs.existsSync(filePath)) return;
+  const raw = fs.readFileSync(filePath, 'utf8');
+  for (const line of raw.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const match = trimmed.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (!match) continue;
+    const [, key, rest] = match;
+    if (process.env[key]) continue;
+    let value = rest.trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+    process.env[key] = value;
+  }
+}
+
+function getEnvValue(name) {
+  return String(process.env[name] || '').trim();
+}
+
+function resolveDatabaseUrl() {
+  return getEnvValue('RAGWELD_DATABASE_URL') || getEnvValue('NETLIFY_DATABASE_URL') || getEnvValue('DATABASE_URL');
+}
+
+async function main() {
+  loadEnvFile(path.join(process.cwd(), '.env'));
+
+  const connectionString = resolveDatabaseUrl();
+  if (!connectionString) {
+    throw new Error('A database URL is required. Set NETLIFY_DATABASE_URL/RAGWELD_DATABASE_URL/DATABASE_URL.');
+  }
+
+  const corpusId = getEnvValue('CORPUS_ID') || 'epstein-files-1';
+  const { embedder, error } = resolveEmbedder({
+    embedding: {
+      embedding_backend: getEnvValue('EMBEDDING_BACKEND') || 'provider',
+      embedding_type: 'openai',
+      embedding_model: getEnvValue('EMBEDDING_MODEL') || 'text-embedding-3-large',
+      embedding_dim: Number(getEnvValue('EMBEDDING_DIM') || 3072),
+    },
+  });
+  if (!embedder) throw new Error(error || 'No embedder available');
+
+  const isLocal = /localhost|127\.0\.0\.1/.test(connectionString);
+  const sql = new Pool({
+    connectionString,
+    max: 1,
+    ssl: isLocal ? false : { rejectUnauthorized: false },
+  });
+
+  try {
+    const ready = await ensureEmbeddingSchema(sql);
+    if (!ready) throw new Error('pgvector extension is not available on the target database.');
+
+    console.log(`Embedding ${corpusId} with ${embedder.model} (${embedder.dim} dims)...`);
+    const embedded = await embedPendingChunks(sql, corpusId, embedder, {
+      batchSize: Number(getEnvValue('EMBEDDING_BATCH_SIZE') || 64),
+      limit: Number(getEnvValue('EMBED_LIMIT') || 100000),
+    });
+    console.log(`Embedded ${embedded} chunks.`);
+  } finally {
+    await sql.end().catch(() => {});
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+/* eslint-disable no-console */
+const fs = require('fs');
+const path = require('path');
+
+function parseInterfaces(tsSource) {
+  const interfaces = new Map();
+  const aliases = new Map();
+  let current = null;
+  for (const line of tsSource.split(/\r?\n/)) {
+    const aliasMatch = line.match(/^export type\s+(\w+)\s*=\s*([^;]+);/);
+    if (aliasMatch) {
+      aliases.set(aliasMatch[1], aliasMatch[2].trim());
+      continue;
+    }
+    const ifaceMatch = line.match(/^export interface\s+(\w+)\s*\{/);
+    if (ifaceMatch) {
+      current = { name: ifaceMatch[1], props: [] };
+      continue;
+    }
+    if (!current) continue;
+    if (/^}/.test(line.trim())) {
+      interfaces.set(current.name, current);
+      current = null;
+      continue;
+    }
+    // Example patterns:
+    //   final_k?: number; // default: 10
+    //   method?: "rrf" | "weighted"; // default: "rrf"
+    const m = line.match(/^\s*([A-Za-z0-9_]+)\??:\s*([^;]+);/);
+    if (m) current.props.push({ name: m[1], type: m[2].trim() });
+  }
+  return { interfaces, aliases };
+}
+
+// Splits on `|` outside parentheses so `("a" | "b")[]` stays one member.
+function unionMembers(typeRaw) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < typeRaw.length; i += 1) {
+    const ch = typeRaw[i];
+    if (ch === '(' || ch === '<') depth += 1;
+    else if (ch === ')' || ch === '>') depth -= 1;
+    else if (ch === '|' && depth === 0) {
+      parts.push(typeRaw.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(typeRaw.slice(start).trim());
+  return parts;
+}
+
+// TS type text -> schema node. Interfaces are inlined; anything the validator cannot check
+// precisely (mixed unions, unknown) becomes `any` so it is accepted rather than rejected.
+function toNode(typeRaw, types, stack) {
+  const { interfaces, aliases } = types;
+  const parts = unionMembers(typeRaw);
+  const nullable = parts.includes('null');
+  const rest = parts.filter((p) => p !== 'null' && p !== 'undefined');
+  const withNull = (node) => (nullable ? { ...node, nullable: true } : node);
+
+  if (rest.length > 1) {
+    if (rest.every((p) => /^".*"$/.test(p))) return withNull({ type: 'string', enum: rest.map((p) => JSON.parse(p)) });
+    return { type: 'any' };
+  }
+  const type = rest[0] || 'unknown';
+  if (aliases.has(type)) return withNull(toNode(aliases.get(type), types, stack));
+  const grouped = type.match(/^\((.+)\)\[\]$/);
+  if (grouped) return withNull({ type: 'array', items: toNode(grouped[1], types, stack) });
+  if (/^".*"$/.test(type)) return withNull({ type: 'string', enum: [JSON.parse(type)] });
+  if (['string', 'number', 'boolean'].includes(type)) return withNull({ type });
+  if (type.endsWith('[]')) return withNull({ type: 'array', items: toNode(type.slice(0, -2), types, stack) });
+  const rec = type.match(/^Record<string,\s*(.+)>$/);
+  if (rec) return withNull({ type: 'record', values: toNode(rec[1], types, stack) });
+  if (interfaces.has(type) && !stack.includes(type)) return withNull(toObject(type, types, stack));
+  return { type: 'any' };
+}
+
+function toObject(name, types, stack = []) {
+  const fields = {};
+  for (const prop of types.interfaces.get(name).props) {
+    fields[prop.name] = toNode(prop.type, types, [...stack, name]);
+  }
+  return { type: 'object', fields };
+}
+
+function main() {
+  const repoRoot = process.cwd();
+  const sourcePath = process.argv[2] || path.resolve(repoRoot, 'vendor', 'demo', 'src', 'types', 'generated.ts');
+  const outPath = process.argv[3] || path.resolve(repoRoot, 'netlify', 'lib', 'config-schema.js');
+
+  const types = parseInterfaces(fs.readFileSync(sourcePath, 'utf8'));
+  if (!types.interfaces.has('TriBridConfig')) throw new Error(`Missing TriBridConfig in ${sourcePath}`);
+  const schema = toObject('TriBridConfig', types);
+
+  const banner = [
+    '// AUTO-GENERATED FILE - DO NOT EDIT',
+    '// Generated from vendor/demo/src/types/generated.ts (TriBridConfig) by',
+    '// scripts/generate-config-schema.cjs. Regenerate after syncing the demo types.',
+  ].join('\n');
+  fs.writeFileSync(outPath, `${banner}\n\nexport const TRIBRID_CONFIG_SCHEMA = ${JSON.stringify(schema, null, 2)};\n`, 'utf8');
+  console.log(`Wrote ${Object.keys(schema.fields).length} config sections to ${outPath}`);
+}
+
+main();
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  agentOptionsFromConfig,
+  chunkRegistry,
+  parseChatCompletionToolOutput,
+  parseResponsesToolOutput,
+  runAgentLoop,
+  toolChunk,
+  toResponsesInput,
+} from '../netlify/lib/agent-loop.js';
+
+function scripted(turns) {
+  const seen = [];
+  const callModel = async (messages, options) => {
+    seen.push({ messages: structuredClone(messages), options });
+    return turns.shift();
+  };
+  return { seen, callModel };
+}
+
+const call = (id, name, args) => ({ id, name, arguments: JSON.stringify(args) });
+
+test('agent options come from config and the request can override the switch', () => {
+  assert.deepEqual(agentOptionsFromConfig({ chat: { agent: { enabled: true, max_iterations: 2 } } }, {}), { enabled: true, maxIterations: 2 });
+  assert.equal(agentOptionsFromConfig({ chat: { agent: { enabled: true } } }, { agentic: false }).enabled, false);
+  assert.deepEqual(agentOptionsFromConfig({}, { agentic: true }), { enabled: true, maxIterations: 4 });
+  assert.equal(agentOptionsFromConfig({ chat: { agent: { max_iterations: 50 } } }, {}).maxIterations, 10);
+});
+
+test('the registry continues prompt numbering and dedupes chunks', () => {
+  const registry = chunkRegistry([{ chunk_id: 'a' }, { chunk_id: 'b' }]);
+  assert.equal(registry.add({ chunk_id: 'c' }), 3);
+  assert.equal(registry.add({ chunk_id: 'a' }), 1);
+  assert.deepEqual(registry.list().map((c) => c.chunk_id), ['a', 'b', 'c']);
+  assert.equal(toolChunk({ chunk_id: 'x', content: 'y'.repeat(2000) }, 4).content.length, 1501);
+});
+
+test('tool calls run, stream events and feed results back until the model answers', async () => {
+  const { seen, callModel } = scripted([
+    { content: '', toolCalls: [call('c1', 'rag_search', { query: 'flight log' }), call('c2', 'nope', {})], usage: { input_tokens: 10, output_tokens: 2, total_tokens: 12 } },
+    { content: 'Answer [3].', toolCalls: [], usage: { input_tokens: 20, output_tokens: 3, total_tokens: 23 } },
+  ]);
+  const events = [];
+  const result = await runAgentLoop({
+    system: 'sys',
+    user: 'q',
+    callModel,
+    tools: { rag_search: async (args) => ({ query: args.query, chunks: [{ ref: 3 }] }) },
+    onEvent: (event) => events.push(event),
+  });
+
+  assert.equal(result.content, 'Answer [3].');
+  assert.equal(result.iterations, 1);
+  assert.equal(result.stopped, 'answer');
+  assert.deepEqual(result.usage, { input_tokens: 30, output_tokens: 5, total_tokens: 35 });
+  assert.deepEqual(events.map((e) => [e.type, e.name, e.ok ?? null]), [
+    ['tool_call', 'rag_search', null],
+    ['tool_result', 'rag_search', true],
+    ['tool_call', 'nope', null],
+    ['tool_result', 'nope', false],
+  ]);
+  assert.equal(result.calls[1].error, 'unknown tool: nope');
+
+  const second = seen[1].messages;
+  assert.equal(second[2].role, 'assistant');
+  assert.equal(second[2].tool_calls.length, 2);
+  assert.deepEqual(second.slice(3).map((m) => [m.role, m.tool_call_id]), [['tool', 'c1'], ['tool', 'c2']]);
+  assert.deepEqual(JSON.parse(second[3].content), { query: 'flight log', chunks: [{ ref: 3 }] });
+});
+
+test('the iteration budget forces a final answer with tools disabled', async () => {
+  const looping = { content: '', toolCalls: [call('c', 'rag_search', { query: 'x' })] };
+  const { seen, callModel } = scripted([looping, looping, { content: 'done', toolCalls: [call('ignored', 'rag_search', {})] }]);
+  const result = await runAgentLoop({ system: 's', user: 'u', callModel, tools: { rag_search: async () => ({}) }, maxIterations: 2 });
+  assert.equal(result.stopped, 'max_iterations');
+  assert.equal(result.iterations, 2);
+  assert.equal(result.content, 'done');
+  assert.deepEqual(seen.map((s) => s.options.toolChoice), ['auto', 'auto', 'none']);
+});
+
+test('malformed arguments and tool errors become error results, not failures', async () => {
+  const { seen, callModel } = scripted([
+    { content: '', toolCalls: [{ id: 'a', name: 'get_chunk', arguments: '{not json' }, call('b', 'get_chunk', { chunk_id: 'zz' })] },
+    { content: 'ok', toolCalls: [] },
+  ]);
+  const result = await runAgentLoop({
+    system: 's',
+    user: 'u',
+    callModel,
+    tools: {
+      get_chunk: async () => {
+        throw new Error('chunk not found: zz');
+      },
+    },
+  });
+  assert.deepEqual(result.calls.map((c) => c.error), ['arguments must be a JSON object', 'chunk not found: zz']);
+  assert.deepEqual(JSON.parse(seen[1].messages.at(-1).content), { error: 'chunk not found: zz' });
+});
+
+test('transcripts convert to Responses input items and outputs parse back', () => {
+  const items = toResponsesInput([
+    { role: 'system', content: 's' },
+    { role: 'user', content: 'q' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'rag_search', arguments: '{"query":"x"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"chunks":[]}' },
+  ]);
+  assert.deepEqual(items, [
+    { role: 'user', content: 'q' },
+    { type: 'function_call', call_id: 'call_1', name: 'rag_search', arguments: '{"query":"x"}' },
+    { type: 'function_call_output', call_id: 'call_1', output: '{"chunks":[]}' },
+  ]);
+
+  assert.deepEqual(
+    parseResponsesToolOutput({
+      output: [
+        { type: 'reasoning', summary: [] },
+        { type: 'function_call', id: 'fc_1', call_id: 'call_9', name: 'get_chunk', arguments: '{"chunk_id":"c1"}' },
+      ],
+    }),
+    { content: '', toolCalls: [{ id: 'call_9', name: 'get_chunk', arguments: '{"chunk_id":"c1"}' }] },
+  );
+  assert.deepEqual(
+    parseChatCompletionToolOutput({
+      choices: [{ message: { content: null, tool_calls: [{ id: 't1', type: 'function', function: { name: 'graph_neighbors', arguments: '{"entity":"Maxwell"}' } }] } }],
+    }),
+    { content: '', toolCalls: [{ id: 't1', name: 'graph_neighbors', arguments: '{"entity":"Maxwell"}' }] },
+  );
+});
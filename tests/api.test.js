@@ -0,0 +1,197 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createHandler } from '../netlify/functions/api.js';
+
+// Stands in for Postgres: schema and seed statements succeed with no rows, and config_versions keeps
+// its rows in memory so saves and the sync that follows them round-trip.
+function fakeSql() {
+  const versions = [];
+  const query = async (text, params = []) => {
+    const sql = String(text).replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('SELECT MAX(version_id) AS version_id FROM config_versions WHERE')) {
+      const own = versions.filter((v) => v.scope === params[0]);
+      return { rows: [{ version_id: own.length ? own.at(-1).version_id : null }] };
+    }
+    if (sql.startsWith('INSERT INTO config_versions')) {
+      const [scope, parent, config, diff, author, action, note] = params;
+      const row = { version_id: versions.length + 1, scope, parent_version_id: parent, author, action, note, created_at: new Date(0) };
+      Object.assign(row, { config: JSON.parse(config), diff: JSON.parse(diff) });
+      versions.push(row);
+      return { rows: [row] };
+    }
+    // Every sparse search finds the same chunk, so chats run in RAG mode and searches have one match.
+    if (sql.includes('ORDER BY score DESC, chunk_id COLLATE "C" ASC')) {
+      return { rows: [{ chunk_id: 'c1', content: 'The 1997 flight log.', file_path: 'docs/log.md', start_line: 1, end_line: 3, score: 1 }] };
+    }
+    if (sql.startsWith('SELECT COUNT(*)::int AS total')) return { rows: [{ total: 1 }] };
+    if (sql.startsWith('INSERT INTO conversations')) return { rows: [{ conversation_id: params[0] }] };
+    return { rows: [], rowCount: 0 };
+  };
+  return { versions, query, connect: async () => ({ query, release() {} }) };
+}
+
+// api.js caches configs and their version ids in module state, so every test drives one handler over
+// one fake database.
+const sql = fakeSql();
+const handler = createHandler({ sql });
+
+function request(method, path, { body, headers = {} } = {}) {
+  return handler({
+    httpMethod: method,
+    path: path.split('?')[0],
+    rawUrl: `http://localhost${path}`,
+    headers,
+    body: body === undefined ? null : JSON.stringify(body),
+  }).then((res) => ({ status: res.statusCode, body: JSON.parse(res.body) }));
+}
+
+// A Responses API stand-in that answers every call and keeps the instructions each one was sent.
+async function stubModel() {
+  const instructions = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      instructions.push(JSON.parse(raw).instructions);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ output_text: 'ok' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    instructions,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+async function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('config edits are refused, not kept in memory, without the write token', async () => {
+  const patch = { body: { final_k: 7 } };
+
+  const disabled = await request('PATCH', '/api/config/retrieval', patch);
+  assert.equal(disabled.status, 403);
+  assert.match(disabled.body.error, /RAGWELD_CONFIG_WRITE_TOKEN/);
+
+  await withEnv({ RAGWELD_CONFIG_WRITE_TOKEN: 'config-token' }, async () => {
+    const unauthorized = await request('PATCH', '/api/config/retrieval', { ...patch, headers: { authorization: 'Bearer nope' } });
+    assert.equal(unauthorized.status, 401);
+    assert.notEqual((await request('GET', '/api/config')).body.retrieval.final_k, 7);
+    assert.equal(sql.versions.length, 0);
+
+    const saved = await request('PATCH', '/api/config/retrieval', { ...patch, headers: { authorization: 'Bearer config-token' } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.retrieval.final_k, 7);
+    assert.equal(sql.versions.length, 1);
+  });
+});
+
+test('editing main_rag_chat through the prompts route changes the RAG system prompt', async () => {
+  const model = await stubModel();
+  const chat = { message: 'flight log', corpus_id: 'epstein-files-1', include_vector: false, agentic: false };
+  const answerInstructions = async () => {
+    const res = await request('POST', '/api/chat', { body: chat });
+    assert.equal(res.status, 200);
+    return model.instructions.at(-1);
+  };
+  try {
+    await withEnv({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: model.baseUrl, RAGWELD_CONFIG_WRITE_TOKEN: 'config-token' }, async () => {
+      const before = await answerInstructions();
+      assert.match(before, /<rag_context>/);
+      assert.ok(!before.includes('Answer like a ship captain.'));
+
+      const put = await request('PUT', '/api/prompts/main_rag_chat?corpus_id=epstein-files-1', {
+        body: { value: 'Answer like a ship captain.' },
+        headers: { authorization: 'Bearer config-token' },
+      });
+      assert.equal(put.status, 200);
+
+      const after = await answerInstructions();
+      assert.ok(after.startsWith('Answer like a ship captain.\n\n'), after);
+      assert.match(after, /<rag_context>/);
+    });
+  } finally {
+    await model.close();
+  }
+});
+
+test('keyword-only searches page in SQL and report the exact match count', async () => {
+  const res = await request('POST', '/api/search', { body: { query: 'flight log', include_vector: false, top_k: 5 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.debug.paging, 'keyset');
+  assert.deepEqual(
+    res.body.matches.map((m) => m.chunk_id),
+    ['c1'],
+  );
+  assert.equal(res.body.total_matches, 1);
+  assert.equal(res.body.total_matches_estimate, false);
+  assert.equal(res.body.next_cursor, null);
+});
+
+test('search results carry a snippet instead of the whole chunk unless include_content is set', async () => {
+  const search = (extra) => request('POST', '/api/search', { body: { query: 'flight log', include_vector: false, ...extra } });
+
+  const whole = await search({});
+  assert.equal(whole.body.matches[0].content, 'The 1997 flight log.');
+
+  const [trimmed] = (await search({ snippet_chars: 40 })).body.matches;
+  assert.deepEqual(Object.keys(trimmed).filter((key) => key.startsWith('content')), ['content_length']);
+  assert.equal(trimmed.content_length, 'The 1997 flight log.'.length);
+  assert.equal(trimmed.snippet.text, 'The 1997 flight log.');
+
+  const [kept] = (await search({ snippet_chars: 40, include_content: 'true' })).body.matches;
+  assert.equal(kept.content, 'The 1997 flight log.');
+  assert.ok(kept.snippet);
+});
+
+test('chats without an owner key answer but say their turn was not stored', async () => {
+  const model = await stubModel();
+  const chat = (headers) => request('POST', '/api/chat', { body: { message: 'flight log', agentic: false }, headers });
+  try {
+    await withEnv({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: model.baseUrl }, async () => {
+      const anonymous = await chat({});
+      assert.equal(anonymous.status, 200);
+      assert.equal(anonymous.body.conversation_saved, false);
+      assert.match(anonymous.body.conversation_error, /X-Ragweld-Owner/);
+
+      const owned = await chat({ 'x-ragweld-owner': 'k'.repeat(32) });
+      assert.equal(owned.body.conversation_saved, true);
+      assert.equal(owned.body.conversation_error, null);
+    });
+  } finally {
+    await model.close();
+  }
+});
+
+test('config imports only dry-run for true-like dry_run values', async () => {
+  const headers = { authorization: 'Bearer config-token' };
+  const importConfig = (dryRun) =>
+    request('POST', '/api/config/import', { body: { config: { retrieval: { final_k: 9 } }, dry_run: dryRun }, headers });
+  await withEnv({ RAGWELD_CONFIG_WRITE_TOKEN: 'config-token' }, async () => {
+    const before = sql.versions.length;
+    for (const dryRun of [true, 'true', '1']) {
+      const res = await importConfig(dryRun);
+      assert.equal(res.body.dry_run, true);
+    }
+    assert.equal(sql.versions.length, before);
+
+    const res = await importConfig('false');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, false);
+    assert.equal(sql.versions.length, before + 1);
+  });
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { ArchiveError, extractArchive } from '../netlify/lib/archive.js';
+
+// Minimal writers for fixtures; CRCs are left zero since the reader does not check them.
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { path, content, method = 8 } of files) {
+    const name = Buffer.from(path);
+    const raw = Buffer.from(content);
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+function tarHeader(path, size, type = '0') {
+  const header = Buffer.alloc(512);
+  header.write(path.slice(0, 100), 0);
+  header.write(size.toString(8).padStart(11, '0'), 124);
+  header.write(type, 156);
+  header.write('ustar', 257);
+  return header;
+}
+
+function tar(files) {
+  const blocks = [];
+  for (const { path, content, type = '0' } of files) {
+    const data = Buffer.from(content);
+    if (path.length > 100) {
+      const longName = Buffer.from(`${path}\0`);
+      blocks.push(tarHeader('././@LongLink', longName.length, 'L'), longName, Buffer.alloc((512 - (longName.length % 512)) % 512));
+    }
+    blocks.push(tarHeader(path, data.length, type), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+function read(entries) {
+  return entries.map((e) => [e.path, e.size, e.read().toString()]);
+}
+
+test('zip entries are listed with sizes and inflate on read', () => {
+  const buf = zip([
+    { path: 'docs/', content: '' },
+    { path: 'docs/a.md', content: '# A\nhello' },
+    { path: 'b.txt', content: 'stored', method: 0 },
+  ]);
+  assert.deepEqual(read(extractArchive(buf)), [
+    ['docs/a.md', 9, '# A\nhello'],
+    ['b.txt', 6, 'stored'],
+  ]);
+});
+
+test('tar and tar.gz archives skip directories and follow GNU long names', () => {
+  const long = `${'d/'.repeat(60)}deep.txt`;
+  const buf = tar([
+    { path: 'dir/', content: '', type: '5' },
+    { path: 'dir/one.txt', content: 'one' },
+    { path: long, content: 'deep' },
+  ]);
+  const expected = [
+    ['dir/one.txt', 3, 'one'],
+    [long, 4, 'deep'],
+  ];
+  assert.deepEqual(read(extractArchive(buf)), expected);
+  assert.deepEqual(read(extractArchive(zlib.gzipSync(buf), { name: 'x.tgz' })), expected);
+});
+
+test('a gzipped single file keeps its name minus .gz', () => {
+  assert.deepEqual(read(extractArchive(zlib.gzipSync('plain text'), { name: 'notes.txt.gz' })), [['notes.txt', 10, 'plain text']]);
+});
+
+test('unknown formats and archives past the size cap are rejected', () => {
+  assert.throws(() => extractArchive(Buffer.from('not an archive')), ArchiveError);
+  assert.throws(() => extractArchive(Buffer.alloc(0)), /archive is empty/);
+  assert.throws(
+    () => extractArchive(zlib.gzipSync(Buffer.alloc(4096)), { maxTotalBytes: 1024 }),
+    /archive expands past 1024 bytes/,
+  );
+  assert.throws(
+    () => extractArchive(zip([{ path: 'big.txt', content: 'x'.repeat(4096) }]), { maxTotalBytes: 1024 }),
+    /archive expands past 1024 bytes/,
+  );
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BM25_SCORED_CHUNKS_SQL, advanceBm25Index, bm25OptionsFromConfig } from '../netlify/lib/bm25.js';
+
+test('bm25 options read k1/b from sparse_search and the text-search config from indexing', () => {
+  const options = bm25OptionsFromConfig({
+    sparse_search: { bm25_k1: 2, bm25_b: 0.9 },
+    indexing: { bm25_tokenizer: 'stemmer', bm25_stemmer_lang: 'German' },
+  });
+  assert.deepEqual(options, { k1: 2, b: 0.9, tsConfig: 'german' });
+});
+
+test('non-stemming tokenizers use the simple config and b is clamped to [0, 1]', () => {
+  const options = bm25OptionsFromConfig({ sparse_search: { bm25_b: 3 }, indexing: { bm25_tokenizer: 'whitespace' } });
+  assert.equal(options.tsConfig, 'simple');
+  assert.equal(options.b, 1);
+  assert.equal(options.k1, 1.2);
+});
+
+test('unsafe stemmer names never reach the regconfig cast', () => {
+  assert.equal(bm25OptionsFromConfig({ indexing: { bm25_stemmer_lang: "english'); DROP TABLE chunks;--" } }).tsConfig, 'english');
+});
+
+test('the scoring query expands prefix patterns and uses the k1/b parameters', () => {
+  assert.match(BM25_SCORED_CHUNKS_SQL, /array_to_tsvector\(ARRAY\[s\.term\]\) @@ to_tsquery\(\$3::regconfig, p\.pattern\)/);
+  assert.match(BM25_SCORED_CHUNKS_SQL, /\$4::float8/);
+  assert.match(BM25_SCORED_CHUNKS_SQL, /\$5::float8 \* l\.doc_len \/ st\.avgdl/);
+});
+
+function fakePool({ remaining = 0, failBackfill = false } = {}) {
+  const log = [];
+  const client = {
+    async query(text, params = []) {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      log.push(sql.split(' ').slice(0, 2).join(' '));
+      if (sql.startsWith('SELECT bm25_index_chunk')) {
+        if (failBackfill) throw new Error('backfill failed');
+        const batch = Math.min(remaining, params[2]);
+        remaining -= batch;
+        return { rows: Array.from({ length: batch }, () => ({})) };
+      }
+      return { rows: [] };
+    },
+    release() {
+      log.push('release');
+    },
+  };
+  return { log, pool: { connect: async () => client } };
+}
+
+test('a backfill step indexes one bounded batch in its own short transaction', async () => {
+  const { log, pool } = fakePool({ remaining: 5 });
+  assert.equal(await advanceBm25Index(pool, 'c', 'english', { batchSize: 2 }), false);
+  assert.deepEqual(log, ['BEGIN', 'LOCK TABLE', 'INSERT INTO', 'SELECT bm25_index_chunk(c.chunk_id,', 'COMMIT', 'release']);
+});
+
+test('the step that comes up short marks the pair ready and a failed step rolls back', async () => {
+  const { log, pool } = fakePool({ remaining: 3 });
+  assert.equal(await advanceBm25Index(pool, 'c', 'english', { batchSize: 2 }), false);
+  assert.ok(!log.includes('UPDATE bm25_doc_stats'));
+  assert.equal(await advanceBm25Index(pool, 'c', 'english', { batchSize: 2 }), true);
+  assert.ok(log.includes('UPDATE bm25_doc_stats'));
+
+  const failing = fakePool({ remaining: 3, failBackfill: true });
+  await assert.rejects(advanceBm25Index(failing.pool, 'c', 'english'), /backfill failed/);
+  assert.deepEqual(failing.log.slice(-2), ['ROLLBACK', 'release']);
+});
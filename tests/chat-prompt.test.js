@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { composeSystemPrompt } from '../netlify/lib/chat-prompt.js';
+
+const full = {
+  system_prompt_base: 'BASE',
+  system_prompt_rag_suffix: 'RAG SUFFIX',
+  system_prompt_recall_suffix: 'RECALL SUFFIX',
+  system_prompt_direct: 'DIRECT',
+  system_prompt_rag: 'RAG',
+  system_prompt_recall: 'RECALL',
+  system_prompt_rag_and_recall: 'RAG AND RECALL',
+  main_rag_chat: 'MAIN RAG CHAT',
+};
+
+function compose(prompts, mode) {
+  return composeSystemPrompt((key) => prompts[key], mode);
+}
+
+test('each mode uses its own state prompt and nothing else', () => {
+  for (const [mode, text] of [
+    ['direct', 'DIRECT'],
+    ['rag', 'RAG'],
+    ['recall', 'RECALL'],
+    ['rag_and_recall', 'RAG AND RECALL'],
+  ]) {
+    const { text: composed, debug } = compose(full, mode);
+    assert.equal(composed, text, mode);
+    assert.equal(debug.fallback, false);
+    assert.deepEqual(
+      debug.prompts.map((p) => p.key),
+      [`system_prompt_${mode}`],
+    );
+  }
+});
+
+test('a blank state prompt falls back to one base plus the suffixes for the sources that hit', () => {
+  const blank = { ...full, system_prompt_direct: '', system_prompt_rag: ' ', system_prompt_recall: '', system_prompt_rag_and_recall: '' };
+  assert.equal(compose(blank, 'direct').text, 'BASE');
+  assert.equal(compose(blank, 'rag').text, 'MAIN RAG CHAT\n\nRAG SUFFIX');
+  assert.equal(compose(blank, 'recall').text, 'BASE\n\nRECALL SUFFIX');
+  assert.equal(compose(blank, 'rag_and_recall').text, 'MAIN RAG CHAT\n\nRAG SUFFIX\n\nRECALL SUFFIX');
+  assert.equal(compose({ ...blank, main_rag_chat: '' }, 'rag').text, 'BASE\n\nRAG SUFFIX');
+  assert.equal(compose(blank, 'rag').debug.fallback, true);
+});
+
+test('main_rag_chat is never stacked on a state prompt', () => {
+  for (const mode of ['rag', 'rag_and_recall']) {
+    assert.ok(!compose(full, mode).text.includes('MAIN RAG CHAT'), mode);
+  }
+});
+
+test('debug hashes identify each part and the composed text', () => {
+  const { debug } = compose({ system_prompt_base: 'BASE' }, 'recall');
+  assert.equal(debug.mode, 'recall');
+  assert.deepEqual(
+    debug.prompts.map((p) => p.key),
+    ['system_prompt_base'],
+  );
+  assert.match(debug.sha256, /^[0-9a-f]{12}$/);
+  assert.equal(debug.prompts[0].sha256, debug.sha256);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { readSseMessages } from '../netlify/lib/llm-stream.js';
+
+// Runs the stream route end to end against a stub model. The database is a fake that answers every
+// query it gets with no rows, so retrieval comes back empty and the chat answers without context.
+function fakeSql() {
+  const query = async () => ({ rows: [], rowCount: 0 });
+  return { query, connect: async () => ({ query, release() {} }) };
+}
+
+function stubResponsesServer(deltas) {
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ output_text: '' }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const delta of deltas) {
+        res.write(`event: response.output_text.delta\ndata: ${JSON.stringify({ type: 'response.output_text.delta', delta })}\n\n`);
+      }
+      const completed = { type: 'response.completed', response: { model: 'stub-model', usage: { input_tokens: 7, output_tokens: 3 } } };
+      res.end(`event: response.completed\ndata: ${JSON.stringify(completed)}\n\n`);
+    });
+  });
+}
+
+test('streamed chat relays upstream deltas as SSE events', async () => {
+  const server = stubResponsesServer(['Hello', ' from', ' the stub']);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const saved = { OPENAI_API_KEY: process.env.OPENAI_API_KEY, OPENAI_BASE_URL: process.env.OPENAI_BASE_URL };
+  process.env.OPENAI_API_KEY = 'sk-test';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const { createHandler } = await import('../netlify/functions/api.js');
+    const res = await createHandler({ sql: fakeSql() })({
+      httpMethod: 'POST',
+      path: '/.netlify/functions/api-stream/chat/stream',
+      rawUrl: 'http://localhost/api/chat/stream',
+      headers: {},
+      body: JSON.stringify({ message: 'say hello', corpus_id: 'chat-stream-test', include_vector: false, agentic: false }),
+    });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+
+    const events = [];
+    for await (const message of readSseMessages(res.body)) events.push(JSON.parse(message.data));
+    assert.deepEqual(
+      events.map((e) => e.type),
+      ['sources', 'text', 'text', 'text', 'done'],
+    );
+    assert.equal(
+      events
+        .filter((e) => e.type === 'text')
+        .map((e) => e.content)
+        .join(''),
+      'Hello from the stub',
+    );
+    const done = events.at(-1);
+    assert.deepEqual(done.usage, { input_tokens: 7, output_tokens: 3, total_tokens: 10 });
+    assert.equal(done.debug.provider_attempts.at(-1).ok, true);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
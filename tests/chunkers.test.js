@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chunkerOptionsFromConfig, chunkText, resolveChunker } from '../netlify/lib/chunkers.js';
+
+function options(chunking) {
+  return chunkerOptionsFromConfig({ chunking });
+}
+
+test('chunking options come from the chunking config with safe fallbacks', () => {
+  const opts = options({ chunk_size: 100, chunk_overlap: 500, min_chunk_chars: 10, chunking_strategy: 'Markdown' });
+  assert.equal(opts.strategy, 'markdown');
+  assert.equal(opts.chunkSize, 100);
+  assert.equal(opts.chunkOverlap, 99);
+  assert.equal(opts.minChunkChars, 10);
+  assert.equal(options({}).chunkSize, 1000);
+  assert.equal(options({}).overlapTokens, 64);
+});
+
+test('unknown and AST strategies fall back to recursive', () => {
+  assert.equal(resolveChunker('markdown').strategy, 'markdown');
+  assert.equal(resolveChunker('ast').strategy, 'recursive');
+  assert.equal(resolveChunker('toString').strategy, 'recursive');
+});
+
+test('recursive chunking packs paragraphs up to chunk_size and reports line spans', () => {
+  const text = ['alpha one two', 'beta three four', 'gamma five six'].join('\n\n');
+  const chunks = chunkText(text, options({ chunk_size: 32, chunk_overlap: 0, min_chunk_chars: 0 }));
+  assert.deepEqual(chunks, [
+    { content: 'alpha one two\n\nbeta three four', start_line: 1, end_line: 3 },
+    { content: 'gamma five six', start_line: 5, end_line: 5 },
+  ]);
+});
+
+test('recursive chunking overlaps trailing pieces and never exceeds chunk_size', () => {
+  const text = Array.from({ length: 40 }, (_, i) => `w${i}`).join(' ');
+  const chunks = chunkText(text, options({ chunk_size: 30, chunk_overlap: 8, min_chunk_chars: 0 }));
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(chunk.content.length <= 30, chunk.content);
+  for (let i = 1; i < chunks.length; i += 1) {
+    const prevWords = chunks[i - 1].content.split(' ');
+    assert.equal(chunks[i].content.split(' ')[0], prevWords.at(-2));
+  }
+  assert.ok(chunks.at(-1).content.endsWith('w39'));
+});
+
+test('markdown chunking starts a chunk at each heading but not inside code fences', () => {
+  const text = '# One\nintro text\n```\n# not a heading\n```\n## Two\nmore text\n##### Five\ndeep';
+  const chunks = chunkText(text, options({ chunking_strategy: 'markdown', chunk_size: 1000, min_chunk_chars: 0 }));
+  assert.deepEqual(
+    chunks.map((c) => [c.start_line, c.end_line]),
+    [
+      [1, 5],
+      [6, 9],
+    ],
+  );
+  assert.ok(chunks[0].content.includes('# not a heading'));
+});
+
+test('sentence chunking keeps sentences whole when they fit', () => {
+  const text = 'First sentence here. Second one is here! Third? Fourth sentence ends.';
+  const chunks = chunkText(text, options({ chunking_strategy: 'sentence', chunk_size: 45, chunk_overlap: 0, min_chunk_chars: 0 }));
+  assert.deepEqual(
+    chunks.map((c) => c.content),
+    ['First sentence here. Second one is here!', 'Third? Fourth sentence ends.'],
+  );
+});
+
+test('fixed windows step by size minus overlap', () => {
+  const text = 'abcdefghijklmnopqrstuvwxyz';
+  const chunks = chunkText(text, options({ chunking_strategy: 'fixed_chars', chunk_size: 10, chunk_overlap: 2, min_chunk_chars: 0 }));
+  assert.deepEqual(
+    chunks.map((c) => c.content),
+    ['abcdefghij', 'ijklmnopqr', 'qrstuvwxyz'],
+  );
+  const tokens = chunkText(text.repeat(10), options({ chunking_strategy: 'fixed_tokens', target_tokens: 25, overlap_tokens: 0 }));
+  assert.deepEqual(
+    tokens.map((c) => c.content.length),
+    [100, 100, 60],
+  );
+});
+
+test('pieces under min_chunk_chars fold into the previous chunk; short files still yield one', () => {
+  const text = 'a'.repeat(20) + '\n\n' + 'b'.repeat(20) + '\n\nend';
+  const chunks = chunkText(text, options({ chunk_size: 22, chunk_overlap: 0, min_chunk_chars: 5 }));
+  assert.deepEqual(
+    chunks.map((c) => c.content),
+    ['a'.repeat(20), `${'b'.repeat(20)}\n\nend`],
+  );
+  assert.deepEqual(chunkText('tiny', options({ min_chunk_chars: 50 })), [{ content: 'tiny', start_line: 1, end_line: 1 }]);
+  assert.deepEqual(chunkText(' \n\n ', options({})), []);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCitations, splitSentences, verifyCitations } from '../netlify/lib/citations.js';
+
+const chunks = [
+  {
+    chunk_id: 'c1',
+    file_path: 'docs/flights/log-1997.md',
+    start_line: 1,
+    end_line: 10,
+    content: 'Flight log 1997 lists Jeffrey Epstein and Ghislaine Maxwell traveling to Palm Beach.',
+    metadata: { corpus_id: 'epstein-files-1' },
+  },
+  {
+    chunk_id: 'c4',
+    file_path: 'docs/release-notes/v2.md',
+    start_line: 1,
+    end_line: 12,
+    content: 'Release notes for v2.3.1 mention the deposition transcript index.',
+    metadata: { corpus_id: 'epstein-files-1' },
+  },
+];
+
+test('markers expand lists and ranges but ignore markdown links and prose brackets', () => {
+  const parsed = parseCitations('See [1], [1, 2] and [2-4] or [1–2]; not [link](x) or [a].');
+  assert.deepEqual(
+    parsed.map((p) => p.numbers),
+    [[1], [1, 2], [2, 3, 4], [1, 2]],
+  );
+  assert.deepEqual(parseCitations('[1-400]')[0].numbers, [1, 400]);
+});
+
+test('markers after the full stop stay with their sentence and version numbers do not split', () => {
+  const sentences = splitSentences('Release v2.3.1 shipped. [2] Palm Beach is next!\nDone');
+  assert.deepEqual(
+    sentences.map((s) => s.text),
+    ['Release v2.3.1 shipped. [2]', 'Palm Beach is next!', 'Done'],
+  );
+  assert.equal(sentences[1].start, 28);
+});
+
+test('citations map onto the numbered chunks with line ranges and support scores', () => {
+  const answer =
+    'The 1997 flight log lists Maxwell traveling to Palm Beach [1]. The release notes mention a deposition transcript index [2]. Both flight records and notes were reviewed [1][2].';
+  const { citations, invalid, uncited_claims, coverage } = verifyCitations(answer, chunks);
+  assert.deepEqual(
+    citations.map((c) => [c.index, c.chunk_id, c.corpus_id, c.file_path, c.start_line, c.end_line, c.mentions]),
+    [
+      [1, 'c1', 'epstein-files-1', 'docs/flights/log-1997.md', 1, 10, 2],
+      [2, 'c4', 'epstein-files-1', 'docs/release-notes/v2.md', 1, 12, 2],
+    ],
+  );
+  assert.ok(citations.every((c) => c.supported));
+  assert.deepEqual(invalid, []);
+  assert.deepEqual(uncited_claims, []);
+  assert.equal(coverage, 1);
+});
+
+test('out-of-range markers, unsupported citations and uncited claims are flagged', () => {
+  const answer =
+    'Maxwell flew to Palm Beach in 1997 [1]. The pilot bought seventeen parrots in Lisbon [2]. See also [3]. The staff list was never produced in court filings.';
+  const result = verifyCitations(answer, chunks);
+  assert.deepEqual(result.invalid, [{ index: 3, marker: '[3]', position: answer.indexOf('[3]'), reason: 'out_of_range' }]);
+  assert.equal(result.citations.find((c) => c.index === 1).supported, true);
+  const parrots = result.citations.find((c) => c.index === 2);
+  assert.equal(parrots.supported, false);
+  assert.equal(parrots.unsupported_mentions, 1);
+  assert.deepEqual(
+    result.uncited_claims.map((c) => c.text),
+    ['The staff list was never produced in court filings.'],
+  );
+  assert.equal(result.coverage, 0.6667);
+});
+
+test('questions, headings, code and answers without retrieved context are not claims', () => {
+  const answer = '## Summary of the findings here\nWould you like more detail on this?\n```\nconst answer = compute the thing now;\n```';
+  assert.deepEqual(verifyCitations(answer, chunks).uncited_claims, []);
+  const direct = verifyCitations('I could not find anything in the indexed documents about that topic.', []);
+  assert.deepEqual(direct.uncited_claims, []);
+  assert.equal(direct.coverage, 0);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { answerConfidence, grounding, legAgreement, scoreMargin } from '../netlify/lib/confidence.js';
+
+function check(citations, { invalid = 0, coverage = 1 } = {}) {
+  return {
+    citations: citations.map((supported, i) => ({ index: i + 1, supported })),
+    invalid: Array.from({ length: invalid }, (_, i) => ({ index: 90 + i })),
+    uncited_claims: [],
+    coverage,
+  };
+}
+
+test('score margin is the top lead relative to the list spread', () => {
+  assert.equal(scoreMargin([]), 0);
+  assert.equal(scoreMargin([0.02]), 1);
+  assert.equal(scoreMargin([0.5, 0.5, 0.5]), 0);
+  assert.equal(scoreMargin([0.9, 0.5, 0.1]), 0.5);
+  assert.equal(scoreMargin([0.8, 0.6]), 0.25);
+  // RRF-sized scores read the same as large ones.
+  assert.equal(scoreMargin([0.0164, 0.0161, 0.0158]), scoreMargin([16.4, 16.1, 15.8]));
+});
+
+test('leg agreement averages how many active legs found each top result', () => {
+  const tops = [{ vector: {}, sparse: {} }, { sparse: {} }, { vector: {} }, { vector: {}, sparse: {} }];
+  assert.equal(legAgreement(tops, ['vector', 'sparse']), 0.6667);
+  assert.equal(legAgreement(tops, ['sparse']), null);
+  assert.equal(legAgreement([], ['vector', 'sparse']), null);
+});
+
+test('grounding rewards supported citations and penalizes invalid markers', () => {
+  assert.equal(grounding(null), null);
+  assert.equal(grounding(check([])), 0);
+  assert.equal(grounding(check([true, true])), 1);
+  assert.equal(grounding(check([true, false])), 0.5);
+  assert.equal(grounding(check([true], { invalid: 1 })), 0.5);
+});
+
+test('confidence combines the components with their weights', () => {
+  const result = answerConfidence({
+    scores: [0.9, 0.5, 0.1],
+    topLegs: [{ vector: {}, sparse: {} }, { vector: {}, sparse: {} }, { vector: {}, sparse: {} }],
+    activeLegs: ['vector', 'sparse'],
+    citationCheck: check([true], { coverage: 1 }),
+  });
+  assert.deepEqual(result.components, { score_margin: 0.5, leg_agreement: 1, citation_coverage: 1, grounding: 1 });
+  assert.equal(result.score, 0.9);
+});
+
+test('components that do not apply are left out of the weighting', () => {
+  const result = answerConfidence({ scores: [0.4], activeLegs: ['sparse'], topLegs: [{ sparse: {} }] });
+  assert.deepEqual(result.components, { score_margin: 1, leg_agreement: null, citation_coverage: null, grounding: null });
+  assert.equal(result.score, 1);
+
+  const uncited = answerConfidence({ scores: [0.4], citationCheck: check([], { coverage: 0 }) });
+  assert.equal(uncited.score, 0.25);
+});
+
+test('no retrieved evidence means zero confidence', () => {
+  const result = answerConfidence({ citationCheck: check([], { coverage: 0 }) });
+  assert.equal(result.score, 0);
+  assert.equal(result.components.score_margin, null);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { envConfigOverlay, explainConfig, layerConfig, storedSnapshot } from '../netlify/lib/config-layers.js';
+import { buildConfigSchema } from '../netlify/lib/config-validation.js';
+
+const schema = buildConfigSchema({});
+const envToPath = {
+  FINAL_K: 'retrieval.final_k',
+  FUSION_METHOD: 'fusion.method',
+  FUSION_NORMALIZE_SCORES: 'fusion.normalize_scores',
+  NEO4J_PASSWORD: 'graph_storage.neo4j_password',
+  GEN_MODEL: 'generation.gen_model',
+};
+const base = { retrieval: { final_k: 10, rrf_k_div: 60 }, fusion: { method: 'rrf', normalize_scores: true }, generation: { gen_model: 'gpt' } };
+
+test('env values are typed, validated and credentials are never overlaid', () => {
+  const overlay = envConfigOverlay(
+    { FINAL_K: '20', FUSION_METHOD: 'max', FUSION_NORMALIZE_SCORES: 'false', NEO4J_PASSWORD: 'hunter2', GEN_MODEL: '' },
+    envToPath,
+    schema,
+  );
+  assert.deepEqual(overlay.config, { retrieval: { final_k: 20 }, fusion: { normalize_scores: false } });
+  assert.deepEqual(overlay.keys, { 'retrieval.final_k': 'FINAL_K', 'fusion.normalize_scores': 'FUSION_NORMALIZE_SCORES' });
+  assert.deepEqual(overlay.skipped, [
+    { env: 'FUSION_METHOD', field: 'fusion.method', message: 'must be one of rrf, weighted' },
+    { env: 'NEO4J_PASSWORD', field: 'graph_storage.neo4j_password', message: 'credential; not exposed through config' },
+  ]);
+});
+
+test('layers apply in order and each key records its source', () => {
+  const { config, provenance } = layerConfig({
+    base,
+    env: { retrieval: { final_k: 20 }, generation: { gen_model: 'env-model' } },
+    // A stored snapshot repeating a default does not hide the env value; a real edit beats it.
+    stored: { retrieval: { final_k: 10, rrf_k_div: 30 }, generation: { gen_model: 'stored-model' } },
+    request: { fusion: { method: 'weighted' } },
+  });
+  assert.deepEqual(config, {
+    retrieval: { final_k: 20, rrf_k_div: 30 },
+    fusion: { method: 'weighted', normalize_scores: true },
+    generation: { gen_model: 'stored-model' },
+  });
+  assert.deepEqual(provenance, {
+    'retrieval.final_k': 'env',
+    'retrieval.rrf_k_div': 'stored',
+    'fusion.method': 'request',
+    'fusion.normalize_scores': 'default',
+    'generation.gen_model': 'stored',
+  });
+});
+
+test('saving an edited config does not freeze untouched env values into the snapshot', () => {
+  const env = { retrieval: { final_k: 20 }, fusion: { normalize_scores: false } };
+  const { config, provenance } = layerConfig({ base, env });
+  const edited = structuredClone(config);
+  edited.fusion.normalize_scores = true;
+  edited.fusion.method = 'weighted';
+  assert.deepEqual(storedSnapshot(edited, { base, env, provenance }), {
+    retrieval: { final_k: 10, rrf_k_div: 60 },
+    fusion: { method: 'weighted', normalize_scores: true },
+    generation: { gen_model: 'gpt' },
+  });
+});
+
+test('explain lists every key with its value, source and origin', () => {
+  const { config, provenance } = layerConfig({ base: { a: { x: 1, y: 2 } }, env: { a: { x: 5 } }, stored: { a: { y: 3 } } });
+  assert.deepEqual(explainConfig(config, provenance, { envKeys: { 'a.x': 'A_X' }, versionId: 7 }), {
+    'a.x': { value: 5, source: 'env', env: 'A_X' },
+    'a.y': { value: 3, source: 'stored', version_id: 7 },
+  });
+});
+
+test('connection details and credentials are skipped but token budgets are not', () => {
+  const map = {
+    NEO4J_URI: 'graph_storage.neo4j_uri',
+    NEO4J_USER: 'graph_storage.neo4j_user',
+    SENTRY_DSN: 'tracing.sentry_dsn',
+    POSTGRES_URL: 'indexing.postgres_url',
+    LANGCHAIN_API_KEY: 'tracing.langchain_api_key',
+    GEN_MAX_TOKENS: 'generation.gen_max_tokens',
+  };
+  const env = Object.fromEntries(Object.keys(map).map((key) => [key, key === 'GEN_MAX_TOKENS' ? '512' : 'value']));
+  const overlay = envConfigOverlay(env, map, schema);
+  assert.deepEqual(overlay.keys, { 'generation.gen_max_tokens': 'GEN_MAX_TOKENS' });
+  assert.deepEqual(
+    overlay.skipped.map((s) => s.env),
+    ['NEO4J_URI', 'NEO4J_USER', 'SENTRY_DSN', 'POSTGRES_URL', 'LANGCHAIN_API_KEY'],
+  );
+});
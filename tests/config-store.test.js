@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ConfigConflictError,
+  configAuthor,
+  configWriteAccess,
+  expectedConfigVersion,
+  saveConfigVersion,
+} from '../netlify/lib/config-store.js';
+
+function fakePool(headVersionId) {
+  const log = [];
+  const client = {
+    async query(text, params) {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      log.push(sql.split(' ').slice(0, 2).join(' '));
+      if (sql.startsWith('SELECT MAX(version_id)')) return { rows: [{ version_id: headVersionId }] };
+      if (sql.startsWith('INSERT INTO config_versions')) {
+        const [scope, parent, , diff, author, action, note] = params;
+        return {
+          rows: [{ version_id: 8, scope, parent_version_id: parent, diff: JSON.parse(diff), author, action, note, created_at: new Date(0) }],
+        };
+      }
+      return { rows: [] };
+    },
+    release() {},
+  };
+  return { log, pool: { connect: async () => client } };
+}
+
+test('a save records its leaf diff when its parent is still the latest version', async () => {
+  const { log, pool } = fakePool('7');
+  const version = await saveConfigVersion(pool, {
+    scope: 'global',
+    before: { retrieval: { final_k: 5 } },
+    config: { retrieval: { final_k: 8 } },
+    parentVersionId: 7,
+    author: 'dana',
+    action: 'patch',
+  });
+  assert.equal(version.version_id, 8);
+  assert.deepEqual(version.diff, [{ key: 'retrieval.final_k', previous: 5, current: 8 }]);
+  assert.deepEqual(log, ['BEGIN', 'SELECT pg_advisory_xact_lock(hashtext(\'config_versions:\'', 'SELECT MAX(version_id)', 'INSERT INTO', 'COMMIT']);
+});
+
+test('a save against an older parent is rejected and nothing is written', async () => {
+  const { log, pool } = fakePool('9');
+  await assert.rejects(
+    saveConfigVersion(pool, { scope: 'corpus-a', before: {}, config: { a: 1 }, parentVersionId: 7, action: 'patch' }),
+    (e) => e instanceof ConfigConflictError && e.currentVersionId === 9 && e.scope === 'corpus-a',
+  );
+  assert.ok(!log.includes('INSERT INTO'));
+  assert.equal(log.at(-1), 'ROLLBACK');
+  assert.equal(await saveConfigVersion(pool, { scope: 'corpus-a', before: { a: 1 }, config: { a: 1 }, action: 'patch' }), null);
+});
+
+test('config writes are off without a write token and need it as a bearer token otherwise', () => {
+  const env = { RAGWELD_CONFIG_WRITE_TOKEN: 'secret-token' };
+  assert.equal(configWriteAccess({ authorization: 'Bearer secret-token' }, {}), 'disabled');
+  assert.equal(configWriteAccess({ authorization: 'Bearer secret-token' }, env), 'allowed');
+  assert.equal(configWriteAccess({ authorization: 'Bearer wrong' }, env), 'unauthorized');
+  assert.equal(configWriteAccess({}, env), 'unauthorized');
+});
+
+test('the expected version comes from If-Match', () => {
+  assert.equal(expectedConfigVersion({ 'if-match': '12' }), 12);
+  assert.equal(expectedConfigVersion({ 'if-match': 'W/"12"' }), 12);
+  assert.equal(expectedConfigVersion({ 'if-match': '*' }), null);
+  assert.equal(expectedConfigVersion({}), null);
+});
+
+test('the author comes from the request headers', () => {
+  assert.equal(configAuthor({ 'x-ragweld-author': '  dana ' }), 'dana');
+  assert.equal(configAuthor({ 'x-user': 'ops' }), 'ops');
+  assert.equal(configAuthor({}), 'anonymous');
+  assert.equal(configAuthor(undefined), 'anonymous');
+  assert.equal(configAuthor({ 'x-ragweld-author': 'x'.repeat(500) }).length, 120);
+});
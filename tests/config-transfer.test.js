@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildConfigSchema } from '../netlify/lib/config-validation.js';
+import { configToDotenv, dotenvToConfig, loadEnvKeyMap, parseConfigRef, parseDotenv } from '../netlify/lib/config-transfer.js';
+
+const envToPath = {
+  FINAL_K: 'retrieval.final_k',
+  MAX_QUERY_REWRITES: 'retrieval.max_query_rewrites',
+  MQ_REWRITES: 'retrieval.max_query_rewrites',
+  FUSION_NORMALIZE_SCORES: 'fusion.normalize_scores',
+  INDEX_EXCLUDED_EXTS: 'indexing.index_excluded_exts',
+  PROMPT_MAIN_RAG_CHAT: 'system_prompts.main_rag_chat',
+  KG_TYPES: 'graph_indexing.semantic_kg_allowed_entity_types',
+};
+
+test('config refs name a version or a corpus scope', () => {
+  assert.deepEqual(parseConfigRef('version:12'), { kind: 'version', ref: 'version:12', versionId: 12 });
+  assert.deepEqual(parseConfigRef(' corpus-b '), { kind: 'scope', ref: 'corpus-b', scope: 'corpus-b' });
+  assert.equal(parseConfigRef('version:abc').kind, 'scope');
+});
+
+test('dotenv export writes one line per mapped path and quotes what needs it', () => {
+  const text = configToDotenv(
+    {
+      retrieval: { final_k: 8, max_query_rewrites: 3 },
+      fusion: { normalize_scores: false },
+      indexing: { index_excluded_exts: '.png,.jpg' },
+      system_prompts: { main_rag_chat: 'Cite "sources".\nBe brief.' },
+      graph_indexing: { semantic_kg_allowed_entity_types: ['person', 'org'] },
+    },
+    envToPath,
+    ['scope=a'],
+  );
+  assert.equal(
+    text,
+    [
+      '# scope=a',
+      'FINAL_K=8',
+      'MAX_QUERY_REWRITES=3',
+      'FUSION_NORMALIZE_SCORES=false',
+      'INDEX_EXCLUDED_EXTS=.png,.jpg',
+      'PROMPT_MAIN_RAG_CHAT="Cite \\"sources\\".\\nBe brief."',
+      'KG_TYPES="person, org"',
+      '',
+    ].join('\n'),
+  );
+});
+
+test('dotenv parsing handles comments, export prefixes and quoting', () => {
+  assert.deepEqual(parseDotenv('# c\nexport A=1\nB="x y"\nC=\'z\'\nD=plain # note\nnot a line\n'), [
+    { key: 'A', value: '1' },
+    { key: 'B', value: 'x y' },
+    { key: 'C', value: 'z' },
+    { key: 'D', value: 'plain' },
+  ]);
+});
+
+test('dotenv import converts values to schema types and reports unmapped keys', () => {
+  const schema = buildConfigSchema({});
+  const { config, ignored } = dotenvToConfig(
+    'FINAL_K=12\nMQ_REWRITES=1\nFUSION_NORMALIZE_SCORES=0\nKG_TYPES=person, event\nPROMPT_MAIN_RAG_CHAT="a\\nb"\nNOPE=1\n',
+    envToPath,
+    schema,
+  );
+  assert.deepEqual(config, {
+    retrieval: { final_k: 12, max_query_rewrites: 1 },
+    fusion: { normalize_scores: false },
+    graph_indexing: { semantic_kg_allowed_entity_types: ['person', 'event'] },
+    system_prompts: { main_rag_chat: 'a\nb' },
+  });
+  assert.deepEqual(ignored, ['NOPE']);
+  assert.equal(dotenvToConfig('FINAL_K=ten', envToPath, schema).config.retrieval.final_k, 'ten');
+});
+
+test('the committed env key map loads', () => {
+  const { envToPath: map } = loadEnvKeyMap();
+  assert.equal(map.FINAL_K, 'retrieval.final_k');
+});
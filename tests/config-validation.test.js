@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildConfigSchema,
+  ConfigValidationError,
+  validateConfig,
+  validateConfigSection,
+} from '../netlify/lib/config-validation.js';
+
+const schema = buildConfigSchema({
+  fusion: { method: 'rrf', rrf_k: 60 },
+  chat: { agent: { enabled: false, max_iterations: 4 } },
+  extras: { tags: ['a'] },
+});
+
+function errorsOf(fn) {
+  try {
+    fn();
+  } catch (e) {
+    assert.ok(e instanceof ConfigValidationError);
+    return e.errors;
+  }
+  return [];
+}
+
+test('valid partial configs pass, including keys only the defaults know about', () => {
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { fusion: { method: 'weighted', rrf_k: 30 }, extras: { tags: ['b'] } })), []);
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { chat: { agent: { enabled: true, max_iterations: 10 } } })), []);
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { retrieval: { final_k: 20 } })), []);
+});
+
+test('every bad field is reported with its dotted path', () => {
+  const errors = errorsOf(() =>
+    validateConfig(schema, {
+      fusion: { rrfk: 3, method: 'max', rrf_k: '60', vector_weight: 1.5 },
+      retrieval: { final_k: 2.5 },
+      chat: { agent: { max_iterations: 0 } },
+    }),
+  );
+  assert.deepEqual(errors, [
+    { field: 'fusion.rrfk', message: 'unknown key' },
+    { field: 'fusion.method', message: 'must be one of rrf, weighted' },
+    { field: 'fusion.rrf_k', message: 'must be number, got string' },
+    { field: 'fusion.vector_weight', message: 'must be <= 1' },
+    { field: 'retrieval.final_k', message: 'must be an integer' },
+    { field: 'chat.agent.max_iterations', message: 'must be >= 1' },
+  ]);
+});
+
+test('nested lists and nullable fields follow the TriBridConfig types', () => {
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { chat: { local_models: { providers: [{ name: 'a', priority: 'high' }] } } })), [
+    { field: 'chat.local_models.providers[0].priority', message: 'must be number, got string' },
+  ]);
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { graph_indexing: { semantic_kg_allowed_entity_types: ['person', 'robot'] } })), [
+    { field: 'graph_indexing.semantic_kg_allowed_entity_types[1]', message: 'must be one of person, org, location, event, concept' },
+  ]);
+  assert.deepEqual(errorsOf(() => validateConfig(schema, { fusion: { rrf_k: null } })), [{ field: 'fusion.rrf_k', message: 'must be number, got null' }]);
+});
+
+test('section patches are checked against that section and unknown sections are rejected', () => {
+  assert.deepEqual(errorsOf(() => validateConfigSection(schema, 'reranking', { reranker_mode: 'cloud', reranker_cloud_provider: 'cohere' })), []);
+  assert.deepEqual(errorsOf(() => validateConfigSection(schema, 'reranking', { reranker_mode: 'gpu' })), [
+    { field: 'reranking.reranker_mode', message: 'must be one of none, cloud, learning, local, hf, lexical' },
+  ]);
+  assert.deepEqual(errorsOf(() => validateConfigSection(schema, 'reranking', { reranker_mode: 'lexical' })), []);
+  assert.deepEqual(errorsOf(() => validateConfigSection(schema, 'reranking', { reranker_cloud_provider: 'voyage' })), [
+    { field: 'reranking.reranker_cloud_provider', message: 'must be one of cohere' },
+  ]);
+  const err = (() => {
+    try {
+      validateConfigSection(schema, 'fusionn', {});
+    } catch (e) {
+      return e;
+    }
+  })();
+  assert.equal(err.field, 'fusionn');
+  assert.equal(err.message, 'fusionn: unknown config section');
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { conversationOwner, estimateTokens, trimHistory } from '../netlify/lib/conversations.js';
+
+function msg(role, chars) {
+  return { role, content: 'x'.repeat(chars) };
+}
+
+test('estimateTokens rounds characters up to quarter-tokens', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcde'), 2);
+  assert.equal(estimateTokens(null), 0);
+});
+
+test('trimHistory keeps the newest messages that fit the budget, oldest first', () => {
+  const history = [msg('user', 40), msg('assistant', 40), msg('user', 40), msg('assistant', 40)];
+  const { messages, tokens, dropped } = trimHistory(history, 25);
+  assert.deepEqual(messages, history.slice(2));
+  assert.equal(tokens, 20);
+  assert.equal(dropped, 2);
+});
+
+test('trimHistory never opens on an orphaned assistant reply', () => {
+  const history = [msg('user', 400), msg('assistant', 40), msg('user', 40), msg('assistant', 40)];
+  const { messages, tokens } = trimHistory(history, 35);
+  assert.deepEqual(messages, history.slice(2));
+  assert.equal(tokens, 20);
+});
+
+test('a zero budget disables history', () => {
+  assert.deepEqual(trimHistory([msg('user', 4)], 0), { messages: [], tokens: 0, dropped: 1 });
+});
+
+test('owner keys are hashed and must be long enough to be unguessable', () => {
+  const key = 'k'.repeat(32);
+  const owner = conversationOwner({ 'x-ragweld-owner': ` ${key} ` });
+  assert.match(owner, /^[0-9a-f]{64}$/);
+  assert.equal(conversationOwner({ 'x-ragweld-owner': key }), owner);
+  assert.notEqual(conversationOwner({ 'x-ragweld-owner': 'j'.repeat(32) }), owner);
+  assert.equal(conversationOwner({ 'x-ragweld-owner': 'short' }), null);
+  assert.equal(conversationOwner({}), null);
+  assert.equal(conversationOwner(undefined), null);
+});
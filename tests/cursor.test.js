@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CursorError, cursorFingerprint, decodeCursor, encodeCursor, pageAfterCursor } from '../netlify/lib/cursor.js';
+
+const fingerprint = cursorFingerprint(['search', 'corpus', 'flight logs']);
+
+function match(chunkId, score, postRank) {
+  return { chunk_id: chunkId, score, metadata: postRank ? { rerank: { post_rank: postRank } } : {} };
+}
+
+test('cursors round-trip and are bound to the query fingerprint', () => {
+  const raw = encodeCursor({ score: 0.1234567, chunkId: 'c9', fingerprint });
+  assert.deepEqual(decodeCursor(raw, fingerprint), { score: 0.1234567, chunkId: 'c9', rank: null });
+  assert.throws(() => decodeCursor(raw, cursorFingerprint(['search', 'corpus', 'other'])), CursorError);
+  assert.throws(() => decodeCursor('not-a-cursor', fingerprint), CursorError);
+  assert.equal(decodeCursor('', fingerprint), null);
+});
+
+test('keyset paging resumes after the last score and breaks ties by chunk_id', () => {
+  const pool = [match('a', 0.9), match('b', 0.5), match('c', 0.5), match('d', 0.1)];
+  const first = pageAfterCursor(pool, null, 2);
+  assert.deepEqual(first.page.map((m) => m.chunk_id), ['a', 'b']);
+  assert.equal(first.hasMore, true);
+
+  const cursor = decodeCursor(encodeCursor({ score: 0.5, chunkId: 'b', fingerprint }), fingerprint);
+  const second = pageAfterCursor(pool, cursor, 2);
+  assert.deepEqual(second.page.map((m) => m.chunk_id), ['c', 'd']);
+  assert.equal(second.hasMore, false);
+});
+
+test('reranked pools page by post-rerank rank instead of score', () => {
+  const pool = [match('x', 0.1, 1), match('y', 0.9, 2), match('z', 0.5, 3)];
+  const cursor = decodeCursor(encodeCursor({ score: 0.1, chunkId: 'x', rank: 1, fingerprint }), fingerprint);
+  assert.deepEqual(pageAfterCursor(pool, cursor, 5).page.map((m) => m.chunk_id), ['y', 'z']);
+});
@@ -7,7 +7,9 @@ import {
   DEFAULT_DEMO_EVAL_DATASET_ID,
   DEMO_EVAL_ANALYSIS_MODEL,
   DEMO_EVAL_ANALYSIS_PROMPT,
+  diffConfigs,
   filterDatasetEntriesForEval,
+  flattenConfigSnapshot,
   getSeededEvalDatasetEntries,
   getSeededEvalRuns,
   hasDemoEvalSeedDrift,
@@ -119,3 +121,16 @@ test('ann confounder evidence stays cautious and keeps the required model settin
   });
   assert.match(DEMO_EVAL_ANALYSIS_PROMPT, /^Be rigorous:/);
 });
+
+test('config diffs accept nested configs and flattened snapshots alike', () => {
+  const baseline = { retrieval: { final_k: 5, rrf_k: 60 }, chat: { default_corpus_ids: ['a', 'b'] } };
+  const current = { retrieval: { final_k: 8, rrf_k: 60 }, chat: { default_corpus_ids: ['b'] }, ui: { theme: 'dark' } };
+  const expected = [
+    { key: 'chat.default_corpus_ids', previous: ['a', 'b'], current: ['b'] },
+    { key: 'retrieval.final_k', previous: 5, current: 8 },
+    { key: 'ui.theme', previous: null, current: 'dark' },
+  ];
+  assert.deepEqual(diffConfigs(current, baseline), expected);
+  assert.deepEqual(diffConfigs(flattenConfigSnapshot(current), flattenConfigSnapshot(baseline)), expected);
+  assert.equal(diffConfigs(current, null).length, 4);
+});
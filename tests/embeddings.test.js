@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createHashingEmbedder,
+  DETERMINISTIC_EMBEDDING_MODEL,
+  resolveEmbedder,
+  toVectorLiteral,
+} from '../netlify/lib/embeddings.js';
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let index = 0; index < a.length; index += 1) dot += a[index] * b[index];
+  return dot;
+}
+
+test('hashing embedder is deterministic and unit-normalized', async () => {
+  const embedder = createHashingEmbedder({ dim: 128 });
+  const [first] = await embedder.embed(['flight logs from the island']);
+  const [second] = await createHashingEmbedder({ dim: 128 }).embed(['flight logs from the island']);
+  assert.equal(first.length, 128);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+});
+
+test('hashing embedder ranks overlapping text above unrelated text', async () => {
+  const embedder = createHashingEmbedder({ dim: 256 });
+  const [query, related, unrelated] = await embedder.embed([
+    'deposition transcript witness list',
+    'the witness list attached to the deposition transcript',
+    'quarterly revenue spreadsheet totals',
+  ]);
+  assert.ok(cosine(query, related) > cosine(query, unrelated));
+});
+
+test('resolveEmbedder picks the deterministic backend without any API key', () => {
+  const { embedder, error } = resolveEmbedder(
+    { embedding: { embedding_backend: 'deterministic', embedding_dim: 64 } },
+    {},
+  );
+  assert.equal(error, null);
+  assert.equal(embedder.model, DETERMINISTIC_EMBEDDING_MODEL);
+  assert.equal(embedder.dim, 64);
+});
+
+test('resolveEmbedder reports a missing provider key instead of throwing', () => {
+  const { embedder, error } = resolveEmbedder({ embedding: { embedding_backend: 'provider', embedding_type: 'openai' } }, {});
+  assert.equal(embedder, null);
+  assert.match(error, /OPENAI_API_KEY/);
+
+  const unknown = resolveEmbedder({ embedding: { embedding_type: 'voyage' } }, {});
+  assert.equal(unknown.embedder, null);
+  assert.match(unknown.error, /voyage/);
+});
+
+test('toVectorLiteral emits a pgvector literal and zeroes non-finite values', () => {
+  assert.equal(toVectorLiteral([0.5, -1, Number.NaN]), '[0.5,-1,0]');
+});
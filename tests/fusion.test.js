@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fuseLegResults, fuseQueryVariants, fusionOptionsFromConfig } from '../netlify/lib/fusion.js';
+
+function match(chunkId, score, source) {
+  return { chunk_id: chunkId, score, source, file_path: `${chunkId}.md`, content: chunkId };
+}
+
+test('fusion options follow the corpus config and fall back to retrieval.rrf_k_div', () => {
+  const rrf = fusionOptionsFromConfig({ fusion: { method: 'rrf' }, retrieval: { rrf_k_div: 30 } });
+  assert.equal(rrf.method, 'rrf');
+  assert.equal(rrf.rrfK, 30);
+
+  const weighted = fusionOptionsFromConfig({
+    fusion: { method: 'weighted', vector_weight: 0.5, sparse_weight: 0.5, graph_weight: 0, normalize_scores: false },
+  });
+  assert.equal(weighted.method, 'weighted');
+  assert.deepEqual(weighted.weights, { vector: 0.5, sparse: 0.5, graph: 0 });
+  assert.equal(weighted.normalizeScores, false);
+});
+
+test('rrf rewards chunks that several legs agree on', () => {
+  const fused = fuseLegResults(
+    {
+      vector: [match('a', 0.9, 'vector'), match('b', 0.8, 'vector')],
+      sparse: [match('b', 4.2, 'sparse'), match('c', 3.1, 'sparse')],
+    },
+    fusionOptionsFromConfig({ fusion: { method: 'rrf', rrf_k: 60 } }),
+  );
+  assert.deepEqual(fused.map((f) => f.match.chunk_id), ['b', 'a', 'c']);
+  assert.deepEqual(Object.keys(fused[0].legs).sort(), ['sparse', 'vector']);
+  assert.equal(fused[0].legs.sparse.rank, 1);
+  assert.equal(fused[0].legs.vector.rank, 2);
+  assert.ok(Math.abs(fused[0].match.score - (1 / 61 + 1 / 62)) < 1e-6);
+});
+
+test('weighted fusion normalizes each leg and re-weights across legs that ran', () => {
+  const options = fusionOptionsFromConfig({
+    fusion: { method: 'weighted', vector_weight: 0.4, sparse_weight: 0.3, graph_weight: 0.3, normalize_scores: true },
+  });
+  const fused = fuseLegResults(
+    {
+      vector: [match('a', 0.9, 'vector'), match('b', 0.5, 'vector')],
+      sparse: [match('b', 10, 'sparse'), match('c', 2, 'sparse')],
+    },
+    options,
+  );
+  const byId = Object.fromEntries(fused.map((f) => [f.match.chunk_id, f]));
+  assert.ok(Math.abs(byId.a.match.score - 4 / 7) < 1e-6);
+  assert.ok(Math.abs(byId.b.match.score - 3 / 7) < 1e-6);
+  assert.equal(byId.c.match.score, 0);
+  assert.equal(byId.a.match.source, 'vector');
+  assert.equal(byId.b.match.source, 'sparse');
+});
+
+test('duplicate chunks inside one leg keep their best rank', () => {
+  const fused = fuseLegResults(
+    { graph: [match('a', 1, 'graph'), match('a', 0.5, 'graph'), match('b', 0.4, 'graph')] },
+    fusionOptionsFromConfig({ fusion: { method: 'rrf', rrf_k: 1 } }),
+  );
+  assert.equal(fused.length, 2);
+  assert.equal(fused[0].legs.graph.rank, 1);
+  assert.equal(fused[1].legs.graph.rank, 2);
+});
+
+test('fused matches keep metadata contributed by every leg', () => {
+  const fused = fuseLegResults(
+    {
+      vector: [{ ...match('a', 0.9, 'vector'), metadata: { corpus_id: 'c1', embedding_model: 'm' } }],
+      graph: [{ ...match('a', 0.7, 'graph'), metadata: { corpus_id: 'c1', entity_path: [{ entity_id: 'e1', name: 'E' }] } }],
+    },
+    fusionOptionsFromConfig({ fusion: { method: 'rrf' } }),
+  );
+  assert.equal(fused.length, 1);
+  assert.equal(fused[0].match.metadata.embedding_model, 'm');
+  assert.deepEqual(fused[0].match.metadata.entity_path, [{ entity_id: 'e1', name: 'E' }]);
+});
+
+test('query variants are combined by rank so chunks found by several rewrites rise', () => {
+  const entry = (id, score) => ({ match: match(id, score, 'sparse'), legs: { sparse: { rank: 1, score, contribution: score } } });
+  const fused = fuseQueryVariants(
+    [
+      [entry('a', 0.5), entry('b', 0.4)],
+      [entry('b', 0.3), entry('c', 0.2)],
+    ],
+    60,
+  );
+  assert.deepEqual(fused.map((f) => f.match.chunk_id), ['b', 'a', 'c']);
+  assert.deepEqual(fused[0].variants, [
+    { variant: 0, rank: 2 },
+    { variant: 1, rank: 1 },
+  ]);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GenerationSettingsError,
+  parseGenerationOverrides,
+  resolveGenerationSettings,
+  supportsSamplingParams,
+} from '../netlify/lib/generation-settings.js';
+
+const defaults = {
+  chat: { temperature: 0.3, temperature_no_retrieval: 0.7, max_tokens: 4096 },
+  generation: { gen_temperature: 0, gen_top_p: 1, gen_max_tokens: 2048 },
+};
+
+test('request overrides accept numbers and numeric strings and skip blanks', () => {
+  assert.deepEqual(parseGenerationOverrides({ temperature: 0.5, top_p: '0.9', max_tokens: null }), { temperature: 0.5, top_p: 0.9 });
+  assert.deepEqual(parseGenerationOverrides({ temperature: '' }), {});
+  assert.throws(
+    () => parseGenerationOverrides({ max_tokens: 'lots' }),
+    (e) => e instanceof GenerationSettingsError && e.field === 'max_tokens',
+  );
+  assert.throws(() => parseGenerationOverrides({ temperature: true }), GenerationSettingsError);
+});
+
+test('defaults resolve per retrieval mode and report their source', () => {
+  const withContext = resolveGenerationSettings({ cfg: defaults, defaults, hasContext: true });
+  assert.deepEqual(withContext.settings, { temperature: 0.3, top_p: 1, max_tokens: 4096 });
+  assert.deepEqual(withContext.sources, { temperature: 'default', top_p: 'default', max_tokens: 'default' });
+
+  const direct = resolveGenerationSettings({ cfg: defaults, defaults, hasContext: false });
+  assert.equal(direct.settings.temperature, 0.7);
+});
+
+test('corpus config beats defaults and request overrides beat both', () => {
+  const cfg = { ...defaults, chat: { ...defaults.chat, max_tokens: 1024 } };
+  const resolved = resolveGenerationSettings({ overrides: { temperature: 1.1 }, cfg, defaults });
+  assert.deepEqual(resolved.settings, { temperature: 1.1, top_p: 1, max_tokens: 1024 });
+  assert.deepEqual(resolved.sources, { temperature: 'request', top_p: 'default', max_tokens: 'config' });
+});
+
+test('config provenance names the layer a value came from', () => {
+  const cfg = { ...defaults, chat: { ...defaults.chat, max_tokens: 1024 }, generation: { ...defaults.generation, gen_top_p: 0.8 } };
+  const provenance = { 'chat.temperature': 'default', 'chat.max_tokens': 'env', 'generation.gen_top_p': 'stored' };
+  const resolved = resolveGenerationSettings({ cfg, defaults, provenance });
+  assert.deepEqual(resolved.sources, { temperature: 'default', top_p: 'stored', max_tokens: 'env' });
+});
+
+test('missing chat values fall back to the generation block', () => {
+  const cfg = { chat: {}, generation: defaults.generation };
+  const resolved = resolveGenerationSettings({ cfg, defaults });
+  assert.deepEqual(resolved.settings, { temperature: 0, top_p: 1, max_tokens: 2048 });
+});
+
+test('out-of-range values are clamped and listed', () => {
+  const cfg = { ...defaults, generation: { ...defaults.generation, gen_top_p: 3 } };
+  const resolved = resolveGenerationSettings({ overrides: { temperature: -1, max_tokens: 99.7 }, cfg, defaults });
+  assert.deepEqual(resolved.settings, { temperature: 0, top_p: 1, max_tokens: 99 });
+  assert.deepEqual(resolved.clamped, [
+    { setting: 'temperature', requested: -1, applied: 0 },
+    { setting: 'top_p', requested: 3, applied: 1 },
+    { setting: 'max_tokens', requested: 99.7, applied: 99 },
+  ]);
+});
+
+test('reasoning models do not take sampling parameters', () => {
+  assert.equal(supportsSamplingParams('gpt-5.3-codex'), false);
+  assert.equal(supportsSamplingParams('o3-mini'), false);
+  assert.equal(supportsSamplingParams('gpt-4o'), true);
+  assert.equal(supportsSamplingParams('openai/gpt-4.1-mini'), true);
+});
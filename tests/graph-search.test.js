@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractGraphQueryTerms, scoreGraphSeed, walkGraph } from '../netlify/lib/graph-search.js';
+
+// Adjacency list stand-in for the graph_edges query: edges are undirected and come back in
+// frontier order, skipping anything already visited.
+function neighborsOf(adjacency, calls = []) {
+  return async (frontier, visited, limit) => {
+    calls.push({ frontier, limit });
+    const seen = new Set(visited);
+    const edges = [];
+    for (const from of frontier) {
+      for (const to of adjacency[from] || []) {
+        if (seen.has(to) || edges.some((e) => e.to === to)) continue;
+        edges.push({ from, to });
+      }
+    }
+    return edges.slice(0, limit);
+  };
+}
+
+test('query terms drop stopwords and short tokens and keep up to trigrams', () => {
+  const terms = extractGraphQueryTerms('Who flew with Ghislaine_Maxwell to Palm-Beach?');
+  assert.deepEqual(terms.tokens, ['flew', 'ghislaine', 'maxwell', 'palm', 'beach']);
+  assert.ok(terms.ngrams.includes('ghislaine maxwell'));
+  assert.ok(terms.ngrams.includes('maxwell palm beach'));
+  assert.ok(!terms.ngrams.includes('flew ghislaine maxwell palm'));
+});
+
+test('seed scores favour exact names over partial and substring matches', () => {
+  const terms = extractGraphQueryTerms('ghislaine maxwell flights');
+  assert.equal(scoreGraphSeed('Ghislaine Maxwell', terms), 1);
+  assert.equal(scoreGraphSeed('Maxwell Family Trust', terms), 0.8 / 3);
+  assert.equal(scoreGraphSeed('Maxwellton', terms), 0.3);
+});
+
+test('the walk visits each entity once along its shortest path', async () => {
+  const adjacency = { a: ['b', 'c'], b: ['a', 'c', 'd'], c: ['a', 'b', 'd'], d: ['b', 'c', 'e'], e: ['d'] };
+  const walk = await walkGraph(['a'], neighborsOf(adjacency), { maxHops: 5 });
+  assert.deepEqual(
+    walk.map((w) => [w.entity_id, w.depth, w.path.join('>')]),
+    [
+      ['a', 0, 'a'],
+      ['b', 1, 'a>b'],
+      ['c', 1, 'a>c'],
+      ['d', 2, 'a>b>d'],
+      ['e', 3, 'a>b>d>e'],
+    ],
+  );
+});
+
+test('hops and new entities per hop are capped on dense graphs', async () => {
+  const hub = Array.from({ length: 50 }, (_, i) => `n${i}`);
+  const adjacency = { hub, ...Object.fromEntries(hub.map((id) => [id, ['hub', ...hub.filter((other) => other !== id)]])) };
+  const calls = [];
+  const walk = await walkGraph(['hub'], neighborsOf(adjacency, calls), { maxHops: 3, perHopLimit: 10 });
+  assert.equal(walk.length, 1 + 10 + 10 + 10);
+  assert.equal(calls.length, 3);
+  assert.ok(calls.every((call) => call.limit === 10 && call.frontier.length <= 10));
+  assert.equal(Math.max(...walk.map((w) => w.depth)), 3);
+
+  const shallow = await walkGraph(['hub'], neighborsOf(adjacency), { maxHops: 0 });
+  assert.deepEqual(shallow, [{ entity_id: 'hub', path: ['hub'], depth: 0 }]);
+});
+
+test('edges from seeds listed first win, so paths start at the better seed', async () => {
+  const adjacency = { best: ['shared'], other: ['shared'], shared: ['best', 'other'] };
+  const walk = await walkGraph(['best', 'other'], neighborsOf(adjacency), { maxHops: 1 });
+  assert.deepEqual(walk.find((w) => w.entity_id === 'shared').path, ['best', 'shared']);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyHighlight, lexicalHighlights, parseHeadline, snippetWindow } from '../netlify/lib/highlight.js';
+
+const content = 'The flight  log of 1997 lists passengers.\nLater, another flight went to Palm Beach.';
+
+test('parseHeadline maps ts_headline markers back to offsets in the chunk', () => {
+  const headline = '\u0001flight\u0002  log of 1997 lists passengers.\nLater, another \u0001flight\u0002 went';
+  const [fragment] = parseHeadline(headline, content);
+  assert.equal(fragment.start, 4);
+  assert.equal(content.slice(fragment.start, fragment.end), fragment.text);
+  assert.deepEqual(
+    fragment.terms.map((t) => content.slice(t.start, t.end)),
+    ['flight', 'flight'],
+  );
+});
+
+test('headlines without any marked terms are dropped so callers can fall back', () => {
+  assert.deepEqual(parseHeadline('The flight  log of 1997', content), []);
+});
+
+test('lexicalHighlights finds query terms for legs the tsquery cannot explain', () => {
+  const fragments = lexicalHighlights(content, 'Palm Beach trips', { radius: 5 });
+  assert.equal(fragments.length, 1);
+  assert.deepEqual(
+    fragments[0].terms.map((t) => content.slice(t.start, t.end)),
+    ['Palm', 'Beach'],
+  );
+});
+
+test('snippet windows center on the first highlight and stay inside the chunk', () => {
+  const fragments = lexicalHighlights(content, 'beach');
+  const window = snippetWindow(content, fragments, 20);
+  assert.equal(window.end - window.start, 20);
+  assert.ok(content.slice(window.start, window.end).includes('Beach'));
+  assert.deepEqual(snippetWindow('short', [], 20), { start: 0, end: 5 });
+});
+
+test('applyHighlight keeps content whole and returns the snippet window separately', () => {
+  const out = applyHighlight({ chunk_id: 'c1', content }, { query: 'passengers', highlight: true, snippetChars: 30 });
+  assert.equal(out.content, content);
+  assert.equal(out.snippet.text.length, 30);
+  assert.equal(out.snippet.text, content.slice(out.snippet.start, out.snippet.end));
+  assert.ok(out.snippet.text.includes('passengers'));
+  const [term] = out.highlights[0].terms;
+  assert.equal(out.content.slice(term.start, term.end), 'passengers');
+  assert.ok(term.start >= out.snippet.start && term.end <= out.snippet.end);
+  assert.equal(applyHighlight({ content }, {}).highlights, undefined);
+});
+
+test('without includeContent the snippet replaces content and keeps its length', () => {
+  const out = applyHighlight({ chunk_id: 'c1', content }, { query: 'passengers', snippetChars: 30, includeContent: false });
+  assert.equal(out.content, undefined);
+  assert.equal(out.content_length, content.length);
+  assert.ok(out.snippet.text.includes('passengers'));
+  assert.equal(applyHighlight({ content }, { includeContent: false }).content, content);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { chunkerOptionsFromConfig } from '../netlify/lib/chunkers.js';
+import {
+  collectIndexFiles,
+  indexChunkRows,
+  indexOptionsFromConfig,
+  IndexRequestError,
+  indexUploadAccess,
+  languageForPath,
+  normalizeIndexPath,
+} from '../netlify/lib/ingest.js';
+
+const options = indexOptionsFromConfig({ indexing: { index_excluded_exts: '.png, JPG', index_max_file_size_mb: 0.001 } });
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (e) {
+    assert.ok(e instanceof IndexRequestError);
+    return { field: e.field, message: e.message };
+  }
+  return null;
+}
+
+test('indexing options normalize extensions and convert the size cap to bytes', () => {
+  assert.deepEqual([...options.excludedExts], ['.png', '.jpg']);
+  assert.equal(options.maxFileBytes, 1048);
+  assert.equal(indexOptionsFromConfig({}).maxFileBytes, 10 * 1024 * 1024);
+});
+
+test('paths are made corpus-relative and may not escape it', () => {
+  assert.equal(normalizeIndexPath('./docs\\a.md'), 'docs/a.md');
+  assert.equal(normalizeIndexPath('/abs//b.txt'), 'abs/b.txt');
+  assert.equal(normalizeIndexPath('../etc/passwd'), null);
+  assert.equal(normalizeIndexPath(''), null);
+  assert.equal(languageForPath('src/app.TSX'), 'typescript');
+  assert.equal(languageForPath('Makefile'), 'text');
+});
+
+test('excluded, oversized, binary and duplicate files are skipped with a reason', () => {
+  const { files, skipped } = collectIndexFiles(
+    {
+      files: [
+        { path: 'a.md', content: '# A' },
+        { path: 'logo.PNG', content: 'x' },
+        { path: 'photo.jpg', content_base64: Buffer.from('x').toString('base64') },
+        { path: 'big.txt', content: 'x'.repeat(2000) },
+        { path: 'blob.bin', content_base64: Buffer.from([1, 0, 2]).toString('base64') },
+        { path: './a.md', content: 'again' },
+      ],
+    },
+    options,
+  );
+  assert.deepEqual(files, [{ path: 'a.md', text: '# A' }]);
+  assert.deepEqual(skipped, [
+    { path: 'logo.PNG', reason: 'excluded extension' },
+    { path: 'photo.jpg', reason: 'excluded extension' },
+    { path: 'big.txt', reason: 'larger than 1048 bytes' },
+    { path: 'blob.bin', reason: 'binary file' },
+    { path: 'a.md', reason: 'duplicate path' },
+  ]);
+});
+
+test('archives are unpacked alongside loose files', () => {
+  const gz = zlib.gzipSync('from the archive');
+  const { files } = collectIndexFiles(
+    { files: [{ path: 'loose.txt', content: 'loose' }], archive: { name: 'packed.txt.gz', content_base64: gz.toString('base64') } },
+    options,
+  );
+  assert.deepEqual(files, [
+    { path: 'loose.txt', text: 'loose' },
+    { path: 'packed.txt', text: 'from the archive' },
+  ]);
+});
+
+test('malformed requests name the offending field', () => {
+  assert.deepEqual(errorOf(() => collectIndexFiles({}, options)), {
+    field: 'files',
+    message: 'files: provide files or an archive to index',
+  });
+  assert.equal(errorOf(() => collectIndexFiles({ files: [{ path: '../x', content: '' }] }, options)).field, 'files[0].path');
+  assert.equal(errorOf(() => collectIndexFiles({ files: [{ path: 'x' }] }, options)).field, 'files[0]');
+  assert.equal(errorOf(() => collectIndexFiles({ files: [{ path: 'x', content_base64: '!!' }] }, options)).field, 'files[0].content_base64');
+  assert.deepEqual(errorOf(() => collectIndexFiles({ archive: { name: 'a.zip', content_base64: 'aGVsbG8=' } }, options)), {
+    field: 'archive',
+    message: 'archive: unrecognized archive format (expected zip, tar or gzip)',
+  });
+});
+
+test('chunk rows carry corpus-scoped ids, language and line spans', () => {
+  const chunker = chunkerOptionsFromConfig({ chunking: { chunk_size: 12, chunk_overlap: 0, min_chunk_chars: 0 } });
+  const { rows, empty } = indexChunkRows(
+    'uploads',
+    [
+      { path: 'notes/a.md', text: 'first para\n\nsecond para' },
+      { path: 'blank.txt', text: '   ' },
+    ],
+    chunker,
+  );
+  assert.deepEqual(empty, ['blank.txt']);
+  assert.deepEqual(rows, [
+    { chunk_id: 'uploads:notes/a.md:0', corpus_id: 'uploads', file_path: 'notes/a.md', start_line: 1, end_line: 1, language: 'markdown', content: 'first para' },
+    { chunk_id: 'uploads:notes/a.md:1', corpus_id: 'uploads', file_path: 'notes/a.md', start_line: 3, end_line: 3, language: 'markdown', content: 'second para' },
+  ]);
+});
+
+test('uploads are off without a write token and need it as a bearer token otherwise', () => {
+  const env = { RAGWELD_INDEX_WRITE_TOKEN: 'upload-token' };
+  assert.equal(indexUploadAccess({ authorization: 'Bearer upload-token' }, {}), 'disabled');
+  assert.equal(indexUploadAccess({}, env), 'unauthorized');
+  assert.equal(indexUploadAccess({ authorization: 'Bearer nope' }, env), 'unauthorized');
+  assert.equal(indexUploadAccess({ authorization: 'Bearer upload-token' }, env), 'allowed');
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import {
+  consumeChatCompletionStream,
+  consumeResponsesStream,
+  normalizeUsage,
+  readSseMessages,
+} from '../netlify/lib/llm-stream.js';
+
+async function* chunks(...parts) {
+  const encoder = new TextEncoder();
+  for (const part of parts) yield encoder.encode(part);
+}
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+test('SSE messages are reassembled across arbitrary chunk boundaries', async () => {
+  const messages = await collect(
+    readSseMessages(chunks('event: a\r\nda', 'ta: {"x":1}\r\n\r\n: keep-alive\n\n', 'data: line one\ndata: line two\n\ndata: tail')),
+  );
+  assert.deepEqual(messages, [
+    { event: 'a', data: '{"x":1}' },
+    { event: null, data: 'line one\nline two' },
+    { event: null, data: 'tail' },
+  ]);
+});
+
+test('Responses streams yield output_text deltas and the completed usage', async () => {
+  const deltas = [];
+  const result = await consumeResponsesStream(
+    chunks(
+      'event: response.created\ndata: {"type":"response.created"}\n\n',
+      'data: {"type":"response.output_text.delta","delta":"Hel"}\n\n',
+      'data: {"type":"response.output_text.delta","delta":"lo"}\n\n',
+      'data: {"type":"response.completed","response":{"model":"gpt-x","usage":{"input_tokens":7,"output_tokens":2,"total_tokens":9}}}\n\n',
+    ),
+    (delta) => deltas.push(delta),
+  );
+  assert.deepEqual(deltas, ['Hel', 'lo']);
+  assert.deepEqual(result, {
+    content: 'Hello',
+    model: 'gpt-x',
+    usage: { input_tokens: 7, output_tokens: 2, total_tokens: 9 },
+  });
+});
+
+test('Responses stream failures reject with the upstream message', async () => {
+  await assert.rejects(
+    consumeResponsesStream(chunks('data: {"type":"response.failed","response":{"error":{"message":"quota"}}}\n\n')),
+    /quota/,
+  );
+});
+
+test('chat completion streams stop at [DONE] and normalize prompt/completion usage', async () => {
+  const deltas = [];
+  const result = await consumeChatCompletionStream(
+    chunks(
+      'data: {"model":"or/m","choices":[{"delta":{"role":"assistant"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"Palm "}}]}\n\ndata: {"choices":[{"delta":{"content":"Beach"}}]}\n\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":10,"completion_tokens":3,"total_tokens":13}}\n\n',
+      'data: [DONE]\n\n',
+      'data: {"choices":[{"delta":{"content":"ignored"}}]}\n\n',
+    ),
+    (delta) => deltas.push(delta),
+  );
+  assert.deepEqual(deltas, ['Palm ', 'Beach']);
+  assert.equal(result.content, 'Palm Beach');
+  assert.equal(result.model, 'or/m');
+  assert.deepEqual(result.usage, { input_tokens: 10, output_tokens: 3, total_tokens: 13 });
+});
+
+test('fetch bodies from a live server stream deltas before the response ends', async () => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const server = http.createServer(async (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"first"}}]}\n\n');
+    await gate;
+    res.end('data: {"choices":[{"delta":{"content":" second"}}]}\n\ndata: [DONE]\n\n');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    const seen = [];
+    const result = await consumeChatCompletionStream(res.body, (delta) => {
+      seen.push(delta);
+      if (delta === 'first') release();
+    });
+    assert.deepEqual(seen, ['first', ' second']);
+    assert.equal(result.content, 'first second');
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('normalizeUsage fills totals and ignores missing usage', () => {
+  assert.equal(normalizeUsage(null), null);
+  assert.deepEqual(normalizeUsage({ input_tokens: 4, output_tokens: 5 }), { input_tokens: 4, output_tokens: 5, total_tokens: 9 });
+});
@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import {
+  checkLocalProviders,
+  localCandidates,
+  localModelsOptionsFromConfig,
+  openAiCompatibleBaseUrl,
+  resetLocalProviderHealth,
+} from '../netlify/lib/local-providers.js';
+
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('base URLs are normalized to the OpenAI-compatible /v1 root', () => {
+  assert.equal(openAiCompatibleBaseUrl('http://127.0.0.1:11434'), 'http://127.0.0.1:11434/v1');
+  assert.equal(openAiCompatibleBaseUrl('http://127.0.0.1:11434/api'), 'http://127.0.0.1:11434/v1');
+  assert.equal(openAiCompatibleBaseUrl('http://gpu-box:8000/v1/'), 'http://gpu-box:8000/v1');
+  assert.equal(openAiCompatibleBaseUrl(''), '');
+});
+
+const env = {
+  RAGWELD_DEMO_ALLOW_LOCAL_MODELS: '1',
+  RAGWELD_LOCAL_MODEL_BASE_URLS: 'http://a:11434, http://b:8000/v1',
+};
+
+test('providers are filtered to enabled entries and ordered by priority', () => {
+  const options = localModelsOptionsFromConfig({
+    chat: {
+      local_models: {
+        providers: [
+          { name: 'vllm', provider_type: 'vllm', base_url: 'http://b:8000', priority: 2 },
+          { name: 'off', base_url: 'http://c', enabled: false },
+          { name: 'ollama', provider_type: 'ollama', base_url: 'http://a:11434/api', priority: 1 },
+          { name: 'nourl' },
+        ],
+        health_check_interval: 10,
+        fallback_to_cloud: false,
+        default_chat_model: 'qwen3:8b',
+      },
+    },
+  }, env);
+  assert.deepEqual(options.providers.map((p) => [p.name, p.base_url]), [
+    ['ollama', 'http://a:11434/v1'],
+    ['vllm', 'http://b:8000/v1'],
+  ]);
+  assert.equal(options.healthCheckIntervalMs, 10000);
+  assert.equal(options.fallbackToCloud, false);
+  assert.equal(options.defaultChatModel, 'qwen3:8b');
+  assert.equal(localModelsOptionsFromConfig({}).fallbackToCloud, true);
+});
+
+test('providers are only used with the env flag on and a base URL on the allowlist', () => {
+  const cfg = {
+    chat: {
+      local_models: {
+        providers: [
+          { name: 'ollama', base_url: 'http://a:11434/api' },
+          { name: 'metadata', base_url: 'http://169.254.169.254/latest' },
+        ],
+      },
+    },
+  };
+  const off = localModelsOptionsFromConfig(cfg, { RAGWELD_LOCAL_MODEL_BASE_URLS: 'http://a:11434' });
+  assert.equal(off.enabled, false);
+  assert.deepEqual(off.providers, []);
+  assert.deepEqual(off.blocked.map((b) => b.name), ['ollama', 'metadata']);
+
+  const on = localModelsOptionsFromConfig(cfg, env);
+  assert.deepEqual(on.providers.map((p) => p.name), ['ollama']);
+  assert.deepEqual(on.blocked, [{ name: 'metadata', reason: 'base_url is not in RAGWELD_LOCAL_MODEL_BASE_URLS' }]);
+  assert.deepEqual(localModelsOptionsFromConfig(cfg, { RAGWELD_DEMO_ALLOW_LOCAL_MODELS: '1' }).providers, []);
+});
+
+test('health checks list served models and are cached for the interval', async () => {
+  resetLocalProviderHealth();
+  let probes = 0;
+  await withServer(
+    (req, res) => {
+      probes += 1;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 'llama3.2:latest' }, { id: 'qwen3:8b' }] }));
+    },
+    async (url) => {
+      const options = { providers: [{ name: 'ollama', base_url: `${url}/v1` }], healthCheckIntervalMs: 30000 };
+      let clock = 1000;
+      const now = () => clock;
+      const [first] = await checkLocalProviders(options, { now });
+      assert.equal(first.reachable, true);
+      assert.deepEqual(first.models, ['llama3.2:latest', 'qwen3:8b']);
+
+      clock += 5000;
+      await checkLocalProviders(options, { now });
+      assert.equal(probes, 1);
+
+      clock += 30000;
+      await checkLocalProviders(options, { now });
+      assert.equal(probes, 2);
+      await checkLocalProviders(options, { now, force: true });
+      assert.equal(probes, 3);
+    },
+  );
+});
+
+test('unreachable providers report the failure', async () => {
+  resetLocalProviderHealth();
+  const [status] = await withServer(
+    (req, res) => {
+      res.writeHead(503);
+      res.end();
+    },
+    (url) => checkLocalProviders({ providers: [{ name: 'down', base_url: url }], healthCheckIntervalMs: 0 }),
+  );
+  assert.equal(status.reachable, false);
+  assert.equal(status.detail, 'HTTP 503');
+});
+
+test('candidates skip down providers and ones that do not serve the model', () => {
+  const statuses = [
+    { name: 'a', base_url: 'http://a/v1', reachable: false, detail: 'ECONNREFUSED', models: [] },
+    { name: 'b', base_url: 'http://b/v1', reachable: true, detail: null, models: ['other'] },
+    { name: 'c', base_url: 'http://c/v1', reachable: true, detail: null, models: ['qwen3:8b'] },
+    { name: 'd', base_url: 'http://d/v1', reachable: true, detail: null, models: [] },
+  ];
+  assert.deepEqual(
+    localCandidates(statuses, 'qwen3:8b').map((c) => [c.provider_name, c.skip || null]),
+    [['a', 'unreachable: ECONNREFUSED'], ['b', 'model not served by b'], ['c', null], ['d', null]],
+  );
+  assert.equal(localCandidates(statuses, '')[1].model, 'other');
+  assert.equal(localCandidates(statuses, '')[3].skip, 'no model configured');
+});
@@ -0,0 +1,237 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  backoffDelayMs,
+  buildProviderChain,
+  isRetryable,
+  providerRouterOptionsFromConfig,
+  ProviderRouterError,
+  runWithFallback,
+} from '../netlify/lib/provider-router.js';
+
+function httpError(status, message = `upstream ${status}`) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const noSleep = async () => {};
+
+test('router options read retries, timeout and fallback models from config', () => {
+  assert.deepEqual(
+    providerRouterOptionsFromConfig(
+      {
+        generation: { gen_retry_max: 3, gen_timeout: 12 },
+        chat: { openrouter: { fallback_models: ['a/b', ' ', 'c/d'] } },
+      },
+      { RAGWELD_GENERATION_BUDGET_MS: '9000' },
+    ),
+    { retryMax: 3, timeoutMs: 12000, budgetMs: 9000, fallbackModels: ['a/b', 'c/d'] },
+  );
+  assert.deepEqual(providerRouterOptionsFromConfig({}, {}), { retryMax: 2, timeoutMs: 60000, budgetMs: 24000, fallbackModels: [] });
+  assert.equal(providerRouterOptionsFromConfig({ generation: { gen_retry_max: 99 } }, {}).retryMax, 5);
+});
+
+test('chain tries the primary route, OpenRouter fallbacks, then the other provider without duplicates', () => {
+  const opts = { fallbackModels: ['openai/gpt-5', 'google/gemini'], openrouterModel: 'openai/gpt-5-mini', cloudModel: 'gpt-5.3-codex' };
+  assert.deepEqual(buildProviderChain({ kind: 'openrouter', model: 'openai/gpt-5' }, opts), [
+    { kind: 'openrouter', model: 'openai/gpt-5' },
+    { kind: 'openrouter', model: 'google/gemini' },
+    { kind: 'cloud_direct', model: 'gpt-5.3-codex' },
+  ]);
+  assert.deepEqual(buildProviderChain({ kind: 'cloud_direct', model: 'gpt-5.3-codex' }, opts), [
+    { kind: 'cloud_direct', model: 'gpt-5.3-codex' },
+    { kind: 'openrouter', model: 'openai/gpt-5-mini' },
+    { kind: 'openrouter', model: 'openai/gpt-5' },
+    { kind: 'openrouter', model: 'google/gemini' },
+  ]);
+  assert.deepEqual(buildProviderChain({ kind: 'cloud_direct', model: 'gpt-x' }, { ...opts, openrouterEnabled: false }), [
+    { kind: 'cloud_direct', model: 'gpt-x' },
+  ]);
+  assert.deepEqual(buildProviderChain({ kind: 'local', model: 'llama' }, opts), [{ kind: 'local', model: 'llama' }]);
+});
+
+test('only transient errors are retried', () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(503)), true);
+  assert.equal(isRetryable(httpError(401)), false);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(new Error('fetch failed')), true);
+  assert.equal(isRetryable(new Error('Missing OPENROUTER_API_KEY')), false);
+  assert.equal(backoffDelayMs(0), 500);
+  assert.equal(backoffDelayMs(2), 2000);
+  assert.equal(backoffDelayMs(10), 8000);
+});
+
+test('transient failures retry with backoff before moving down the chain', async () => {
+  const calls = [];
+  const delays = [];
+  const chain = [{ kind: 'openrouter', model: 'a' }, { kind: 'openrouter', model: 'b' }];
+  const { result, attempts } = await runWithFallback(
+    chain,
+    async (candidate) => {
+      calls.push(candidate.model);
+      if (candidate.model === 'a') throw httpError(503);
+      return { content: 'ok' };
+    },
+    { retryMax: 2, sleep: async (ms) => delays.push(ms) },
+  );
+  assert.deepEqual(calls, ['a', 'a', 'a', 'b']);
+  assert.deepEqual(delays, [500, 1000]);
+  assert.equal(result.content, 'ok');
+  assert.deepEqual(
+    attempts.map((a) => [a.model, a.attempt, a.ok, a.status]),
+    [['a', 1, false, 503], ['a', 2, false, 503], ['a', 3, false, 503], ['b', 1, true, undefined]],
+  );
+});
+
+test('permanent failures skip straight to the next candidate', async () => {
+  const calls = [];
+  const { attempts } = await runWithFallback(
+    [{ kind: 'cloud_direct', model: 'x' }, { kind: 'openrouter', model: 'y' }],
+    async (candidate) => {
+      calls.push(candidate.model);
+      if (candidate.model === 'x') throw httpError(401, 'bad key');
+      return { content: 'ok' };
+    },
+    { retryMax: 2, sleep: noSleep },
+  );
+  assert.deepEqual(calls, ['x', 'y']);
+  assert.equal(attempts[0].error, 'bad key');
+});
+
+test('each attempt is cut off at the timeout and recorded as timed out', async () => {
+  const err = await runWithFallback(
+    [{ kind: 'openrouter', model: 'slow' }],
+    (candidate, signal) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+    { retryMax: 0, timeoutMs: 20, sleep: noSleep },
+  ).catch((e) => e);
+  assert.ok(err instanceof ProviderRouterError);
+  assert.match(err.message, /All providers failed: Generation timed out/);
+  assert.equal(err.attempts.length, 1);
+  assert.equal(err.attempts[0].timed_out, true);
+});
+
+test('the deadline caps each attempt and stops the chain once it passes', async () => {
+  let clock = 0;
+  const timeouts = [];
+  const calls = [];
+  const err = await runWithFallback(
+    [{ kind: 'openrouter', model: 'a' }, { kind: 'openrouter', model: 'b' }],
+    async (candidate) => {
+      calls.push(candidate.model);
+      clock += 4000;
+      throw httpError(503);
+    },
+    {
+      retryMax: 2,
+      timeoutMs: 60000,
+      deadline: 9000,
+      now: () => clock,
+      sleep: async (ms) => {
+        timeouts.push(ms);
+        clock += ms;
+      },
+    },
+  ).catch((e) => e);
+  assert.ok(err instanceof ProviderRouterError);
+  assert.equal(err.message, 'Generation deadline exceeded: upstream 503');
+  assert.deepEqual(calls, ['a', 'a']);
+  assert.deepEqual(timeouts, [500]);
+  assert.equal(err.attempts.length, 2);
+});
+
+test('an attempt never waits past the deadline', async () => {
+  const started = Date.now();
+  const err = await runWithFallback(
+    [{ kind: 'openrouter', model: 'slow' }],
+    (candidate, signal) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+    { retryMax: 0, timeoutMs: 60000, deadline: started + 20, sleep: noSleep },
+  ).catch((e) => e);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(err.attempts[0].timed_out, true);
+});
+
+test('a committed attempt is not retried or replaced', async () => {
+  let streamed = false;
+  let calls = 0;
+  const err = await runWithFallback(
+    [{ kind: 'openrouter', model: 'a' }, { kind: 'openrouter', model: 'b' }],
+    async () => {
+      calls += 1;
+      streamed = true;
+      throw httpError(502);
+    },
+    { retryMax: 2, sleep: noSleep, committed: () => streamed },
+  ).catch((e) => e);
+  assert.equal(calls, 1);
+  assert.equal(err.attempts.length, 1);
+});
+
+test('a caller abort stops the chain', async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const err = await runWithFallback(
+    [{ kind: 'openrouter', model: 'a' }, { kind: 'openrouter', model: 'b' }],
+    async () => {
+      calls += 1;
+      controller.abort();
+      throw new Error('aborted');
+    },
+    { signal: controller.signal, sleep: noSleep },
+  ).catch((e) => e);
+  assert.equal(calls, 1);
+  assert.equal(err.message, 'Generation aborted');
+});
+
+test('local routes expand to their providers and reach the cloud only with fallback_to_cloud', () => {
+  const local = [
+    { kind: 'local', model: 'qwen3:8b', base_url: 'http://a/v1', skip: 'unreachable: ECONNREFUSED' },
+    { kind: 'local', model: 'qwen3:8b', base_url: 'http://b/v1' },
+  ];
+  const opts = { fallbackModels: ['google/gemini'], openrouterModel: 'openai/gpt-5-mini', cloudModel: 'gpt-5.3-codex', localCandidates: local };
+  const route = { kind: 'local', model: 'qwen3:8b' };
+  assert.deepEqual(buildProviderChain(route, opts).map((c) => c.base_url), ['http://a/v1', 'http://b/v1']);
+  assert.deepEqual(buildProviderChain(route, { ...opts, fallbackToCloud: true }).map((c) => `${c.kind}:${c.model}`), [
+    'local:qwen3:8b',
+    'local:qwen3:8b',
+    'openrouter:openai/gpt-5-mini',
+    'openrouter:google/gemini',
+    'cloud_direct:gpt-5.3-codex',
+  ]);
+});
+
+test('skipped candidates are logged without being called', async () => {
+  const calls = [];
+  const { attempts } = await runWithFallback(
+    [
+      { kind: 'local', model: 'm', base_url: 'http://a/v1', skip: 'unreachable: ECONNREFUSED' },
+      { kind: 'cloud_direct', model: 'gpt' },
+    ],
+    async (candidate) => {
+      calls.push(candidate.kind);
+      return { content: 'ok' };
+    },
+    { sleep: noSleep },
+  );
+  assert.deepEqual(calls, ['cloud_direct']);
+  assert.deepEqual(attempts[0], {
+    provider: 'local',
+    model: 'm',
+    base_url: 'http://a/v1',
+    attempt: 0,
+    ok: false,
+    skipped: true,
+    error: 'unreachable: ECONNREFUSED',
+  });
+
+  const err = await runWithFallback([{ kind: 'local', model: 'm', skip: 'no model configured' }], async () => ({})).catch((e) => e);
+  assert.equal(err.message, 'All providers failed: no model configured');
+});
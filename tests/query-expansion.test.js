@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { expandQuery, parseQueryVariants, queryExpansionOptionsFromConfig } from '../netlify/lib/query-expansion.js';
+
+test('variant budget is capped by both max_query_rewrites and multi_query_m', () => {
+  assert.equal(queryExpansionOptionsFromConfig({ retrieval: { max_query_rewrites: 2, multi_query_m: 4 } }).count, 2);
+  assert.equal(queryExpansionOptionsFromConfig({ retrieval: { max_query_rewrites: 5, multi_query_m: 3 } }).count, 2);
+  assert.equal(queryExpansionOptionsFromConfig({ retrieval: { max_query_rewrites: 0, multi_query_m: 4 } }).count, 0);
+  assert.equal(queryExpansionOptionsFromConfig({}).count, 0);
+});
+
+test('parseQueryVariants strips list markers and drops duplicates of the original', () => {
+  const variants = parseQueryVariants('1. Flight logs 1997\n- "passenger manifest"\n\nwho flew in 1997?\nflight logs 1997', 'Who flew in 1997?', 5);
+  assert.deepEqual(variants, ['Flight logs 1997', 'passenger manifest']);
+});
+
+test('expandQuery runs the rewrite and expansion prompts and returns the original first', async () => {
+  const calls = [];
+  const { queries, debug } = await expandQuery('who flew in 1997', {
+    count: 3,
+    rewritePrompt: 'REWRITE',
+    expansionPrompt: 'EXPAND',
+    generate: async (system) => {
+      calls.push(system);
+      return system === 'REWRITE' ? '1997 flight passengers' : 'flight manifest 1997\npassenger list\nextra variant';
+    },
+  });
+  assert.deepEqual(calls.sort(), ['EXPAND', 'REWRITE']);
+  assert.deepEqual(queries, ['who flew in 1997', '1997 flight passengers', 'flight manifest 1997', 'passenger list']);
+  assert.deepEqual(debug.variants, queries.slice(1));
+  assert.equal(debug.error, null);
+});
+
+test('expandQuery falls back to the original query when the provider fails', async () => {
+  const { queries, debug } = await expandQuery('witness list', {
+    count: 2,
+    rewritePrompt: 'R',
+    expansionPrompt: 'E',
+    generate: async () => {
+      throw new Error('Missing OPENAI_API_KEY');
+    },
+  });
+  assert.deepEqual(queries, ['witness list']);
+  assert.match(debug.error, /OPENAI_API_KEY/);
+});
+
+test('expandQuery is skipped once the deadline has passed or the request is aborted', async () => {
+  let calls = 0;
+  const options = {
+    count: 2,
+    rewritePrompt: 'R',
+    expansionPrompt: 'E',
+    generate: async () => {
+      calls += 1;
+      return 'variant';
+    },
+  };
+  const late = await expandQuery('witness list', { ...options, deadline: 1000, now: () => 1000 });
+  assert.deepEqual(late.queries, ['witness list']);
+  assert.equal(late.debug.skipped, 'deadline');
+
+  const aborted = await expandQuery('witness list', { ...options, signal: AbortSignal.abort() });
+  assert.equal(aborted.debug.skipped, 'aborted');
+  assert.equal(calls, 0);
+});
+
+test('expandQuery aborts calls that outlast their time cap', async () => {
+  const started = Date.now();
+  const { queries, debug } = await expandQuery('witness list', {
+    count: 2,
+    rewritePrompt: 'R',
+    expansionPrompt: 'E',
+    timeoutMs: 20,
+    generate: (system, user, signal) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }),
+  });
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(queries, ['witness list']);
+  assert.match(debug.error, /^query expansion timed out after 20ms/);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileSparseQuery, parseQuerySyntax, QuerySyntaxError } from '../netlify/lib/query-syntax.js';
+
+function compile(query, mode = 'boolean') {
+  const params = [];
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { ...compileSparseQuery(query, mode, { bind, cfg: 'CFG' }), params };
+}
+
+test('phrases, exclusions, OR groups and prefixes parse into an AND-within-OR tree', () => {
+  const { ok, tree } = parseQuerySyntax('"palm beach" -maxwell OR release v2.3*');
+  assert.equal(ok, true);
+  assert.deepEqual(tree, {
+    type: 'or',
+    children: [
+      {
+        type: 'and',
+        children: [
+          { type: 'phrase', negated: false, words: ['palm', 'beach'] },
+          { type: 'term', negated: true, value: 'maxwell' },
+        ],
+      },
+      {
+        type: 'and',
+        children: [
+          { type: 'term', negated: false, value: 'release' },
+          { type: 'prefix', negated: false, value: 'v2.3' },
+        ],
+      },
+    ],
+  });
+});
+
+test('hyphens inside words and lowercase words are not operators', () => {
+  const { tree } = parseQuerySyntax('e-mail tribrid_reranker_topn');
+  assert.deepEqual(
+    tree.children[0].children.map((item) => [item.type, item.negated, item.value]),
+    [
+      ['term', false, 'e-mail'],
+      ['term', false, 'tribrid_reranker_topn'],
+    ],
+  );
+});
+
+test('malformed queries report positioned errors alongside the partial tree', () => {
+  const unclosed = parseQuerySyntax('"palm beach');
+  assert.equal(unclosed.ok, false);
+  assert.match(unclosed.errors[0].message, /Unclosed quote at position 0/);
+  assert.equal(unclosed.tree.children[0].children[0].type, 'phrase');
+
+  assert.match(parseQuerySyntax('flight OR').errors[0].message, /OR needs a term/);
+  assert.match(parseQuerySyntax('-crab').errors[0].message, /not excluded/);
+  assert.match(parseQuerySyntax('fl*ght').errors[0].message, /end of a word/);
+  assert.throws(() => compile('OR flight'), QuerySyntaxError);
+});
+
+test('queries without prefixes compile to a single websearch_to_tsquery', () => {
+  const compiled = compile('"palm beach" -maxwell OR flight');
+  assert.equal(compiled.sql, 'websearch_to_tsquery(CFG, $1)');
+  assert.deepEqual(compiled.params, ['"palm beach" -maxwell OR flight']);
+  assert.equal(compiled.positiveText, 'palm beach flight');
+});
+
+test('prefix terms compose to_tsquery parts with quoted lexemes', () => {
+  const compiled = compile("flig* -o'brien");
+  assert.equal(compiled.sql, '((to_tsquery(CFG, $1) && (!! plainto_tsquery(CFG, $2))))');
+  assert.deepEqual(compiled.params, ["'flig':*", "o'brien"]);
+  assert.deepEqual(compiled.prefixes, ["'flig':*"]);
+});
+
+test('plain and phrase modes keep the raw text', () => {
+  assert.equal(compile('"a" -b', 'plain').sql, 'plainto_tsquery(CFG, $1)');
+  assert.equal(compile('palm beach', 'phrase').sql, 'phraseto_tsquery(CFG, $1)');
+});
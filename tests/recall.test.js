@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  chatPromptMode,
+  chunkRecallText,
+  indexPendingRecall,
+  recallChunksForMessage,
+  recallCorpusId,
+  recallOptionsFromConfig,
+  recallRequested,
+} from '../netlify/lib/recall.js';
+
+test('recall options fall back to the documented defaults', () => {
+  assert.deepEqual(recallOptionsFromConfig({}), {
+    enabled: true,
+    autoIndex: true,
+    corpusId: 'recall_default',
+    delaySeconds: 5,
+    strategy: 'sentence',
+    chunkMaxTokens: 256,
+  });
+  const custom = recallOptionsFromConfig({
+    chat: { recall: { enabled: false, default_corpus_id: 'mem', index_delay_seconds: 0, chunking_strategy: 'TURN' } },
+  });
+  assert.equal(custom.enabled, false);
+  assert.equal(custom.corpusId, 'mem');
+  assert.equal(custom.delaySeconds, 0);
+  assert.equal(custom.strategy, 'turn');
+});
+
+test('recall is requested only when its corpus is among the checked sources', () => {
+  const options = recallOptionsFromConfig({});
+  assert.equal(recallRequested({ sources: { corpus_ids: ['docs', 'recall_default'] } }, options), true);
+  assert.equal(recallRequested({ sources: { corpus_ids: ['docs'] } }, options), false);
+  assert.equal(recallRequested({ sources: { corpus_ids: ['recall_default'] } }, { ...options, enabled: false }), false);
+});
+
+test('each conversation owner gets a recall corpus of their own', () => {
+  const owner = 'ab'.repeat(32);
+  assert.equal(recallCorpusId('recall_default', owner), 'recall_default--abababababababab');
+  assert.notEqual(recallCorpusId('recall_default', 'cd'.repeat(32)), recallCorpusId('recall_default', owner));
+  assert.equal(recallCorpusId('recall_default', null), null);
+});
+
+test('sentence chunking packs sentences up to the token budget', () => {
+  const text = 'We chose RRF. It was stable! Weighted fusion drifted? Then we shipped it.';
+  assert.deepEqual(chunkRecallText(text, { chunkMaxTokens: 8 }), [
+    'We chose RRF. It was stable!',
+    'Weighted fusion drifted?',
+    'Then we shipped it.',
+  ]);
+});
+
+test('oversized sentences and turns are split on words', () => {
+  const long = Array.from({ length: 12 }, (_, i) => `word${i}`).join(' ');
+  const sentenceChunks = chunkRecallText(long, { chunkMaxTokens: 6 });
+  assert.ok(sentenceChunks.length > 1);
+  assert.ok(sentenceChunks.every((chunk) => chunk.length <= 24));
+  assert.equal(sentenceChunks.join(' '), long);
+
+  assert.deepEqual(chunkRecallText('One. Two.', { strategy: 'turn', chunkMaxTokens: 50 }), ['One. Two.']);
+  assert.deepEqual(chunkRecallText('   '), []);
+});
+
+test('recall chunks are attributed and keyed by conversation and message', () => {
+  const chunks = recallChunksForMessage(
+    { message_id: '42', conversation_id: 'rw-1', role: 'assistant', content: 'Use rrf_k 60.', created_at: '2026-10-19T06:59:11Z' },
+    'recall_default',
+    { strategy: 'sentence', chunkMaxTokens: 256 },
+  );
+  assert.deepEqual(chunks, [
+    {
+      chunk_id: 'recall:rw-1:42:0',
+      corpus_id: 'recall_default',
+      file_path: 'conversations/rw-1',
+      start_line: 42,
+      end_line: 42,
+      content: 'Assistant (2026-10-19 06:59 UTC): Use rrf_k 60.',
+    },
+  ]);
+});
+
+test('pending turns are indexed for the calling owner only, never swept across owners', async () => {
+  const queries = [];
+  const sql = {
+    async query(text, params = []) {
+      queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+      return { rows: [], rowCount: 0 };
+    },
+  };
+  const options = recallOptionsFromConfig({});
+
+  assert.deepEqual(await indexPendingRecall(sql, options, { owner: null }), { indexed: 0, corpusIds: [] });
+  assert.equal(queries.length, 0);
+
+  await indexPendingRecall(sql, options, { owner: 'owner-hash' });
+  assert.match(queries[0].text, /c\.owner_hash = \$3/);
+  assert.deepEqual(queries[0].params, [5, null, 'owner-hash']);
+});
+
+test('the prompt mode reflects which sources produced context', () => {
+  assert.equal(chatPromptMode({ ragHits: false, recallHits: false }), 'direct');
+  assert.equal(chatPromptMode({ ragHits: true, recallHits: false }), 'rag');
+  assert.equal(chatPromptMode({ ragHits: false, recallHits: true }), 'recall');
+  assert.equal(chatPromptMode({ ragHits: true, recallHits: true }), 'rag_and_recall');
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createCloudReranker, rerankMatches, rerankOptionsFromConfig } from '../netlify/lib/rerank.js';
+
+function match(chunkId, content) {
+  return { chunk_id: chunkId, content, score: 1, source: 'sparse', file_path: `${chunkId}.md`, metadata: {} };
+}
+
+async function withStubServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  try {
+    return await run(`http://127.0.0.1:${port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('mode none leaves the fused order untouched and reports rerank disabled', async () => {
+  const matches = [match('a', 'alpha'), match('b', 'beta')];
+  const { matches: out, debug } = await rerankMatches('beta', matches, rerankOptionsFromConfig({ reranking: { reranker_mode: 'none' } }));
+  assert.equal(out, matches);
+  assert.equal(debug.enabled, false);
+  assert.equal(debug.applied, false);
+});
+
+test('lexical reranker promotes overlapping chunks within topN and keeps the tail in fused order', async () => {
+  const options = rerankOptionsFromConfig({
+    reranking: { reranker_mode: 'local', tribrid_reranker_topn: 3, rerank_input_snippet_chars: 200 },
+  });
+  const { matches, debug } = await rerankMatches(
+    'flight log manifest',
+    [
+      match('a', 'quarterly revenue'),
+      match('b', 'weather report'),
+      match('c', 'the flight log manifest for 1997'),
+      match('d', 'flight log manifest again'),
+    ],
+    options,
+  );
+  assert.equal(debug.applied, true);
+  assert.equal(debug.backend, 'lexical');
+  assert.equal(debug.candidates_reranked, 3);
+  assert.deepEqual(matches.map((m) => m.chunk_id), ['c', 'a', 'b', 'd']);
+  assert.deepEqual(matches[0].metadata.rerank, { pre_rank: 3, post_rank: 1, score: 1 });
+  assert.deepEqual(matches[3].metadata.rerank, { pre_rank: 4, post_rank: 4, score: null });
+});
+
+test('cloud reranker follows the Cohere rerank contract and truncates input snippets', async () => {
+  let received = null;
+  await withStubServer(
+    (req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => (raw += chunk));
+      req.on('end', () => {
+        received = { path: req.url, auth: req.headers.authorization, body: JSON.parse(raw) };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ results: [{ index: 1, relevance_score: 0.9 }, { index: 0, relevance_score: 0.2 }] }));
+      });
+    },
+    async (baseUrl) => {
+      const options = rerankOptionsFromConfig(
+        { reranking: { reranker_mode: 'cloud', reranker_cloud_model: 'rerank-test', rerank_input_snippet_chars: 60 } },
+        { COHERE_API_KEY: 'test-key', COHERE_BASE_URL: baseUrl },
+      );
+      const { matches, debug } = await rerankMatches('witness', [match('a', 'x'.repeat(500)), match('b', 'witness list')], options);
+      assert.equal(debug.ok, true);
+      assert.equal(debug.backend, 'cloud');
+      assert.deepEqual(matches.map((m) => m.chunk_id), ['b', 'a']);
+    },
+  );
+  assert.equal(received.path, '/rerank');
+  assert.equal(received.auth, 'Bearer test-key');
+  assert.equal(received.body.model, 'rerank-test');
+  assert.equal(received.body.documents[0].length, 60);
+  assert.equal(received.body.top_n, 2);
+});
+
+test('a slow reranker times out and the fused order is kept', async () => {
+  await withStubServer(
+    () => {},
+    async (baseUrl) => {
+      const options = {
+        ...rerankOptionsFromConfig({ reranking: { reranker_mode: 'cloud' } }, { COHERE_API_KEY: 'k', COHERE_BASE_URL: baseUrl }),
+        timeoutMs: 100,
+      };
+      const { matches, debug } = await rerankMatches('witness', [match('a', 'a'), match('b', 'witness')], options);
+      assert.equal(debug.ok, false);
+      assert.equal(debug.applied, false);
+      assert.match(debug.error, /timed out/);
+      assert.deepEqual(matches.map((m) => m.chunk_id), ['a', 'b']);
+      assert.deepEqual(matches[1].metadata.rerank, { pre_rank: 2, post_rank: 2, score: null });
+    },
+  );
+});
+
+test('cloud mode without a key reports the error instead of throwing', async () => {
+  assert.throws(() => createCloudReranker({ apiKey: '' }), /COHERE_API_KEY/);
+  const { debug } = await rerankMatches(
+    'q',
+    [match('a', 'a')],
+    rerankOptionsFromConfig({ reranking: { reranker_mode: 'cloud' } }, {}),
+  );
+  assert.equal(debug.ok, false);
+  assert.match(debug.error, /COHERE_API_KEY/);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { filterSqlClause, globToRegex, parseSearchFilters, SearchFilterError } from '../netlify/lib/search-filters.js';
+
+test('globToRegex keeps single stars inside a segment and lets ** cross directories', () => {
+  const subtree = new RegExp(globToRegex('docs/release-notes/**'));
+  assert.ok(subtree.test('docs/release-notes/v2.md'));
+  assert.ok(subtree.test('docs/release-notes/2024/v3.md'));
+  assert.ok(!subtree.test('docs/flights/log.md'));
+
+  const pdfs = new RegExp(globToRegex('**/*.{pdf,PDF}'));
+  assert.ok(pdfs.test('witness.pdf'));
+  assert.ok(pdfs.test('docs/depositions/witness.PDF'));
+  assert.ok(!pdfs.test('docs/depositions/witness.pdf.txt'));
+
+  assert.ok(!new RegExp(globToRegex('docs/*.md')).test('docs/flights/log.md'));
+
+  const basename = new RegExp(globToRegex('*.pdf'));
+  assert.ok(basename.test('witness.pdf'));
+  assert.ok(basename.test('docs/depositions/witness.pdf'));
+  assert.ok(!basename.test('docs/witness.pdf.txt'));
+  assert.ok(!new RegExp(globToRegex('/*.pdf')).test('docs/witness.pdf'));
+});
+
+test('parseSearchFilters reads JSON bodies and repeated query params alike', () => {
+  const fromBody = parseSearchFilters({ path_prefix: './docs/', include: '**/*.md', language: ['Markdown'], line_start: 5 });
+  assert.equal(fromBody.path_prefix, 'docs/');
+  assert.deepEqual(fromBody.include, ['**/*.md']);
+  assert.deepEqual(fromBody.language, ['markdown']);
+  assert.equal(fromBody.line_start, 5);
+
+  const fromQuery = parseSearchFilters(new URLSearchParams('exclude=**/*.pdf&exclude=src/**&language=python,markdown&line_end=40'));
+  assert.deepEqual(fromQuery.exclude, ['**/*.pdf', 'src/**']);
+  assert.deepEqual(fromQuery.language, ['python', 'markdown']);
+  assert.equal(fromQuery.line_end, 40);
+});
+
+test('invalid line ranges and globs raise SearchFilterError with the offending field', () => {
+  assert.throws(() => parseSearchFilters({ line_start: 10, line_end: 2 }), (e) => e instanceof SearchFilterError && e.field === 'line_end');
+  assert.throws(() => parseSearchFilters({ line_start: 'abc' }), (e) => e.field === 'line_start');
+  assert.throws(() => parseSearchFilters({ include: 'docs/{a,b' }), SearchFilterError);
+});
+
+test('filterSqlClause binds every value as a parameter after the existing ones', () => {
+  const params = ['corpus', 'query'];
+  const clause = filterSqlClause(parseSearchFilters({ path_prefix: 'docs/', exclude: ['**/*.pdf'], line_start: 3 }), params, 'c');
+  assert.match(clause, /starts_with\(c\.file_path, \$3\)/);
+  assert.match(clause, /NOT \(c\.file_path ~ ANY\(\$4::text\[\]\)\)/);
+  assert.match(clause, /c\.end_line >= \$5/);
+  assert.deepEqual(params.slice(2), ['docs/', ['^(.*/)?[^/]*\\.pdf$'], 3]);
+  assert.equal(filterSqlClause(parseSearchFilters({}), params), '');
+});